@@ -0,0 +1,142 @@
+/**
+ * Grouped Aggregation
+ *
+ * Turns a group-by field list, `custom_bird_query`-style filters and a set
+ * of metrics into a single JSONata query, so breakdowns such as threatened
+ * species per order are computed where the data lives instead of paging
+ * every record through the server.
+ */
+
+import { ErrorCode, McpError } from '@modelcontextprotocol/sdk/types.js';
+import { AUTHORITY_YEAR, filtersToJsonata, validateFilters } from './filters.js';
+import { EXTINCT_CATEGORIES, THREATENED_CATEGORIES } from './iucn.js';
+import { collectAll } from './pagination.js';
+
+export const AGGREGATE_METRICS = ['count', 'share_threatened', 'share_extinct'];
+export const AGGREGATE_SORTS = ['count', 'group', 'share_threatened', 'share_extinct'];
+export const MAX_GROUP_BY_FIELDS = 3;
+
+const MAX_GROUPS = 10000;
+const KEY_SEPARATOR = '\u001f';
+const NO_VALUE = '(none)';
+const FIELD_NAME = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+// Values computed from a record rather than read from one field
+export const DERIVED_FIELDS = {
+  Genus: '$substringBefore(Scientific_name, " ")',
+  Author: 'Authority ? $trim($replace($replace($string(Authority), /[()]/, ""), /,?\\s*[0-9]{4}.*$/, "")) : null',
+  Year: AUTHORITY_YEAR,
+  Decade: `$floor(${AUTHORITY_YEAR} / 10) * 10`,
+};
+
+function groupExpression(field) {
+  return DERIVED_FIELDS[field] ?? `\`${field}\``;
+}
+
+/**
+ * Build the JSONata query returning one `{key, count, threatened, extinct}`
+ * object per group.
+ */
+export function buildAggregateQuery(groupBy, filters, { speciesOnly = true } = {}) {
+  const conditions = [filtersToJsonata(filters)];
+  if (speciesOnly && filters.Taxon_rank === undefined) {
+    conditions.push('$lowercase($string(Taxon_rank)) = "species"');
+  }
+  const predicate = conditions.filter(Boolean).join(' and ');
+  const source = predicate ? `$[${predicate}]` : '$';
+  const key = `$join([${groupBy.map(field => `$k(${groupExpression(field)})`).join(', ')}], ${JSON.stringify(KEY_SEPARATOR)})`;
+
+  return `(
+  $k := function($v) { $type($v) = "null" or $not($exists($v)) or $v = "" ? ${JSON.stringify(NO_VALUE)} : $string($v) };
+  $rows := ${source}.{
+    "key": ${key},
+    "t": IUCN_Red_List_Category in ${JSON.stringify(THREATENED_CATEGORIES)},
+    "x": $boolean(Extinct_or_possibly_extinct) or IUCN_Red_List_Category in ${JSON.stringify(EXTINCT_CATEGORIES)}
+  };
+  $groups := $rows{ key: { "count": $count(key), "threatened": $count(t[$]), "extinct": $count(x[$]) } };
+  $append([], $each($groups, function($v, $name) { $merge([$v, { "key": $name }]) }))
+)`;
+}
+
+function validateGroupBy(groupBy) {
+  if (!Array.isArray(groupBy) || groupBy.length === 0 || groupBy.length > MAX_GROUP_BY_FIELDS) {
+    throw new McpError(ErrorCode.InvalidParams, `group_by must list 1 to ${MAX_GROUP_BY_FIELDS} fields`);
+  }
+  for (const field of groupBy) {
+    if (typeof field !== 'string' || !FIELD_NAME.test(field)) {
+      throw new McpError(ErrorCode.InvalidParams, `group_by has an invalid field name: "${field}"`);
+    }
+  }
+  return groupBy;
+}
+
+function groupLabel(field, value) {
+  return field === 'Decade' && value !== NO_VALUE ? `${value}s` : value;
+}
+
+const SORTERS = {
+  count: (a, b) => b.count - a.count,
+  share_threatened: (a, b) => b.shareThreatened - a.shareThreatened || b.count - a.count,
+  share_extinct: (a, b) => b.shareExtinct - a.shareExtinct || b.count - a.count,
+  group: (a, b) => Object.values(a.group).join(' ')
+    .localeCompare(Object.values(b.group).join(' '), undefined, { numeric: true }),
+};
+
+/**
+ * Group the matching records and compute the requested metrics per group.
+ */
+export async function aggregateBirds(provider, options) {
+  const groupBy = validateGroupBy(options.groupBy);
+  const filters = validateFilters(options.filters);
+  const metrics = [...(options.metrics ?? ['count'])];
+  for (const metric of metrics) {
+    if (!AGGREGATE_METRICS.includes(metric)) {
+      throw new McpError(ErrorCode.InvalidParams, `metrics must be drawn from ${AGGREGATE_METRICS.join(', ')}; got "${metric}"`);
+    }
+  }
+  const sortBy = options.sortBy ?? 'count';
+  if (!SORTERS[sortBy]) {
+    throw new McpError(ErrorCode.InvalidParams, `sort_by must be one of ${AGGREGATE_SORTS.join(', ')}; got "${sortBy}"`);
+  }
+  // Sorting by a share needs that share computed
+  if (sortBy.startsWith('share_') && !metrics.includes(sortBy)) {
+    metrics.push(sortBy);
+  }
+
+  const query = buildAggregateQuery(groupBy, filters, { speciesOnly: options.speciesOnly ?? true });
+  const { records: groups } = await collectAll(
+    window => provider.executeQuery({ query, ...window }),
+    { pageSize: 1000, maxRecords: MAX_GROUPS }
+  );
+
+  const rows = groups.map(group => {
+    const values = String(group.key).split(KEY_SEPARATOR);
+    const row = {
+      group: Object.fromEntries(groupBy.map((field, i) => [field, groupLabel(field, values[i])])),
+      count: group.count,
+    };
+    if (metrics.includes('share_threatened')) {
+      row.threatened = group.threatened;
+      row.shareThreatened = group.count > 0 ? group.threatened / group.count : 0;
+    }
+    if (metrics.includes('share_extinct')) {
+      row.extinct = group.extinct;
+      row.shareExtinct = group.count > 0 ? group.extinct / group.count : 0;
+    }
+    return row;
+  });
+  rows.sort(SORTERS[sortBy]);
+
+  const limit = options.limit ?? 50;
+  return {
+    groupBy,
+    filters,
+    metrics,
+    speciesOnly: options.speciesOnly ?? true,
+    sortBy,
+    totalRecords: rows.reduce((sum, row) => sum + row.count, 0),
+    totalGroups: rows.length,
+    truncated: rows.length > limit,
+    rows: rows.slice(0, limit),
+  };
+}
@@ -0,0 +1,185 @@
+/**
+ * Response Cache
+ *
+ * TTL + LRU cache for API responses, partitioned by tool so each tool can
+ * have its own expiry and size limit. Optionally persisted to a JSON file so
+ * cached data survives restarts.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { Logger } from './logger.js';
+
+const SAVE_DELAY_MS = 1000;
+const DEFAULT_GROUP = 'default';
+
+export class ResponseCache {
+  constructor({ ttlMs, maxEntries, tools = {}, persistFile = null }, logger = new Logger()) {
+    this.logger = logger;
+    this.defaults = { ttlMs, maxEntries };
+    this.toolSettings = tools;
+    this.persistFile = persistFile;
+    this.groups = new Map();
+    this.counters = new Map();
+    this.saveTimer = null;
+  }
+
+  static key(method, endpoint, body) {
+    return `${method || 'GET'} ${endpoint}${body ? ` ${body}` : ''}`;
+  }
+
+  settingsFor(group) {
+    return { ...this.defaults, ...this.toolSettings[group] };
+  }
+
+  isEnabledFor(group = DEFAULT_GROUP) {
+    const { ttlMs, maxEntries } = this.settingsFor(group);
+    return ttlMs > 0 && maxEntries > 0;
+  }
+
+  entriesFor(group) {
+    if (!this.groups.has(group)) {
+      this.groups.set(group, new Map());
+    }
+    return this.groups.get(group);
+  }
+
+  countersFor(group) {
+    if (!this.counters.has(group)) {
+      this.counters.set(group, { hits: 0, misses: 0, evictions: 0 });
+    }
+    return this.counters.get(group);
+  }
+
+  get(group = DEFAULT_GROUP, key) {
+    const entries = this.entriesFor(group);
+    const counters = this.countersFor(group);
+    const entry = entries.get(key);
+
+    if (!entry || entry.expiresAt <= Date.now()) {
+      if (entry) entries.delete(key);
+      counters.misses++;
+      return undefined;
+    }
+
+    // Re-insert so Map iteration order tracks recency for LRU eviction
+    entries.delete(key);
+    entries.set(key, entry);
+    counters.hits++;
+    return entry.value;
+  }
+
+  set(group = DEFAULT_GROUP, key, value) {
+    const { ttlMs, maxEntries } = this.settingsFor(group);
+    if (ttlMs <= 0 || maxEntries <= 0) {
+      return;
+    }
+
+    const entries = this.entriesFor(group);
+    entries.delete(key);
+    entries.set(key, { value, expiresAt: Date.now() + ttlMs });
+
+    while (entries.size > maxEntries) {
+      entries.delete(entries.keys().next().value);
+      this.countersFor(group).evictions++;
+    }
+
+    this.scheduleSave();
+  }
+
+  clear(group) {
+    if (group) {
+      this.groups.delete(group);
+    } else {
+      this.groups.clear();
+    }
+    this.scheduleSave();
+  }
+
+  stats() {
+    const groupNames = new Set([...this.groups.keys(), ...this.counters.keys()]);
+    const tools = {};
+    const totals = { hits: 0, misses: 0, evictions: 0, entries: 0 };
+
+    for (const group of [...groupNames].sort()) {
+      const counters = this.countersFor(group);
+      const entries = this.groups.get(group)?.size || 0;
+      tools[group] = { ...counters, entries, ...this.settingsFor(group) };
+      totals.hits += counters.hits;
+      totals.misses += counters.misses;
+      totals.evictions += counters.evictions;
+      totals.entries += entries;
+    }
+
+    const lookups = totals.hits + totals.misses;
+    return {
+      ...totals,
+      hitRate: lookups ? totals.hits / lookups : 0,
+      persistFile: this.persistFile,
+      tools,
+    };
+  }
+
+  async load() {
+    if (!this.persistFile) {
+      return;
+    }
+
+    let snapshot;
+    try {
+      snapshot = JSON.parse(await fs.readFile(this.persistFile, 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        this.logger.warning('ignoring unreadable cache file', { file: this.persistFile, error });
+      }
+      return;
+    }
+
+    const now = Date.now();
+    for (const [group, entries] of Object.entries(snapshot.groups || {})) {
+      const target = this.entriesFor(group);
+      for (const [key, entry] of entries) {
+        if (entry.expiresAt > now) {
+          target.set(key, entry);
+        }
+      }
+    }
+  }
+
+  scheduleSave() {
+    if (!this.persistFile || this.saveTimer) {
+      return;
+    }
+    this.saveTimer = setTimeout(() => {
+      this.saveTimer = null;
+      this.save().catch(error => {
+        this.logger.error('failed to persist cache', { file: this.persistFile, error });
+      });
+    }, SAVE_DELAY_MS);
+  }
+
+  async save() {
+    if (!this.persistFile) {
+      return;
+    }
+
+    const groups = {};
+    for (const [group, entries] of this.groups) {
+      groups[group] = [...entries];
+    }
+
+    // Write to a temporary file first so a crash never leaves a truncated cache
+    const tempFile = `${this.persistFile}.${process.pid}.tmp`;
+    await fs.mkdir(path.dirname(path.resolve(this.persistFile)), { recursive: true });
+    await fs.writeFile(tempFile, JSON.stringify({ savedAt: new Date().toISOString(), groups }));
+    await fs.rename(tempFile, this.persistFile);
+  }
+
+  async flush() {
+    if (this.saveTimer) {
+      clearTimeout(this.saveTimer);
+      this.saveTimer = null;
+    }
+    await this.save();
+  }
+}
@@ -0,0 +1,193 @@
+/**
+ * Species Comparison
+ *
+ * Lines up two or more species reports attribute by attribute: taxonomy and
+ * shared ancestry, conservation status, authority, name variants across the
+ * AviList, Clements and BirdLife checklists, and region keywords their
+ * ranges have in common.
+ */
+
+import { mapConcurrent } from './concurrency.js';
+import { AvibaseErrorCode, notFoundError } from './errors.js';
+import { getResolvedReport } from './names.js';
+import { genusOf } from './taxonomy.js';
+
+export const MIN_COMPARE_SPECIES = 2;
+export const MAX_COMPARE_SPECIES = 10;
+
+// Compass qualifiers and filler words in range descriptions that say
+// nothing about where a species lives
+const RANGE_STOPWORDS = new Set([
+  'n', 's', 'e', 'w', 'ne', 'nw', 'se', 'sw', 'c', 'nc', 'sc', 'ec', 'wc',
+  'north', 'south', 'east', 'west', 'northern', 'southern', 'eastern', 'western', 'central',
+  'northeast', 'northwest', 'southeast', 'southwest',
+  'northeastern', 'northwestern', 'southeastern', 'southwestern',
+  'and', 'to', 'of', 'the', 'in', 'from', 'including', 'locally', 'also', 'islands', 'is', 'mts',
+]);
+
+// Lowercase particles inside place names, e.g. "Tierra del Fuego"
+const NAME_PARTICLES = new Set(['del', 'de', 'da', 'do', 'dos', 'la', 'las', 'los', 'el']);
+
+// Place names that start with a compass word, which must not be stripped
+const COMPASS_PLACE_NAMES = new Set([
+  'north america', 'south america', 'central america', 'south africa', 'central africa',
+  'north korea', 'south korea', 'east timor', 'west papua', 'south georgia', 'north island', 'south island',
+]);
+
+// Ancestry levels from closest to most distant
+const ANCESTRY_LEVELS = [
+  { level: 'genus', name: bird => genusOf(bird.Scientific_name) },
+  { level: 'family', name: bird => bird.Family },
+  { level: 'order', name: bird => bird.Order },
+];
+
+/**
+ * Split an authority string such as "(Linnaeus, 1758)" into its parts.
+ * Parentheses mean the species was first described in another genus.
+ */
+export function parseAuthority(authority) {
+  if (!authority) {
+    return { author: null, year: null, originalGenus: true };
+  }
+  const text = String(authority).trim();
+  const year = text.match(/\b(1[5-9]\d{2}|20\d{2})\b/);
+  const author = text.replace(/^\(|\)$/g, '').replace(/,?\s*\b(1[5-9]\d{2}|20\d{2})\b.*$/, '').trim();
+  return {
+    author: author || null,
+    year: year ? Number(year[1]) : null,
+    originalGenus: !text.startsWith('('),
+  };
+}
+
+/**
+ * Place names mentioned in a range description, e.g. "Madagascar",
+ * "New Guinea", "Himalayas".
+ */
+export function rangeKeywords(range) {
+  if (!range) {
+    return [];
+  }
+
+  const keywords = new Set();
+  for (const phrase of String(range).split(/[,;:()\/]|\band\b|\bto\b/)) {
+    // Keep runs of capitalized words ("New Guinea"), dropping compass prefixes
+    const words = phrase.trim().split(/\s+/).filter(Boolean);
+    let current = [];
+    const flush = () => {
+      if (current.length > 0) {
+        keywords.add(current.join(' '));
+      }
+      current = [];
+    };
+    const cleaned = words.map(word => word.replace(/[^\p{L}\p{N}'-]/gu, ''));
+    cleaned.forEach((clean, i) => {
+      const compassPlace = current.length === 0 && COMPASS_PLACE_NAMES.has(`${clean} ${cleaned[i + 1]}`.toLowerCase());
+      const particle = current.length > 0 && NAME_PARTICLES.has(clean) && /^\p{Lu}/u.test(cleaned[i + 1] ?? '');
+      if (particle || (/^\p{Lu}/u.test(clean) && (compassPlace || !RANGE_STOPWORDS.has(clean.toLowerCase())))) {
+        current.push(clean);
+      } else {
+        flush();
+      }
+    });
+    flush();
+  }
+  return [...keywords];
+}
+
+/**
+ * The closest rank shared by every bird, or null if they only share the class.
+ */
+export function sharedAncestry(birds) {
+  for (const { level, name } of ANCESTRY_LEVELS) {
+    const names = new Set(birds.map(name));
+    if (names.size === 1 && [...names][0]) {
+      return { level, name: [...names][0] };
+    }
+  }
+  return null;
+}
+
+function describeSpecies(report) {
+  const bird = report.bird;
+  const authority = parseAuthority(bird.Authority);
+  return {
+    scientificName: bird.Scientific_name,
+    taxonRank: bird.Taxon_rank ?? null,
+    order: bird.Order ?? null,
+    family: bird.Family ?? null,
+    familyEnglishName: bird.Family_English_name ?? null,
+    genus: genusOf(bird.Scientific_name),
+    iucnCategory: bird.IUCN_Red_List_Category ?? null,
+    conservationStatus: report.conservationStatus ?? null,
+    extinct: Boolean(bird.Extinct_or_possibly_extinct),
+    extinctionStatus: bird.Extinct_or_possibly_extinct ?? null,
+    authority: bird.Authority ?? null,
+    authorityName: authority.author,
+    year: authority.year,
+    originalGenus: authority.originalGenus,
+    names: {
+      aviList: bird.English_name_AviList ?? null,
+      clements: bird.English_name_Clements_v2024 ?? null,
+      birdLife: bird.English_name_BirdLife_v9 ?? null,
+    },
+    range: bird.Range ?? null,
+    rangeKeywords: rangeKeywords(bird.Range),
+  };
+}
+
+/**
+ * Fetch a report for every name, resolving names with no exact match
+ * unless `fuzzy` is false, and line them up. Fails with NotFound naming
+ * every species that couldn't be found.
+ */
+export async function compareBirds(provider, scientificNames, { concurrency, fuzzy = true }) {
+  const missing = [];
+  const resolved = await mapConcurrent(scientificNames, concurrency, async name => {
+    try {
+      return await getResolvedReport(provider, name, { fuzzy });
+    } catch (error) {
+      if (error.code === AvibaseErrorCode.NotFound) {
+        missing.push(name);
+        return null;
+      }
+      throw error;
+    }
+  });
+  if (missing.length > 0) {
+    throw notFoundError(`No bird found for: ${missing.join(', ')}`);
+  }
+
+  const reports = resolved.map(({ report }) => report);
+  const birds = reports.map(report => report.bird);
+  const species = reports.map(describeSpecies);
+
+  const pairs = [];
+  for (let i = 0; i < birds.length; i++) {
+    for (let j = i + 1; j < birds.length; j++) {
+      pairs.push({
+        a: birds[i].Scientific_name,
+        b: birds[j].Scientific_name,
+        sharedAncestry: sharedAncestry([birds[i], birds[j]]),
+      });
+    }
+  }
+
+  // Keywords mentioned in at least two of the ranges
+  const mentions = new Map();
+  for (const entry of species) {
+    for (const keyword of entry.rangeKeywords) {
+      mentions.set(keyword, (mentions.get(keyword) || 0) + 1);
+    }
+  }
+  const sharedRangeKeywords = [...mentions]
+    .filter(([, count]) => count > 1)
+    .map(([keyword]) => keyword);
+
+  return {
+    species,
+    sharedAncestry: sharedAncestry(birds),
+    pairs,
+    sharedRangeKeywords,
+    resolutions: scientificNames.map((input, i) => ({ input, resolution: resolved[i].resolution })),
+  };
+}
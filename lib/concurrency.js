@@ -0,0 +1,22 @@
+/**
+ * Bounded Concurrency
+ *
+ * Runs an async function over a list with at most `concurrency` calls in
+ * flight, so batch tools don't flood the upstream API.
+ */
+
+export async function mapConcurrent(items, concurrency, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  };
+
+  const workers = Array.from({ length: Math.min(Math.max(concurrency, 1), items.length) }, worker);
+  await Promise.all(workers);
+  return results;
+}
@@ -0,0 +1,512 @@
+/**
+ * Server Configuration
+ *
+ * Resolves runtime settings for the MCP server. Values are merged from
+ * (lowest to highest precedence) the built-in defaults, a JSON config file,
+ * environment variables and CLI flags, then validated before startup.
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { JSONATA_FUNCTIONS } from './jsonata-guard.js';
+import { LOG_LEVELS, isLogLevel } from './logger.js';
+
+export const DEFAULT_CONFIG = {
+  transport: 'stdio',
+  http: {
+    host: '127.0.0.1',
+    port: 3000,
+    path: '/mcp',
+    sessionIdleTimeoutMs: 30 * 60 * 1000,
+    shutdownTimeoutMs: 10000,
+    dnsRebindingProtection: true,
+    allowedHosts: [],
+    allowedOrigins: [],
+  },
+  provider: 'auto',
+  dataset: {
+    file: null,
+    version: null,
+    snapshotDir: path.join(os.homedir(), '.avibase-mcp', 'snapshots'),
+  },
+  api: {
+    baseUrl: 'http://shayk.dev/avibase-mcp/api',
+    apiKey: null,
+    apiKeyHeader: 'Authorization',
+    headers: {},
+    timeoutMs: 30000,
+    retry: {
+      maxRetries: 3,
+      baseDelayMs: 250,
+      maxDelayMs: 10000,
+    },
+    circuitBreaker: {
+      failureThreshold: 5,
+      resetTimeoutMs: 30000,
+    },
+    tls: {
+      rejectUnauthorized: true,
+      caFile: null,
+    },
+  },
+  lookup: {
+    concurrency: 5,
+    maxFuzzyNames: 25,
+  },
+  jsonata: {
+    enabled: true,
+    maxQueryLength: 2000,
+    timeoutMs: 5000,
+    maxResultBytes: 1024 * 1024,
+    // null allows every built-in function; otherwise a list such as ["count", "sum"]
+    allowedFunctions: null,
+  },
+  export: {
+    outputDir: null,
+    maxRecords: 10000,
+  },
+  savedQueries: {
+    file: path.join(os.homedir(), '.avibase-mcp', 'saved-queries.json'),
+  },
+  logging: {
+    // Lowest level written to stderr, or "off"
+    level: 'info',
+    // Lowest level sent to MCP clients until they choose one with logging/setLevel
+    clientLevel: 'warning',
+    // Tool argument names (matched case-insensitively as substrings) whose values are never logged
+    redact: ['api_key', 'apikey', 'token', 'secret', 'password', 'authorization'],
+  },
+  cache: {
+    enabled: true,
+    ttlMs: 5 * 60 * 1000,
+    maxEntries: 500,
+    persistFile: null,
+    // Per-tool overrides of ttlMs / maxEntries; a ttlMs of 0 disables caching
+    tools: {
+      get_random_birds: { ttlMs: 0 },
+    },
+  },
+};
+
+// Every option that can be set from the command line or the environment.
+// `key` is the dotted path into the config object.
+const OPTIONS = [
+  { flag: '--transport', env: 'AVIBASE_TRANSPORT', key: 'transport', type: 'string' },
+  { flag: '--host', env: 'AVIBASE_HTTP_HOST', key: 'http.host', type: 'string' },
+  { flag: '--port', env: 'AVIBASE_HTTP_PORT', key: 'http.port', type: 'integer' },
+  { flag: '--http-path', env: 'AVIBASE_HTTP_PATH', key: 'http.path', type: 'string' },
+  { flag: '--session-idle-timeout', env: 'AVIBASE_SESSION_IDLE_TIMEOUT_MS', key: 'http.sessionIdleTimeoutMs', type: 'integer' },
+  { flag: '--shutdown-timeout', env: 'AVIBASE_SHUTDOWN_TIMEOUT_MS', key: 'http.shutdownTimeoutMs', type: 'integer' },
+  { flag: '--dns-rebinding-protection', env: 'AVIBASE_DNS_REBINDING_PROTECTION', key: 'http.dnsRebindingProtection', type: 'boolean' },
+  { flag: '--allowed-hosts', env: 'AVIBASE_ALLOWED_HOSTS', key: 'http.allowedHosts', type: 'list' },
+  { flag: '--allowed-origins', env: 'AVIBASE_ALLOWED_ORIGINS', key: 'http.allowedOrigins', type: 'list' },
+  { flag: '--provider', env: 'AVIBASE_PROVIDER', key: 'provider', type: 'string' },
+  { flag: '--data-file', env: 'AVIBASE_DATA_FILE', key: 'dataset.file', type: 'string' },
+  { flag: '--dataset-version', env: 'AVIBASE_DATASET_VERSION', key: 'dataset.version', type: 'string' },
+  { flag: '--snapshot-dir', env: 'AVIBASE_SNAPSHOT_DIR', key: 'dataset.snapshotDir', type: 'string' },
+  { flag: '--api-url', env: 'AVIBASE_API_URL', key: 'api.baseUrl', type: 'string' },
+  { flag: '--api-key', env: 'AVIBASE_API_KEY', key: 'api.apiKey', type: 'string' },
+  { flag: '--api-key-header', env: 'AVIBASE_API_KEY_HEADER', key: 'api.apiKeyHeader', type: 'string' },
+  { flag: '--header', env: 'AVIBASE_API_HEADERS', key: 'api.headers', type: 'headers' },
+  { flag: '--timeout', env: 'AVIBASE_TIMEOUT_MS', key: 'api.timeoutMs', type: 'integer' },
+  { flag: '--max-retries', env: 'AVIBASE_MAX_RETRIES', key: 'api.retry.maxRetries', type: 'integer' },
+  { flag: '--retry-base-delay', env: 'AVIBASE_RETRY_BASE_DELAY_MS', key: 'api.retry.baseDelayMs', type: 'integer' },
+  { flag: '--retry-max-delay', env: 'AVIBASE_RETRY_MAX_DELAY_MS', key: 'api.retry.maxDelayMs', type: 'integer' },
+  { flag: '--breaker-threshold', env: 'AVIBASE_BREAKER_THRESHOLD', key: 'api.circuitBreaker.failureThreshold', type: 'integer' },
+  { flag: '--breaker-reset', env: 'AVIBASE_BREAKER_RESET_MS', key: 'api.circuitBreaker.resetTimeoutMs', type: 'integer' },
+  { flag: '--tls-reject-unauthorized', env: 'AVIBASE_TLS_REJECT_UNAUTHORIZED', key: 'api.tls.rejectUnauthorized', type: 'boolean' },
+  { flag: '--ca-file', env: 'AVIBASE_CA_FILE', key: 'api.tls.caFile', type: 'string' },
+  { flag: '--lookup-concurrency', env: 'AVIBASE_LOOKUP_CONCURRENCY', key: 'lookup.concurrency', type: 'integer' },
+  { flag: '--lookup-max-fuzzy-names', env: 'AVIBASE_LOOKUP_MAX_FUZZY_NAMES', key: 'lookup.maxFuzzyNames', type: 'integer' },
+  { flag: '--jsonata', env: 'AVIBASE_JSONATA', key: 'jsonata.enabled', type: 'boolean' },
+  { flag: '--jsonata-max-length', env: 'AVIBASE_JSONATA_MAX_LENGTH', key: 'jsonata.maxQueryLength', type: 'integer' },
+  { flag: '--jsonata-timeout', env: 'AVIBASE_JSONATA_TIMEOUT_MS', key: 'jsonata.timeoutMs', type: 'integer' },
+  { flag: '--jsonata-max-result-bytes', env: 'AVIBASE_JSONATA_MAX_RESULT_BYTES', key: 'jsonata.maxResultBytes', type: 'integer' },
+  { flag: '--jsonata-allowed-functions', env: 'AVIBASE_JSONATA_ALLOWED_FUNCTIONS', key: 'jsonata.allowedFunctions', type: 'list' },
+  { flag: '--export-dir', env: 'AVIBASE_EXPORT_DIR', key: 'export.outputDir', type: 'string' },
+  { flag: '--export-max-records', env: 'AVIBASE_EXPORT_MAX_RECORDS', key: 'export.maxRecords', type: 'integer' },
+  { flag: '--saved-queries-file', env: 'AVIBASE_SAVED_QUERIES_FILE', key: 'savedQueries.file', type: 'string' },
+  { flag: '--log-level', env: 'AVIBASE_LOG_LEVEL', key: 'logging.level', type: 'string' },
+  { flag: '--client-log-level', env: 'AVIBASE_CLIENT_LOG_LEVEL', key: 'logging.clientLevel', type: 'string' },
+  { flag: '--log-redact', env: 'AVIBASE_LOG_REDACT', key: 'logging.redact', type: 'list' },
+  { flag: '--cache', env: 'AVIBASE_CACHE', key: 'cache.enabled', type: 'boolean' },
+  { flag: '--cache-ttl', env: 'AVIBASE_CACHE_TTL_MS', key: 'cache.ttlMs', type: 'integer' },
+  { flag: '--cache-max-entries', env: 'AVIBASE_CACHE_MAX_ENTRIES', key: 'cache.maxEntries', type: 'integer' },
+  { flag: '--cache-file', env: 'AVIBASE_CACHE_FILE', key: 'cache.persistFile', type: 'string' },
+];
+
+export class ConfigError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ConfigError';
+  }
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function deepMerge(target, source) {
+  const result = { ...target };
+  for (const [key, value] of Object.entries(source)) {
+    if (isPlainObject(value) && isPlainObject(result[key])) {
+      result[key] = deepMerge(result[key], value);
+    } else if (value !== undefined) {
+      result[key] = value;
+    }
+  }
+  return result;
+}
+
+function setPath(object, dottedKey, value) {
+  const keys = dottedKey.split('.');
+  let node = object;
+  for (const key of keys.slice(0, -1)) {
+    node[key] = node[key] || {};
+    node = node[key];
+  }
+  node[keys[keys.length - 1]] = value;
+}
+
+function parseHeader(raw, source) {
+  const separator = raw.indexOf(':');
+  if (separator <= 0) {
+    throw new ConfigError(`Invalid header "${raw}" from ${source}; expected "Name: value"`);
+  }
+  return [raw.slice(0, separator).trim(), raw.slice(separator + 1).trim()];
+}
+
+const BOOLEAN_WORD = /^(true|false|1|0|yes|no)$/i;
+
+function coerce(option, raw, source) {
+  switch (option.type) {
+    case 'integer': {
+      const value = Number(raw);
+      if (!Number.isInteger(value)) {
+        throw new ConfigError(`${source} must be an integer, got "${raw}"`);
+      }
+      return value;
+    }
+    case 'boolean':
+      if (['true', '1', 'yes'].includes(String(raw).toLowerCase())) return true;
+      if (['false', '0', 'no'].includes(String(raw).toLowerCase())) return false;
+      throw new ConfigError(`${source} must be true or false, got "${raw}"`);
+    case 'headers':
+      // Environment variables carry several headers separated by newlines or ";"
+      return Object.fromEntries(
+        String(raw)
+          .split(/[\n;]/)
+          .filter(entry => entry.trim())
+          .map(entry => parseHeader(entry, source))
+      );
+    case 'list':
+      return String(raw)
+        .split(',')
+        .map(entry => entry.trim())
+        .filter(Boolean);
+    default:
+      return raw;
+  }
+}
+
+function parseArgs(argv) {
+  const overrides = {};
+  let configFile = null;
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const [flag, inlineValue] = arg.includes('=') ? arg.split(/=(.*)/s) : [arg, undefined];
+
+    const takeValue = () => {
+      if (inlineValue !== undefined) return inlineValue;
+      if (i + 1 >= argv.length) {
+        throw new ConfigError(`Missing value for ${flag}`);
+      }
+      return argv[++i];
+    };
+
+    if (flag === '--config') {
+      configFile = takeValue();
+      continue;
+    }
+
+    const option = OPTIONS.find(o => o.flag === flag);
+    if (!option) {
+      throw new ConfigError(`Unknown option: ${flag}`);
+    }
+
+    if (option.type === 'headers') {
+      const [name, value] = parseHeader(takeValue(), flag);
+      const headers = overrides[option.key] || {};
+      headers[name] = value;
+      overrides[option.key] = headers;
+    } else if (option.type === 'boolean' && inlineValue === undefined) {
+      // `--cache false` as well as `--cache=false`; a bare flag means true
+      overrides[option.key] = BOOLEAN_WORD.test(argv[i + 1] ?? '') ? coerce(option, argv[++i], flag) : true;
+    } else {
+      overrides[option.key] = coerce(option, takeValue(), flag);
+    }
+  }
+
+  return { configFile, overrides };
+}
+
+function readConfigFile(file) {
+  const resolved = path.resolve(file);
+  let contents;
+  try {
+    contents = fs.readFileSync(resolved, 'utf8');
+  } catch (error) {
+    throw new ConfigError(`Cannot read config file ${resolved}: ${error.message}`);
+  }
+
+  try {
+    const parsed = JSON.parse(contents);
+    if (!isPlainObject(parsed)) {
+      throw new Error('top-level value must be an object');
+    }
+    return parsed;
+  } catch (error) {
+    throw new ConfigError(`Invalid config file ${resolved}: ${error.message}`);
+  }
+}
+
+function validateCacheLimits(settings, prefix) {
+  for (const field of ['ttlMs', 'maxEntries']) {
+    const value = settings[field];
+    if (value !== undefined && (!Number.isInteger(value) || value < 0)) {
+      throw new ConfigError(`${prefix}.${field} must be a non-negative integer, got "${value}"`);
+    }
+  }
+}
+
+function validateLogging(logging) {
+  if (!isLogLevel(logging.level)) {
+    throw new ConfigError(`logging.level must be one of ${LOG_LEVELS.join(', ')} or off, got "${logging.level}"`);
+  }
+  if (!LOG_LEVELS.includes(logging.clientLevel)) {
+    throw new ConfigError(`logging.clientLevel must be one of ${LOG_LEVELS.join(', ')}, got "${logging.clientLevel}"`);
+  }
+  if (!Array.isArray(logging.redact) || logging.redact.some(name => typeof name !== 'string' || !name)) {
+    throw new ConfigError('logging.redact must be a list of argument names');
+  }
+}
+
+function validateCache(cache) {
+  if (typeof cache.enabled !== 'boolean') {
+    throw new ConfigError('cache.enabled must be a boolean');
+  }
+  validateCacheLimits(cache, 'cache');
+
+  if (!isPlainObject(cache.tools)) {
+    throw new ConfigError('cache.tools must be an object keyed by tool name');
+  }
+  for (const [tool, settings] of Object.entries(cache.tools)) {
+    if (!isPlainObject(settings)) {
+      throw new ConfigError(`cache.tools.${tool} must be an object`);
+    }
+    validateCacheLimits(settings, `cache.tools.${tool}`);
+  }
+}
+
+function validateJsonata(options) {
+  if (typeof options.enabled !== 'boolean') {
+    throw new ConfigError('jsonata.enabled must be a boolean');
+  }
+  for (const field of ['maxQueryLength', 'timeoutMs', 'maxResultBytes']) {
+    if (!Number.isInteger(options[field]) || options[field] <= 0) {
+      throw new ConfigError(`jsonata.${field} must be a positive integer, got "${options[field]}"`);
+    }
+  }
+
+  const allowed = options.allowedFunctions;
+  if (allowed === null) {
+    return;
+  }
+  if (!Array.isArray(allowed) || allowed.some(name => typeof name !== 'string')) {
+    throw new ConfigError('jsonata.allowedFunctions must be null or a list of function names');
+  }
+  const unknown = allowed.filter(name => !JSONATA_FUNCTIONS.includes(name.replace(/^\$/, '')));
+  if (unknown.length > 0) {
+    throw new ConfigError(`jsonata.allowedFunctions lists unknown functions: ${unknown.join(', ')}`);
+  }
+}
+
+function validateHttp(options) {
+  if (typeof options.host !== 'string' || !options.host) {
+    throw new ConfigError('http.host must be a non-empty string');
+  }
+  if (!Number.isInteger(options.port) || options.port < 0 || options.port > 65535) {
+    throw new ConfigError(`http.port must be an integer between 0 and 65535, got "${options.port}"`);
+  }
+  if (typeof options.path !== 'string' || !options.path.startsWith('/')) {
+    throw new ConfigError(`http.path must start with "/", got "${options.path}"`);
+  }
+  for (const field of ['sessionIdleTimeoutMs', 'shutdownTimeoutMs']) {
+    if (!Number.isInteger(options[field]) || options[field] <= 0) {
+      throw new ConfigError(`http.${field} must be a positive integer, got "${options[field]}"`);
+    }
+  }
+  if (typeof options.dnsRebindingProtection !== 'boolean') {
+    throw new ConfigError('http.dnsRebindingProtection must be a boolean');
+  }
+  if (!Array.isArray(options.allowedHosts) || options.allowedHosts.some(host => typeof host !== 'string' || !host || host.includes('/'))) {
+    throw new ConfigError('http.allowedHosts must be a list of host names, e.g. ["mcp.example.org"]');
+  }
+  if (!Array.isArray(options.allowedOrigins)) {
+    throw new ConfigError('http.allowedOrigins must be a list of origins');
+  }
+  for (const origin of options.allowedOrigins) {
+    if (origin === '*') {
+      continue;
+    }
+    let url = null;
+    try {
+      url = new URL(origin);
+    } catch {
+      // Reported below
+    }
+    if (!url || url.origin === 'null' || url.pathname !== '/' || url.search || url.hash) {
+      throw new ConfigError(`http.allowedOrigins entries must be origins such as "https://app.example.org", got "${origin}"`);
+    }
+  }
+}
+
+export function validateConfig(config) {
+  const { api, dataset } = config;
+
+  if (!['stdio', 'http'].includes(config.transport)) {
+    throw new ConfigError(`transport must be "stdio" or "http", got "${config.transport}"`);
+  }
+  if (config.transport === 'http') {
+    validateHttp(config.http);
+  }
+
+  if (!['auto', 'remote', 'local'].includes(config.provider)) {
+    throw new ConfigError(`provider must be one of auto, remote, local; got "${config.provider}"`);
+  }
+  if (config.provider === 'local' && !dataset.file) {
+    throw new ConfigError('provider "local" requires dataset.file (--data-file)');
+  }
+  if (dataset.file) {
+    try {
+      fs.accessSync(dataset.file, fs.constants.R_OK);
+    } catch {
+      throw new ConfigError(`dataset.file is not readable: ${dataset.file}`);
+    }
+  }
+  if (dataset.version !== null && (typeof dataset.version !== 'string' || !dataset.version)) {
+    throw new ConfigError('dataset.version must be a non-empty string when set');
+  }
+  if (typeof dataset.snapshotDir !== 'string' || !dataset.snapshotDir) {
+    throw new ConfigError('dataset.snapshotDir must be a directory path');
+  }
+
+  let url;
+  try {
+    url = new URL(api.baseUrl);
+  } catch {
+    throw new ConfigError(`api.baseUrl is not a valid URL: "${api.baseUrl}"`);
+  }
+  if (!['http:', 'https:'].includes(url.protocol)) {
+    throw new ConfigError(`api.baseUrl must use http or https, got "${url.protocol}"`);
+  }
+
+  if (!Number.isInteger(api.timeoutMs) || api.timeoutMs <= 0) {
+    throw new ConfigError(`api.timeoutMs must be a positive integer, got "${api.timeoutMs}"`);
+  }
+
+  for (const [group, fields] of [
+    ['retry', ['maxRetries', 'baseDelayMs', 'maxDelayMs']],
+    ['circuitBreaker', ['failureThreshold', 'resetTimeoutMs']],
+  ]) {
+    for (const field of fields) {
+      const value = api[group][field];
+      if (!Number.isInteger(value) || value < 0) {
+        throw new ConfigError(`api.${group}.${field} must be a non-negative integer, got "${value}"`);
+      }
+    }
+  }
+
+  if (api.apiKey !== null && (typeof api.apiKey !== 'string' || !api.apiKey.trim())) {
+    throw new ConfigError('api.apiKey must be a non-empty string when set');
+  }
+
+  const headerName = /^[!#$%&'*+.^_`|~0-9A-Za-z-]+$/;
+  if (!headerName.test(api.apiKeyHeader || '')) {
+    throw new ConfigError(`api.apiKeyHeader is not a valid header name: "${api.apiKeyHeader}"`);
+  }
+  if (!isPlainObject(api.headers)) {
+    throw new ConfigError('api.headers must be an object of header names to values');
+  }
+  for (const [name, value] of Object.entries(api.headers)) {
+    if (!headerName.test(name) || typeof value !== 'string') {
+      throw new ConfigError(`api.headers contains an invalid header: "${name}"`);
+    }
+  }
+
+  if (typeof api.tls.rejectUnauthorized !== 'boolean') {
+    throw new ConfigError('api.tls.rejectUnauthorized must be a boolean');
+  }
+  if (api.tls.caFile) {
+    try {
+      fs.accessSync(api.tls.caFile, fs.constants.R_OK);
+    } catch {
+      throw new ConfigError(`api.tls.caFile is not readable: ${api.tls.caFile}`);
+    }
+  }
+
+  if (!Number.isInteger(config.lookup.concurrency) || config.lookup.concurrency < 1) {
+    throw new ConfigError(`lookup.concurrency must be a positive integer, got "${config.lookup.concurrency}"`);
+  }
+  if (!Number.isInteger(config.lookup.maxFuzzyNames) || config.lookup.maxFuzzyNames < 0) {
+    throw new ConfigError(`lookup.maxFuzzyNames must be a non-negative integer, got "${config.lookup.maxFuzzyNames}"`);
+  }
+
+  if (!Number.isInteger(config.export.maxRecords) || config.export.maxRecords < 1) {
+    throw new ConfigError(`export.maxRecords must be a positive integer, got "${config.export.maxRecords}"`);
+  }
+  if (config.export.outputDir !== null && (typeof config.export.outputDir !== 'string' || !config.export.outputDir)) {
+    throw new ConfigError('export.outputDir must be a directory path when set');
+  }
+
+  if (typeof config.savedQueries.file !== 'string' || !config.savedQueries.file) {
+    throw new ConfigError('savedQueries.file must be a file path');
+  }
+
+  validateJsonata(config.jsonata);
+  validateLogging(config.logging);
+  validateCache(config.cache);
+
+  return config;
+}
+
+/**
+ * Build the effective configuration from CLI arguments and environment.
+ */
+export function loadConfig(argv = [], env = {}) {
+  const { configFile, overrides } = parseArgs(argv);
+
+  let config = DEFAULT_CONFIG;
+  const file = configFile || env.AVIBASE_CONFIG;
+  if (file) {
+    config = deepMerge(config, readConfigFile(file));
+  }
+
+  const fromEnv = {};
+  for (const option of OPTIONS) {
+    if (env[option.env] !== undefined && env[option.env] !== '') {
+      setPath(fromEnv, option.key, coerce(option, env[option.env], option.env));
+    }
+  }
+  config = deepMerge(config, fromEnv);
+
+  const fromArgs = {};
+  for (const [key, value] of Object.entries(overrides)) {
+    setPath(fromArgs, key, value);
+  }
+  config = deepMerge(config, fromArgs);
+
+  return validateConfig(config);
+}
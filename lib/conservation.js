@@ -0,0 +1,122 @@
+/**
+ * Regional Conservation Summary
+ *
+ * Threat overview for the species of one region, optionally narrowed to a
+ * family or order: IUCN category counts, the threatened species, extinct
+ * and possibly extinct species, and the families with the highest share of
+ * threatened species.
+ */
+
+import { findBirdsInRegion } from './gazetteer.js';
+import { IUCN_CATEGORIES, IUCN_CATEGORY_NAMES, THREATENED_CATEGORIES } from './iucn.js';
+import { collectAll } from './pagination.js';
+import { isSpecies } from './taxonomy.js';
+
+const MAX_RECORDS = 20000;
+const NOT_ASSESSED = 'NE';
+
+function sameName(value, expected) {
+  return String(value ?? '').toLowerCase() === expected.trim().toLowerCase();
+}
+
+function speciesSummary(bird) {
+  return {
+    scientificName: bird.Scientific_name,
+    englishName: bird.English_name_AviList ?? null,
+    family: bird.Family ?? null,
+    order: bird.Order ?? null,
+    category: bird.IUCN_Red_List_Category || NOT_ASSESSED,
+  };
+}
+
+/**
+ * Collect every species in the region and summarize its conservation
+ * status.
+ */
+export async function regionConservationSummary(provider, region, {
+  family,
+  order,
+  endemicOnly = false,
+  maxSpecies = 100,
+  topFamilies = 10,
+  timeoutMs,
+} = {}) {
+  let regionInfo = null;
+  let candidatesTruncated = false;
+  const { records, truncated } = await collectAll(async window => {
+    const response = await findBirdsInRegion(provider, region, { endemicOnly, timeoutMs, ...window });
+    regionInfo = response.region;
+    candidatesTruncated ||= response.truncated;
+    return response;
+  }, { pageSize: MAX_RECORDS, maxRecords: MAX_RECORDS });
+
+  const species = records.filter(bird => isSpecies(bird)
+    && (!family || sameName(bird.Family, family))
+    && (!order || sameName(bird.Order, order)));
+
+  const counts = new Map([...IUCN_CATEGORIES, NOT_ASSESSED].map(category => [category, 0]));
+  for (const bird of species) {
+    const category = bird.IUCN_Red_List_Category || NOT_ASSESSED;
+    counts.set(category, (counts.get(category) ?? 0) + 1);
+  }
+  const share = count => (species.length > 0 ? count / species.length : 0);
+
+  // Most threatened first, keeping taxonomic order within a category
+  const threatened = species
+    .filter(bird => THREATENED_CATEGORIES.includes(bird.IUCN_Red_List_Category))
+    .map(speciesSummary)
+    .sort((a, b) => THREATENED_CATEGORIES.indexOf(a.category) - THREATENED_CATEGORIES.indexOf(b.category));
+
+  const extinct = species
+    .filter(bird => Boolean(bird.Extinct_or_possibly_extinct))
+    .map(bird => ({ ...speciesSummary(bird), status: String(bird.Extinct_or_possibly_extinct) }));
+
+  const families = new Map();
+  for (const bird of species) {
+    const name = bird.Family || '(none)';
+    if (!families.has(name)) {
+      families.set(name, {
+        family: name,
+        familyEnglishName: bird.Family_English_name ?? null,
+        order: bird.Order ?? null,
+        species: 0,
+        threatened: 0,
+      });
+    }
+    const entry = families.get(name);
+    entry.species += 1;
+    if (THREATENED_CATEGORIES.includes(bird.IUCN_Red_List_Category)) {
+      entry.threatened += 1;
+    }
+  }
+  const familyRanking = [...families.values()]
+    .filter(entry => entry.threatened > 0)
+    .map(entry => ({ ...entry, shareThreatened: entry.threatened / entry.species }))
+    .sort((a, b) => b.shareThreatened - a.shareThreatened || b.threatened - a.threatened || a.family.localeCompare(b.family));
+
+  return {
+    region,
+    resolvedRegion: regionInfo,
+    family: family ?? null,
+    order: order ?? null,
+    endemicOnly,
+    totalSpecies: species.length,
+    iucnCounts: [...counts].map(([category, count]) => ({
+      category,
+      name: IUCN_CATEGORY_NAMES[category] ?? (category === NOT_ASSESSED ? 'Not assessed' : category),
+      count,
+      share: share(count),
+    })),
+    threatened: {
+      total: threatened.length,
+      share: share(threatened.length),
+      species: threatened.slice(0, maxSpecies),
+    },
+    extinct: {
+      total: extinct.length,
+      species: extinct.slice(0, maxSpecies),
+    },
+    families: familyRanking.slice(0, topFamilies),
+    truncated: truncated || candidatesTruncated,
+  };
+}
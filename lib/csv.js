@@ -0,0 +1,74 @@
+/**
+ * CSV Parsing
+ *
+ * Minimal RFC 4180 parser for the AviList CSV export: quoted fields,
+ * escaped quotes, embedded newlines and CRLF line endings.
+ */
+
+export function parseCsvRows(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  // Skip a UTF-8 byte order mark if the export has one
+  let i = text.charCodeAt(0) === 0xfeff ? 1 : 0;
+
+  for (; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"') {
+        if (text[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else {
+          inQuotes = false;
+        }
+      } else {
+        field += char;
+      }
+      continue;
+    }
+
+    if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter(r => r.length > 1 || r[0] !== '');
+}
+
+/**
+ * Parse CSV text into objects keyed by the header row. Empty cells become null.
+ */
+export function parseCsv(text) {
+  const [header, ...rows] = parseCsvRows(text);
+  if (!header) {
+    return [];
+  }
+
+  const columns = header.map(name => name.trim());
+  return rows.map(row => Object.fromEntries(
+    columns.map((column, index) => {
+      const value = row[index];
+      return [column, value === undefined || value === '' ? null : value];
+    })
+  ));
+}
@@ -0,0 +1,395 @@
+/**
+ * Dataset Versions
+ *
+ * Identifies the dataset the server is serving by version and content hash,
+ * saves snapshots of it, and compares two snapshots: added and removed taxa,
+ * IUCN category changes, renamed English names and family reassignments.
+ *
+ * Snapshots are plain dataset files (CSV, JSON or JSON Lines, as accepted by
+ * `--data-file`) in `dataset.snapshotDir`, so an AviList release file can be
+ * dropped in and compared as it is.
+ */
+
+import { createHash } from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import { ErrorCode, McpError } from '@modelcontextprotocol/sdk/types.js';
+import { parseCsv } from './csv.js';
+import { notFoundError } from './errors.js';
+import { IUCN_SEVERITY } from './iucn.js';
+import { MAX_PAGE_SIZE, collectAll } from './pagination.js';
+import { CHECKLISTS } from './reconcile.js';
+import { isSpecies } from './taxonomy.js';
+
+export const CURRENT_SNAPSHOT = 'current';
+export const IUCN_CHANGE_DIRECTIONS = ['uplisted', 'downlisted', 'assessed', 'unassessed', 'reclassified'];
+
+const MAX_DATASET_RECORDS = 200000;
+// Records read to find the checklist columns without a full read
+const CHECKLIST_SAMPLE_SIZE = 50;
+const SNAPSHOT_EXTENSIONS = ['.jsonl', '.ndjson', '.json', '.csv'];
+
+// English name columns carry the checklist version, e.g.
+// English_name_Clements_v2024 or English_name_BirdLife_v9
+const VERSIONED_NAME_FIELD = /^English_name_(.+)_v([\w.]+)$/;
+// Fields are matched without the version suffix so names line up across
+// releases of a checklist
+const CHECKLIST_PREFIXES = Object.fromEntries(
+  Object.entries(CHECKLISTS).map(([key, { field }]) => [key, field.replace(/_v[\w.]+$/, '')])
+);
+
+function normalizeRecord(record) {
+  return Object.fromEntries(
+    Object.entries(record).map(([key, value]) => [key, value === '' ? null : value])
+  );
+}
+
+/**
+ * Records from the contents of a dataset file, read by its extension.
+ * Empty strings become null.
+ */
+export function parseDataset(contents, file) {
+  const extension = path.extname(file).toLowerCase();
+
+  let records;
+  if (extension === '.csv') {
+    records = parseCsv(contents);
+  } else if (extension === '.jsonl' || extension === '.ndjson') {
+    records = contents.split('\n').filter(line => line.trim()).map(line => JSON.parse(line));
+  } else {
+    const parsed = JSON.parse(contents);
+    records = Array.isArray(parsed) ? parsed : parsed.data;
+  }
+
+  if (!Array.isArray(records)) {
+    throw new Error(`Dataset ${file} does not contain an array of records`);
+  }
+  return records.map(normalizeRecord);
+}
+
+// CSV reads every value as a string and JSON keeps numbers, so scalars are
+// compared as trimmed strings
+function canonicalValue(value) {
+  if (typeof value === 'string') {
+    return value.trim();
+  }
+  if (typeof value === 'number' || typeof value === 'boolean') {
+    return String(value);
+  }
+  return value ?? '';
+}
+
+// Sorted keys without empty values, so the same data hashes the same
+// whichever provider or file format it came from
+function canonicalRecord(record) {
+  return Object.fromEntries(
+    Object.keys(record)
+      .sort()
+      .map(key => [key, canonicalValue(record[key])])
+      .filter(([, value]) => value !== '')
+  );
+}
+
+function canonicalRecords(records) {
+  return records
+    .map(canonicalRecord)
+    .filter(record => record.Scientific_name)
+    .sort((a, b) => (a.Scientific_name < b.Scientific_name ? -1 : a.Scientific_name > b.Scientific_name ? 1 : 0));
+}
+
+function toJsonLines(records) {
+  return records.map(record => `${JSON.stringify(record)}\n`).join('');
+}
+
+/**
+ * Release version in a file name such as "AviList-v2025.csv", or null.
+ */
+export function versionFromFileName(file) {
+  const match = path.basename(file, path.extname(file)).match(/(?:^|[-_ ])v(\d[\w.]*)/i);
+  return match ? match[1] : null;
+}
+
+/**
+ * Version, content hash and checklist versions of a set of records.
+ */
+export function describeDataset(records, { source, version = null, truncated = false }) {
+  const canonical = canonicalRecords(records);
+  const hash = createHash('sha256').update(toJsonLines(canonical)).digest('hex');
+
+  return {
+    source,
+    version,
+    hash: `sha256:${hash}`,
+    shortHash: hash.slice(0, 12),
+    records: canonical.length,
+    species: canonical.filter(isSpecies).length,
+    checklists: checklistVersions(canonical),
+    truncated,
+  };
+}
+
+function checklistVersions(records) {
+  const checklists = new Map();
+  for (const record of records) {
+    for (const field of Object.keys(record)) {
+      const match = field.match(VERSIONED_NAME_FIELD);
+      if (match && !checklists.has(field)) {
+        checklists.set(field, { checklist: match[1], version: match[2], field });
+      }
+    }
+  }
+  return [...checklists.values()].sort((a, b) => a.checklist.localeCompare(b.checklist));
+}
+
+/**
+ * Every record the provider serves.
+ */
+export async function readCurrentRecords(provider) {
+  // The local provider already holds them all in memory
+  if (provider.getRecords) {
+    return { records: await provider.getRecords(), truncated: false };
+  }
+  // Kept out of the response cache, where a whole dataset would evict
+  // everything else and bloat the persisted cache file
+  return collectAll(
+    window => provider.executeQuery({ query: '$', cacheGroup: null, ...window }),
+    { pageSize: MAX_PAGE_SIZE, maxRecords: MAX_DATASET_RECORDS }
+  );
+}
+
+// `dataset.version` if set, otherwise whatever the data file's name says
+function datasetSource(provider, config) {
+  const local = Boolean(provider.getRecords);
+  return {
+    source: local ? provider.file : config.api.baseUrl,
+    version: config.dataset.version ?? (local ? versionFromFileName(provider.file) : null),
+  };
+}
+
+/**
+ * Every record the server is serving, with its version and content hash.
+ */
+export async function currentDataset(provider, config) {
+  const { records, truncated } = await readCurrentRecords(provider);
+  return { records, info: describeDataset(records, { ...datasetSource(provider, config), truncated }) };
+}
+
+/**
+ * Version and counts of the dataset the server is serving, from the
+ * provider's stats and one page of records. Hashing needs every record, so
+ * `hash` is null; use currentDataset for that.
+ */
+export async function datasetSummary(provider, config) {
+  const [stats, sample] = await Promise.all([
+    provider.getStats(),
+    provider.getRecords
+      ? provider.getRecords().then(records => records.slice(0, CHECKLIST_SAMPLE_SIZE))
+      : provider.executeQuery({ query: '$', cacheGroup: 'get_dataset_version', offset: 0, limit: CHECKLIST_SAMPLE_SIZE }).then(response => response.data),
+  ]);
+  return {
+    ...datasetSource(provider, config),
+    hash: null,
+    shortHash: null,
+    records: stats.data.totalRecords,
+    species: stats.data.totalSpecies,
+    checklists: checklistVersions(canonicalRecords(sample)),
+    truncated: false,
+  };
+}
+
+function checkSnapshotName(name) {
+  if (name !== path.basename(name) || name.startsWith('.')) {
+    throw new McpError(ErrorCode.InvalidParams, `snapshot name must be a plain file name, got "${name}"`);
+  }
+  if (!SNAPSHOT_EXTENSIONS.includes(path.extname(name).toLowerCase())) {
+    throw new McpError(ErrorCode.InvalidParams, `snapshot name must end in ${SNAPSHOT_EXTENSIONS.join(', ')}; got "${name}"`);
+  }
+}
+
+/**
+ * Write records to the snapshot directory as JSON Lines. The default name
+ * carries the version and short hash, e.g. "avilist-v2025-3f2a9c1b7d4e.jsonl".
+ */
+export async function saveSnapshot(snapshotDir, records, info, name = null) {
+  const file = name ?? `avilist${info.version ? `-v${info.version}` : ''}-${info.shortHash}.jsonl`;
+  checkSnapshotName(file);
+  if (path.extname(file).toLowerCase() !== '.jsonl') {
+    throw new McpError(ErrorCode.InvalidParams, `Snapshots are saved as JSON Lines; use a .jsonl name, got "${file}"`);
+  }
+
+  await fs.mkdir(snapshotDir, { recursive: true });
+  const target = path.resolve(snapshotDir, file);
+  await fs.writeFile(target, toJsonLines(canonicalRecords(records)), 'utf8');
+  return { name: file, file: target };
+}
+
+/**
+ * Dataset files in the snapshot directory, newest first.
+ */
+export async function listSnapshots(snapshotDir) {
+  let entries;
+  try {
+    entries = await fs.readdir(snapshotDir, { withFileTypes: true });
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return [];
+    }
+    throw error;
+  }
+
+  const snapshots = [];
+  for (const entry of entries) {
+    if (!entry.isFile() || entry.name.startsWith('.') || !SNAPSHOT_EXTENSIONS.includes(path.extname(entry.name).toLowerCase())) {
+      continue;
+    }
+    const stats = await fs.stat(path.join(snapshotDir, entry.name));
+    snapshots.push({
+      name: entry.name,
+      version: versionFromFileName(entry.name),
+      bytes: stats.size,
+      modifiedAt: stats.mtime.toISOString(),
+    });
+  }
+  return snapshots.sort((a, b) => b.modifiedAt.localeCompare(a.modifiedAt) || a.name.localeCompare(b.name));
+}
+
+/**
+ * Records and version of a snapshot, or of the served dataset for "current".
+ */
+export async function loadSnapshot(name, { provider, config }) {
+  if (name === CURRENT_SNAPSHOT) {
+    return currentDataset(provider, config);
+  }
+
+  checkSnapshotName(name);
+  const file = path.resolve(config.dataset.snapshotDir, name);
+  let contents;
+  try {
+    contents = await fs.readFile(file, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      throw notFoundError(`No snapshot named "${name}" in ${config.dataset.snapshotDir}`);
+    }
+    throw error;
+  }
+
+  let records;
+  try {
+    records = parseDataset(contents, file);
+  } catch (error) {
+    throw new McpError(ErrorCode.InvalidParams, `Snapshot "${name}" could not be read: ${error.message}`);
+  }
+  return { records, info: describeDataset(records, { source: name, version: versionFromFileName(name) }) };
+}
+
+function checklistNames(record) {
+  const names = {};
+  for (const [key, prefix] of Object.entries(CHECKLIST_PREFIXES)) {
+    const field = Object.keys(record).find(name => name === prefix || name.startsWith(`${prefix}_v`));
+    names[key] = field ? record[field] ?? null : null;
+  }
+  return names;
+}
+
+// Direction of an IUCN change; DD and unassessed sit outside the scale
+function iucnDirection(from, to) {
+  if (!from) {
+    return 'assessed';
+  }
+  if (!to) {
+    return 'unassessed';
+  }
+  const a = IUCN_SEVERITY.indexOf(from);
+  const b = IUCN_SEVERITY.indexOf(to);
+  if (a === -1 || b === -1) {
+    return 'reclassified';
+  }
+  return b > a ? 'uplisted' : 'downlisted';
+}
+
+function taxonSummary(record) {
+  return {
+    scientificName: record.Scientific_name,
+    commonName: record.English_name_AviList ?? null,
+    taxonRank: record.Taxon_rank ?? null,
+    family: record.Family ?? null,
+    iucnCategory: record.IUCN_Red_List_Category ?? null,
+  };
+}
+
+function taxonomicOrder(records) {
+  const sequence = record => {
+    const value = Number(record.Sequence);
+    return Number.isFinite(value) ? value : Infinity;
+  };
+  return [...records].sort((a, b) => sequence(a) - sequence(b) || a.Scientific_name.localeCompare(b.Scientific_name));
+}
+
+/**
+ * Changes between two sets of records, matched by scientific name. Each
+ * list holds at most `maxChanges` entries; `summary` always has the full
+ * counts.
+ */
+export function diffDatasets(fromRecords, toRecords, { maxChanges = 100, speciesOnly = false } = {}) {
+  const index = records => new Map(canonicalRecords(records)
+    .filter(record => !speciesOnly || isSpecies(record))
+    .map(record => [record.Scientific_name, record]));
+  const before = index(fromRecords);
+  const after = index(toRecords);
+
+  const added = taxonomicOrder([...after.values()].filter(record => !before.has(record.Scientific_name)));
+  const removed = taxonomicOrder([...before.values()].filter(record => !after.has(record.Scientific_name)));
+
+  const iucnChanges = [];
+  const renamed = [];
+  const familyChanges = [];
+  for (const record of taxonomicOrder([...after.values()].filter(record => before.has(record.Scientific_name)))) {
+    const old = before.get(record.Scientific_name);
+    const scientificName = record.Scientific_name;
+
+    const fromCategory = old.IUCN_Red_List_Category ?? null;
+    const toCategory = record.IUCN_Red_List_Category ?? null;
+    if (fromCategory !== toCategory) {
+      iucnChanges.push({ scientificName, commonName: record.English_name_AviList ?? null, from: fromCategory, to: toCategory, direction: iucnDirection(fromCategory, toCategory) });
+    }
+
+    const oldNames = checklistNames(old);
+    const newNames = checklistNames(record);
+    for (const key of Object.keys(CHECKLISTS)) {
+      if (oldNames[key] && newNames[key] && oldNames[key] !== newNames[key]) {
+        renamed.push({ scientificName, checklist: key, from: oldNames[key], to: newNames[key] });
+      }
+    }
+
+    if ((old.Family ?? null) !== (record.Family ?? null)) {
+      familyChanges.push({
+        scientificName,
+        commonName: record.English_name_AviList ?? null,
+        from: old.Family ?? null,
+        to: record.Family ?? null,
+        fromOrder: old.Order ?? null,
+        toOrder: record.Order ?? null,
+      });
+    }
+  }
+
+  const cap = list => list.slice(0, maxChanges);
+  const count = direction => iucnChanges.filter(change => change.direction === direction).length;
+  return {
+    summary: {
+      added: added.length,
+      removed: removed.length,
+      iucnChanges: iucnChanges.length,
+      uplisted: count('uplisted'),
+      downlisted: count('downlisted'),
+      renamed: renamed.length,
+      familyChanges: familyChanges.length,
+    },
+    added: cap(added).map(taxonSummary),
+    removed: cap(removed).map(taxonSummary),
+    iucnChanges: cap(iucnChanges),
+    renamed: cap(renamed),
+    familyChanges: cap(familyChanges),
+    truncated: [added, removed, iucnChanges, renamed, familyChanges].some(list => list.length > maxChanges),
+  };
+}
@@ -0,0 +1,125 @@
+/**
+ * Error Mapping
+ *
+ * Classifies upstream failures and converts them into MCP errors, so clients
+ * can tell a missing bird from a rate limit or an unavailable backend.
+ */
+
+import { ErrorCode, McpError } from '@modelcontextprotocol/sdk/types.js';
+
+// Server-defined codes from the JSON-RPC implementation range (-32000..-32099)
+export const AvibaseErrorCode = {
+  ResourceNotFound: -32002,
+  UpstreamUnavailable: -32003,
+  NotFound: -32004,
+  RateLimited: -32029,
+};
+
+const RETRYABLE_STATUSES = new Set([408, 429, 500, 502, 503, 504]);
+const TRANSIENT_NETWORK_CODES = new Set([
+  'ECONNRESET',
+  'ECONNREFUSED',
+  'ETIMEDOUT',
+  'EPIPE',
+  'EAI_AGAIN',
+  'ENOTFOUND',
+  'ENETUNREACH',
+  'EHOSTUNREACH',
+  'UND_ERR_SOCKET',
+]);
+
+export class UpstreamError extends Error {
+  constructor(message, { kind, status = null, retryAfterMs = null, retryable = false } = {}) {
+    super(message);
+    this.name = 'UpstreamError';
+    this.kind = kind;
+    this.status = status;
+    this.retryAfterMs = retryAfterMs;
+    this.retryable = retryable;
+  }
+
+  static fromResponse(response, detail, retryAfterMs) {
+    const reason = detail ? `: ${detail}` : '';
+    return new UpstreamError(`API request failed: ${response.status} ${response.statusText}${reason}`, {
+      kind: 'http',
+      status: response.status,
+      retryAfterMs,
+      retryable: RETRYABLE_STATUSES.has(response.status),
+    });
+  }
+
+  static fromNetworkError(error) {
+    const code = error.code || error.errno || error.cause?.code;
+    return new UpstreamError(error.message, {
+      kind: 'network',
+      retryable: TRANSIENT_NETWORK_CODES.has(code) || error.type === 'system',
+    });
+  }
+
+  // Failures that say something about backend health and should trip the breaker
+  get isServerFault() {
+    return this.kind === 'network' || this.kind === 'timeout'
+      || (this.kind === 'http' && (this.status >= 500 || this.status === 408));
+  }
+}
+
+/**
+ * Convert an upstream failure into the McpError reported to the client.
+ */
+export function toMcpError(error, endpoint) {
+  if (error instanceof McpError) {
+    return error;
+  }
+  if (!(error instanceof UpstreamError)) {
+    return new McpError(
+      ErrorCode.InternalError,
+      `Failed to fetch data from bird API: ${error.message}`
+    );
+  }
+
+  const data = { endpoint, status: error.status, kind: error.kind };
+
+  if (error.kind === 'timeout') {
+    return new McpError(ErrorCode.RequestTimeout, `Bird API did not respond in time: ${error.message}`, data);
+  }
+  if (error.kind === 'circuit_open' || error.isServerFault) {
+    return new McpError(
+      AvibaseErrorCode.UpstreamUnavailable,
+      `Bird API is currently unavailable: ${error.message}`,
+      { ...data, retryAfterMs: error.retryAfterMs }
+    );
+  }
+
+  switch (error.status) {
+    case 400:
+    case 422:
+      return new McpError(ErrorCode.InvalidParams, `Bird API rejected the request: ${error.message}`, data);
+    case 401:
+    case 403:
+      return new McpError(
+        ErrorCode.InvalidRequest,
+        `Bird API refused access, check the configured API key: ${error.message}`,
+        data
+      );
+    case 404:
+      return new McpError(AvibaseErrorCode.NotFound, `Not found in bird API: ${error.message}`, data);
+    case 429: {
+      const wait = error.retryAfterMs ? ` Retry after ${Math.ceil(error.retryAfterMs / 1000)}s.` : '';
+      return new McpError(
+        AvibaseErrorCode.RateLimited,
+        `Bird API rate limit exceeded.${wait}`,
+        { ...data, retryAfterMs: error.retryAfterMs }
+      );
+    }
+    default:
+      return new McpError(
+        ErrorCode.InternalError,
+        `Failed to fetch data from bird API: ${error.message}`,
+        data
+      );
+  }
+}
+
+export function notFoundError(message) {
+  return new McpError(AvibaseErrorCode.NotFound, message);
+}
@@ -0,0 +1,190 @@
+/**
+ * Record Export
+ *
+ * Runs a list query across every page and serializes the records as CSV,
+ * TSV, JSON Lines or Darwin Core taxon records, ready for spreadsheets and
+ * GBIF-style pipelines.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { ErrorCode, McpError } from '@modelcontextprotocol/sdk/types.js';
+import { queryByFilters, validateFilters } from './filters.js';
+import { findBirdsInRegion } from './gazetteer.js';
+import { collectAll } from './pagination.js';
+
+export const EXPORT_FORMATS = ['csv', 'tsv', 'jsonl', 'dwc'];
+
+const FILE_TYPES = {
+  csv: { extension: 'csv', mimeType: 'text/csv' },
+  tsv: { extension: 'tsv', mimeType: 'text/tab-separated-values' },
+  jsonl: { extension: 'jsonl', mimeType: 'application/x-ndjson' },
+  dwc: { extension: 'csv', mimeType: 'text/csv' },
+};
+
+// The list tools an export can run, with the provider call behind each.
+// Sources built on JSONata queries get the same evaluation deadline as the
+// tools themselves.
+export const EXPORT_SOURCES = {
+  custom_bird_query: {
+    fetch: (provider, { filters, sort_by: sortBy, sort_order: sortOrder }, window, { timeoutMs }) => (
+      queryByFilters(provider, validateFilters(filters, 'arguments.filters'), { sortBy, sortOrder, timeoutMs, ...window })
+    ),
+  },
+  get_birds_by_region: {
+    fetch: (provider, { region, endemic_only: endemicOnly, include_broader: broader }, window, { timeoutMs }) => (
+      findBirdsInRegion(provider, region, { endemicOnly, broader, timeoutMs, ...window })
+    ),
+  },
+  get_birds_by_taxonomy: {
+    fetch: (provider, { level, value }, window) => provider.getBirdsByTaxonomy({ level, value, ...window }),
+  },
+};
+
+const DARWIN_CORE_COLUMNS = [
+  'taxonID',
+  'scientificName',
+  'scientificNameAuthorship',
+  'taxonRank',
+  'kingdom',
+  'class',
+  'order',
+  'family',
+  'vernacularName',
+  'taxonRemarks',
+];
+
+export function toDarwinCore(bird) {
+  return {
+    taxonID: bird.AvibaseID ?? null,
+    scientificName: bird.Scientific_name,
+    scientificNameAuthorship: bird.Authority ?? null,
+    taxonRank: bird.Taxon_rank ?? null,
+    kingdom: 'Animalia',
+    class: 'Aves',
+    order: bird.Order ?? null,
+    family: bird.Family ?? null,
+    vernacularName: bird.English_name_AviList ?? null,
+    taxonRemarks: bird.IUCN_Red_List_Category ? `IUCN Red List: ${bird.IUCN_Red_List_Category}` : null,
+  };
+}
+
+// Union of the keys of every record, in first-seen order
+function columnsOf(records) {
+  const columns = new Set();
+  for (const record of records) {
+    for (const key of Object.keys(record)) {
+      columns.add(key);
+    }
+  }
+  return [...columns];
+}
+
+// Spreadsheet apps run cells starting with these as formulas, so such text
+// gets a leading apostrophe to be shown as typed
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+function cellText(value) {
+  if (typeof value === 'string') {
+    return FORMULA_PREFIX.test(value) ? `'${value}` : value;
+  }
+  return typeof value === 'object' ? JSON.stringify(value) : String(value);
+}
+
+function csvCell(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  const text = cellText(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function tsvCell(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  const text = cellText(value);
+  // TSV has no quoting, so tabs and line breaks inside a value become spaces
+  return text.replace(/[\t\r\n]+/g, ' ');
+}
+
+function delimited(records, columns, separator, cell) {
+  const lines = [columns.map(cell).join(separator)];
+  for (const record of records) {
+    lines.push(columns.map(column => cell(record[column])).join(separator));
+  }
+  return `${lines.join('\r\n')}\r\n`;
+}
+
+/**
+ * Serialize records in one of the export formats.
+ */
+export function serializeRecords(records, fileFormat) {
+  switch (fileFormat) {
+    case 'csv': {
+      const columns = columnsOf(records);
+      return { columns, text: delimited(records, columns, ',', csvCell) };
+    }
+    case 'tsv': {
+      const columns = columnsOf(records);
+      return { columns, text: delimited(records, columns, '\t', tsvCell) };
+    }
+    case 'jsonl':
+      return {
+        columns: columnsOf(records),
+        text: records.map(record => `${JSON.stringify(record)}\n`).join(''),
+      };
+    case 'dwc':
+      return {
+        columns: DARWIN_CORE_COLUMNS,
+        text: delimited(records.map(toDarwinCore), DARWIN_CORE_COLUMNS, ',', csvCell),
+      };
+    default:
+      throw new McpError(ErrorCode.InvalidParams, `Unknown export format: ${fileFormat}`);
+  }
+}
+
+export function exportFileType(fileFormat) {
+  return FILE_TYPES[fileFormat];
+}
+
+/**
+ * Fetch every record for a list tool query, up to `maxRecords`.
+ */
+export async function collectExport(provider, source, args, { maxRecords, timeoutMs }) {
+  const definition = EXPORT_SOURCES[source];
+  if (!definition) {
+    throw new McpError(
+      ErrorCode.InvalidParams,
+      `source must be one of ${Object.keys(EXPORT_SOURCES).join(', ')}; got "${source}"`
+    );
+  }
+
+  return collectAll(window => definition.fetch(provider, args, window, { timeoutMs }), { maxRecords });
+}
+
+export function defaultExportName(source, fileFormat) {
+  const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+  return `${source}-${stamp}.${FILE_TYPES[fileFormat].extension}`;
+}
+
+/**
+ * Write an export into the configured output directory. Only plain file
+ * names are accepted, so an export can't escape the directory.
+ */
+export async function writeExportFile(outputDir, filename, text) {
+  if (!outputDir) {
+    throw new McpError(
+      ErrorCode.InvalidParams,
+      'Writing exports to disk requires export.outputDir (--export-dir) in the server configuration'
+    );
+  }
+  if (filename !== path.basename(filename) || filename.startsWith('.')) {
+    throw new McpError(ErrorCode.InvalidParams, `filename must be a plain file name, got "${filename}"`);
+  }
+
+  await fs.promises.mkdir(outputDir, { recursive: true });
+  const target = path.resolve(outputDir, filename);
+  await fs.promises.writeFile(target, text, 'utf8');
+  return target;
+}
@@ -0,0 +1,371 @@
+/**
+ * Record Filters
+ *
+ * The `filters` object accepted by `custom_bird_query`: field names mapped
+ * to a value (equality) or a list of values (any of them), combined with
+ * operators for range keywords, authority and year of description, the
+ * extinct flag, genus prefixes, name patterns and NOT/OR groups. Filters
+ * compile to a JSONata predicate so they can be pushed to the query
+ * endpoint.
+ */
+
+import { ErrorCode, McpError } from '@modelcontextprotocol/sdk/types.js';
+
+const FIELD_NAME = /^[A-Za-z_][A-Za-z0-9_]*$/;
+const MAX_DEPTH = 5;
+const MAX_PATTERN_LENGTH = 200;
+
+export const FILTER_SORTS = ['taxonomy', 'name', 'year', 'family'];
+export const SORT_ORDERS = ['asc', 'desc'];
+
+// Year of description, read from an authority such as "(Linnaeus, 1758)"
+export const AUTHORITY_YEAR = '$number($match($string(Authority), /(1[5-9]|20)[0-9]{2}/)[0].match)';
+
+const NAME_FIELDS = ['Scientific_name', 'English_name_AviList'];
+
+// Operators recognised alongside plain field filters. Field names in the
+// dataset are capitalized, so lowercase keys are reserved for operators.
+const OPERATORS = {
+  range_contains: { check: stringOrList },
+  range_excludes: { check: stringOrList },
+  authority: { check: nonEmptyString },
+  year_from: { check: year },
+  year_to: { check: year },
+  extinct: { check: boolean },
+  genus_prefix: { check: nonEmptyString },
+  name_regex: { check: pattern },
+  not: { check: (value, at, depth) => checkFilters(value, at, depth + 1) },
+  any_of: { check: groups },
+};
+
+function invalid(message) {
+  return new McpError(ErrorCode.InvalidParams, message);
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function nonEmptyString(value, at) {
+  if (typeof value !== 'string' || !value.trim()) {
+    throw invalid(`${at} must be a non-empty string`);
+  }
+}
+
+function stringOrList(value, at) {
+  const values = Array.isArray(value) ? value : [value];
+  if (values.length === 0) {
+    throw invalid(`${at} must be a string or a non-empty list of strings`);
+  }
+  values.forEach((item, i) => nonEmptyString(item, Array.isArray(value) ? `${at}[${i}]` : at));
+}
+
+function year(value, at) {
+  if (!Number.isInteger(value) || value < 1500 || value > 2100) {
+    throw invalid(`${at} must be a year between 1500 and 2100, got ${JSON.stringify(value)}`);
+  }
+}
+
+function boolean(value, at) {
+  if (typeof value !== 'boolean') {
+    throw invalid(`${at} must be true or false`);
+  }
+}
+
+// The quantifier at `i`, if any: its length and whether it repeats
+function quantifierAt(source, i) {
+  const char = source[i];
+  if (char === '*' || char === '+') {
+    return { length: 1, repeats: true };
+  }
+  if (char === '?') {
+    return { length: 1, repeats: false };
+  }
+  const braces = source.slice(i).match(/^\{(\d+)(,(\d*))?\}/);
+  if (braces) {
+    const max = braces[2] === undefined ? Number(braces[1]) : braces[3] === '' ? Infinity : Number(braces[3]);
+    return { length: braces[0].length, repeats: max > 1 };
+  }
+  return null;
+}
+
+// Patterns run synchronously over every record, where nothing can time them
+// out, so the constructs that make backtracking exponential are refused: a
+// repeated group containing a quantifier or an alternative, as in (a+)+ or
+// (a|ab)*, and backreferences
+function checkBacktracking(source, at) {
+  const refuse = example => invalid(`${at} ${example}, which can take exponential time to match; simplify the pattern`);
+  const groups = [{ ambiguous: false }];
+  let closed = null;
+
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+    const quantifier = quantifierAt(source, i);
+    if (quantifier) {
+      if (closed?.ambiguous && quantifier.repeats) {
+        throw refuse('repeats a group that contains a quantifier or alternative, as in (a+)+');
+      }
+      groups.at(-1).ambiguous = true;
+      closed = null;
+      i += quantifier.length - 1;
+      // A lazy marker belongs to this quantifier
+      if (source[i + 1] === '?') {
+        i++;
+      }
+      continue;
+    }
+
+    closed = null;
+    if (char === '\\') {
+      if (/[1-9k]/.test(source[i + 1] ?? '')) {
+        throw refuse('uses a backreference');
+      }
+      i++;
+    } else if (char === '[') {
+      // Skip the character class, which is a single atom
+      for (i++; i < source.length && source[i] !== ']'; i++) {
+        if (source[i] === '\\') {
+          i++;
+        }
+      }
+    } else if (char === '(') {
+      groups.push({ ambiguous: false });
+      if (source[i + 1] === '?') {
+        // (?:…), (?=…), (?<name>…) and the like
+        i += source[i + 2] === '<' && !/[=!]/.test(source[i + 3]) ? source.indexOf('>', i) - i : 2;
+      }
+    } else if (char === ')' && groups.length > 1) {
+      closed = groups.pop();
+      if (closed.ambiguous) {
+        groups.at(-1).ambiguous = true;
+      }
+    } else if (char === '|') {
+      groups.at(-1).ambiguous = true;
+    }
+  }
+}
+
+function pattern(value, at) {
+  nonEmptyString(value, at);
+  if (value.length > MAX_PATTERN_LENGTH) {
+    throw invalid(`${at} is longer than ${MAX_PATTERN_LENGTH} characters`);
+  }
+  try {
+    new RegExp(value, 'i');
+  } catch (error) {
+    throw invalid(`${at} is not a valid regular expression: ${error.message}`);
+  }
+  checkBacktracking(value, at);
+}
+
+function groups(value, at, depth) {
+  if (!Array.isArray(value) || value.length === 0) {
+    throw invalid(`${at} must be a non-empty list of filter objects`);
+  }
+  value.forEach((group, i) => checkFilters(group, `${at}[${i}]`, depth + 1));
+}
+
+function checkFilters(filters, at, depth) {
+  if (!isPlainObject(filters)) {
+    throw invalid(`${at} must be an object of field names to values`);
+  }
+  if (depth > MAX_DEPTH) {
+    throw invalid(`${at} nests "not" and "any_of" groups more than ${MAX_DEPTH} levels deep`);
+  }
+
+  for (const [key, value] of Object.entries(filters)) {
+    const operator = OPERATORS[key];
+    if (operator) {
+      operator.check(value, `${at}.${key}`, depth);
+    } else if (!FIELD_NAME.test(key)) {
+      throw invalid(`${at} has an invalid field name: "${key}"`);
+    } else if (/^[a-z]/.test(key)) {
+      throw invalid(`${at} has an unknown filter "${key}"; filters are field names or one of ${Object.keys(OPERATORS).join(', ')}`);
+    } else if (isPlainObject(value) || (Array.isArray(value) && value.some(item => item !== null && typeof item === 'object'))) {
+      throw invalid(`${at}.${key} must be a value or a list of values`);
+    }
+  }
+
+  if (filters.year_from !== undefined && filters.year_to !== undefined && filters.year_from > filters.year_to) {
+    throw invalid(`${at}.year_from (${filters.year_from}) is after ${at}.year_to (${filters.year_to})`);
+  }
+}
+
+export function validateFilters(filters, argumentName = 'filters') {
+  if (filters === undefined || filters === null) {
+    return {};
+  }
+  checkFilters(filters, argumentName, 0);
+  return filters;
+}
+
+/**
+ * True when every filter is a plain field equality, which the REST API's
+ * `/custom` endpoint can answer without JSONata.
+ */
+export function isSimpleFilters(filters) {
+  return Object.keys(filters).every(key => !OPERATORS[key]);
+}
+
+function lowercased(field) {
+  return `$lowercase($string(${field}))`;
+}
+
+function containsAny(field, values) {
+  const terms = (Array.isArray(values) ? values : [values]).map(value => JSON.stringify(value.trim().toLowerCase()));
+  return `($exists(${field}) and (${terms.map(term => `$contains(${lowercased(field)}, ${term})`).join(' or ')}))`;
+}
+
+// A pattern inside a JSONata /regex/ literal, with bare slashes escaped
+function regexLiteral(source) {
+  return `/${source.replace(/\\.|\//g, match => (match === '/' ? '\\/' : match))}/i`;
+}
+
+function conditionsFor(filters) {
+  const conditions = [];
+  for (const [key, value] of Object.entries(filters)) {
+    switch (key) {
+      case 'range_contains':
+        conditions.push(containsAny('Range', value));
+        break;
+      case 'range_excludes':
+        conditions.push(`$not(${containsAny('Range', value)})`);
+        break;
+      case 'authority':
+        conditions.push(containsAny('Authority', value));
+        break;
+      case 'year_from':
+      case 'year_to':
+        break;
+      case 'extinct':
+        conditions.push(value ? '$boolean(Extinct_or_possibly_extinct) = true' : '$not($boolean(Extinct_or_possibly_extinct) = true)');
+        break;
+      case 'genus_prefix': {
+        const prefix = value.trim().toLowerCase();
+        conditions.push(`$substring($lowercase($substringBefore(Scientific_name, " ")), 0, ${prefix.length}) = ${JSON.stringify(prefix)}`);
+        break;
+      }
+      case 'name_regex':
+        conditions.push(`(${NAME_FIELDS.map(field => `$count($match($string(${field}), ${regexLiteral(value)})) > 0`).join(' or ')})`);
+        break;
+      case 'not':
+        conditions.push(`$not(${predicate(value) ?? 'true'})`);
+        break;
+      case 'any_of':
+        conditions.push(`(${value.map(group => predicate(group) ?? 'true').join(' or ')})`);
+        break;
+      default:
+        conditions.push(Array.isArray(value)
+          ? `\`${key}\` in ${JSON.stringify(value)}`
+          : `\`${key}\` = ${JSON.stringify(value)}`);
+    }
+  }
+
+  const bounds = [
+    filters.year_from !== undefined ? `$y >= ${filters.year_from}` : null,
+    filters.year_to !== undefined ? `$y <= ${filters.year_to}` : null,
+  ].filter(Boolean);
+  if (bounds.length > 0) {
+    conditions.push(`($y := ${AUTHORITY_YEAR}; $exists($y) and ${bounds.join(' and ')})`);
+  }
+  return conditions;
+}
+
+function predicate(filters) {
+  const conditions = conditionsFor(filters);
+  if (conditions.length === 0) {
+    return null;
+  }
+  return conditions.length === 1 ? conditions[0] : `(${conditions.join(' and ')})`;
+}
+
+/**
+ * JSONata predicate matching the records selected by `filters`, or null
+ * when there are no filters.
+ */
+export function filtersToJsonata(filters) {
+  return predicate(filters);
+}
+
+const SORT_KEYS = {
+  name: ['Scientific_name'],
+  year: [AUTHORITY_YEAR, 'Scientific_name'],
+  family: ['Family', 'Scientific_name'],
+};
+
+/**
+ * JSONata query returning the matching records as an array, sorted by
+ * `sortBy` (records are in taxonomic sequence to begin with).
+ */
+export function filterQuery(filters, { sortBy = 'taxonomy', sortOrder = 'asc' } = {}) {
+  const condition = filtersToJsonata(filters);
+  let query = condition ? `$[${condition}]` : '$';
+  if (SORT_KEYS[sortBy]) {
+    const direction = sortOrder === 'desc' ? '>' : '<';
+    query += `^(${SORT_KEYS[sortBy].map(key => `${direction}${key}`).join(', ')})`;
+  }
+  return `$append([], ${query})`;
+}
+
+function listText(value, joiner) {
+  return (Array.isArray(value) ? value : [value]).map(item => `"${item}"`).join(joiner);
+}
+
+/**
+ * Plain-English description of a filter set, e.g. for a results header.
+ */
+export function describeFilters(filters) {
+  const parts = [];
+  for (const [key, value] of Object.entries(filters)) {
+    switch (key) {
+      case 'range_contains':
+        parts.push(`range mentions ${listText(value, ' or ')}`);
+        break;
+      case 'range_excludes':
+        parts.push(`range doesn't mention ${listText(value, ' or ')}`);
+        break;
+      case 'authority':
+        parts.push(`authority contains "${value}"`);
+        break;
+      case 'year_from':
+        parts.push(filters.year_to !== undefined
+          ? `described ${value}–${filters.year_to}`
+          : `described in or after ${value}`);
+        break;
+      case 'year_to':
+        if (filters.year_from === undefined) {
+          parts.push(`described in or before ${value}`);
+        }
+        break;
+      case 'extinct':
+        parts.push(value ? 'extinct or possibly extinct' : 'not extinct');
+        break;
+      case 'genus_prefix':
+        parts.push(`genus starts with "${value}"`);
+        break;
+      case 'name_regex':
+        parts.push(`name matches /${value}/i`);
+        break;
+      case 'not':
+        parts.push(`not (${describeFilters(value) || 'anything'})`);
+        break;
+      case 'any_of':
+        parts.push(`any of (${value.map(group => describeFilters(group) || 'anything').join(' | ')})`);
+        break;
+      default:
+        parts.push(Array.isArray(value) ? `${key} is one of ${value.join(', ')}` : `${key} is ${value}`);
+    }
+  }
+  return parts.join('; ');
+}
+
+/**
+ * Run `custom_bird_query` filters through the provider: plain field filters
+ * go to the custom query endpoint, anything else is compiled to JSONata.
+ */
+export function queryByFilters(provider, filters, { sortBy = 'taxonomy', sortOrder = 'asc', timeoutMs, ...window }) {
+  if (isSimpleFilters(filters) && sortBy === 'taxonomy') {
+    return provider.customQuery({ filters, ...window });
+  }
+  return provider.executeQuery({ query: filterQuery(filters, { sortBy, sortOrder }), timeoutMs, ...window });
+}
@@ -0,0 +1,29 @@
+/**
+ * Tool Result Formatting
+ *
+ * Every tool returns `structuredContent` matching its output schema. The
+ * `format` argument only decides which text blocks accompany it.
+ */
+
+export function formatResult(format = 'markdown', structured, markdown) {
+  const content = [];
+
+  if (format !== 'json') {
+    content.push({ type: 'text', text: markdown });
+  }
+  if (format !== 'markdown') {
+    content.push({ type: 'text', text: JSON.stringify(structured, null, 2) });
+  }
+
+  return { content, structuredContent: structured };
+}
+
+/**
+ * Fence text as a Markdown code block, using a fence longer than any run of
+ * backticks inside it so user-supplied text can't break out.
+ */
+export function codeBlock(text, language = '') {
+  const longestRun = Math.max(0, ...(String(text).match(/`+/g) || []).map(run => run.length));
+  const fence = '`'.repeat(Math.max(3, longestRun + 1));
+  return `${fence}${language}\n${text}\n${fence}`;
+}
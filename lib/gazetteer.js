@@ -0,0 +1,305 @@
+/**
+ * Region Gazetteer
+ *
+ * Realms, continents, countries and islands with their synonyms and the
+ * larger places that contain them, bundled in data/gazetteer.json. A region
+ * search is expanded to every name of the place and of everything inside
+ * it, so "Africa" also finds ranges that only say "Cameroon" or
+ * "Madagascar", and a range can be checked for lying wholly within it.
+ */
+
+import fs from 'fs';
+import { ErrorCode, McpError } from '@modelcontextprotocol/sdk/types.js';
+import { rangeKeywords } from './compare.js';
+import { collectAll } from './pagination.js';
+
+const GAZETTEER_FILE = new URL('../data/gazetteer.json', import.meta.url);
+const MAX_CANDIDATES = 20000;
+
+export const MATCH_TYPES = ['exact', 'narrower', 'broader', 'text'];
+const MATCH_PRIORITY = { exact: 0, narrower: 1, broader: 2 };
+
+// Letters and digits on either side of a place name mean it is part of a
+// longer word
+const BEFORE = '(?<![\\p{L}\\p{N}])';
+const AFTER = '(?![\\p{L}\\p{N}])';
+
+function stripAccents(text) {
+  return String(text).normalize('NFD').replace(/\p{M}/gu, '').replace(/[‘’`]/g, '\'');
+}
+
+export function normalizePlace(text) {
+  return stripAccents(text).toLowerCase().replace(/\s+/g, ' ').trim();
+}
+
+function escapeRegex(text) {
+  return text.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+}
+
+// One regex matching any of the (normalized) names as whole words
+function namesRegex(keys) {
+  const sorted = [...keys].sort((a, b) => b.length - a.length);
+  return new RegExp(`${BEFORE}(?:${sorted.map(key => escapeRegex(key).replace(/ /g, '\\s+')).join('|')})${AFTER}`, 'giu');
+}
+
+// "Canary Islands" is often written "Canary Is"
+function namesOf(region) {
+  const names = [region.name, ...region.synonyms];
+  return [...new Set([...names, ...names.filter(name => / Islands$/.test(name)).map(name => name.replace(/ Islands$/, ' Is'))])];
+}
+
+function blank(text, pattern) {
+  return text.replace(pattern, match => ' '.repeat(match.length));
+}
+
+export class Gazetteer {
+  constructor({ regions }) {
+    this.regions = new Map(regions.map(region => [region.id, {
+      ...region,
+      parents: region.parents ?? [],
+      synonyms: region.synonyms ?? [],
+      excludedFrom: region.excludedFrom ?? [],
+    }]));
+
+    // What lies directly inside each place: its children, and for a realm
+    // the places assigned to it
+    this.members = new Map();
+    const addMember = (parent, child) => {
+      if (!this.members.has(parent)) {
+        this.members.set(parent, []);
+      }
+      this.members.get(parent).push(child);
+    };
+    for (const region of this.regions.values()) {
+      region.parents.forEach(parent => addMember(parent, region.id));
+      if (region.realm) {
+        addMember(region.realm, region.id);
+      }
+    }
+
+    // Names win over synonyms when two places share a spelling
+    this.byName = new Map();
+    for (const region of this.regions.values()) {
+      this.byName.set(normalizePlace(region.name), region);
+    }
+    for (const region of this.regions.values()) {
+      for (const name of namesOf(region)) {
+        if (!this.byName.has(normalizePlace(name))) {
+          this.byName.set(normalizePlace(name), region);
+        }
+      }
+    }
+  }
+
+  static load() {
+    return new Gazetteer(JSON.parse(fs.readFileSync(GAZETTEER_FILE, 'utf8')));
+  }
+
+  /**
+   * The place a region name or synonym refers to, or null.
+   */
+  resolve(name) {
+    const key = normalizePlace(name).replace(/^the /, '');
+    return this.byName.get(key) ?? this.byName.get(`${key} islands`) ?? null;
+  }
+
+  /**
+   * Ids of `root` and every place inside it. Expanding a realm only follows
+   * places of that realm, so Fiji (Oceanian) isn't pulled into Australasia
+   * through Melanesia.
+   */
+  contents(root) {
+    const inside = new Set();
+    const visit = (id, realm) => {
+      const region = this.regions.get(id);
+      if (inside.has(id) || region.excludedFrom.includes(root.id)) {
+        return;
+      }
+      if (realm && region.type !== 'realm' && region.realm && region.realm !== realm) {
+        return;
+      }
+      inside.add(id);
+      const current = region.type === 'realm' ? region.id : realm;
+      for (const member of this.members.get(id) ?? []) {
+        visit(member, current);
+      }
+    };
+    visit(root.id, null);
+    return inside;
+  }
+
+  /**
+   * Every name to search for `root`, tagged with how it relates to it:
+   * `exact` for its own names, `narrower` for places inside it and, with
+   * `broader`, the places directly containing it.
+   */
+  expand(root, { broader = false } = {}) {
+    const inside = this.contents(root);
+    const places = [...inside].map(id => ({ region: this.regions.get(id), matchType: id === root.id ? 'exact' : 'narrower' }));
+    if (broader) {
+      for (const parent of root.parents) {
+        if (!inside.has(parent)) {
+          places.push({ region: this.regions.get(parent), matchType: 'broader' });
+        }
+      }
+    }
+
+    const terms = new Map();
+    for (const { region, matchType } of places) {
+      for (const name of namesOf(region)) {
+        const key = normalizePlace(name);
+        const existing = terms.get(key);
+        if (!existing || MATCH_PRIORITY[matchType] < MATCH_PRIORITY[existing.matchType]) {
+          terms.set(key, { term: name, region: region.name, matchType });
+        }
+      }
+    }
+    return terms;
+  }
+
+  /**
+   * A matcher for `root` that finds which of its names a range mentions and
+   * whether the whole range lies within it.
+   */
+  matcher(root, { broader = false } = {}) {
+    const terms = this.expand(root, { broader });
+    const all = namesRegex(terms.keys());
+    const within = namesRegex([...terms].filter(([, entry]) => entry.matchType !== 'broader').map(([key]) => key));
+
+    // Other places whose names contain one of ours ("New Guinea" when
+    // searching "Guinea", "South Georgia" for "Georgia") are blanked out
+    // before matching. Realm names overlap continents rather than naming
+    // other places, so they are left alone.
+    const masks = new Set();
+    for (const region of this.regions.values()) {
+      if (region.type === 'realm') {
+        continue;
+      }
+      for (const name of namesOf(region)) {
+        const key = normalizePlace(name);
+        all.lastIndex = 0;
+        if (!terms.has(key) && all.test(key)) {
+          masks.add(key);
+        }
+      }
+    }
+    const mask = masks.size > 0 ? namesRegex(masks) : null;
+
+    return {
+      terms,
+      match: range => {
+        if (!range) {
+          return null;
+        }
+        const plain = stripAccents(range);
+        const masked = mask ? blank(plain, mask) : plain;
+
+        let best = null;
+        for (const found of masked.matchAll(all)) {
+          const entry = terms.get(normalizePlace(found[0]));
+          if (entry && (!best
+            || MATCH_PRIORITY[entry.matchType] < MATCH_PRIORITY[best.matchType]
+            || (entry.matchType === best.matchType && entry.term.length > best.term.length))) {
+            best = entry;
+          }
+        }
+        if (!best) {
+          return null;
+        }
+
+        // Endemic when nothing place-like is left once every name inside
+        // the region has been removed
+        const spans = [...masked.matchAll(within)];
+        let rest = plain;
+        for (const found of spans) {
+          rest = rest.slice(0, found.index) + ' '.repeat(found[0].length) + rest.slice(found.index + found[0].length);
+        }
+        return {
+          matchedTerm: best.term,
+          matchedRegion: best.region,
+          matchType: best.matchType,
+          endemic: spans.length > 0 && rangeKeywords(rest).length === 0,
+        };
+      },
+    };
+  }
+}
+
+let shared = null;
+
+export function gazetteer() {
+  shared ??= Gazetteer.load();
+  return shared;
+}
+
+// Records whose range could mention one of the terms, accented or not,
+// filtered where the data lives before the exact matching is done here
+function candidateQuery(terms) {
+  const spellings = new Set();
+  for (const [key, { term }] of terms) {
+    spellings.add(key);
+    spellings.add(term.toLowerCase());
+  }
+  const alternatives = [...spellings].sort((a, b) => b.length - a.length).map(escapeRegex).join('|');
+  return `$append([], $[$exists(Range) and $contains($string(Range), /${alternatives}/i)])`;
+}
+
+/**
+ * Birds whose range mentions `region` or any place inside it, with the
+ * term that matched each record. Regions missing from the gazetteer fall
+ * back to the provider's plain text search.
+ */
+export async function findBirdsInRegion(provider, region, { endemicOnly = false, broader = false, timeoutMs, offset = 0, limit = 50 } = {}) {
+  const place = gazetteer().resolve(region);
+  if (!place) {
+    if (endemicOnly) {
+      throw new McpError(
+        ErrorCode.InvalidParams,
+        `"${region}" is not in the region gazetteer, so endemic_only can't tell what lies inside it; try a continent, country or island name`
+      );
+    }
+    const response = await provider.getBirdsByRegion({ region, offset, limit });
+    return {
+      ...response,
+      region: null,
+      matches: response.data.map(() => ({ matchedTerm: region, matchedRegion: null, matchType: 'text', endemic: null })),
+      truncated: false,
+    };
+  }
+
+  const { terms, match } = gazetteer().matcher(place, { broader });
+  const query = candidateQuery(terms);
+  const { records, truncated } = await collectAll(
+    window => provider.executeQuery({ query, timeoutMs, ...window }),
+    { pageSize: 1000, maxRecords: MAX_CANDIDATES }
+  );
+
+  const found = [];
+  for (const bird of records) {
+    const hit = match(bird.Range);
+    if (hit && (!endemicOnly || hit.endemic)) {
+      found.push({ bird, hit });
+    }
+  }
+  const window = found.slice(offset, offset + limit);
+
+  return {
+    data: window.map(({ bird }) => bird),
+    matches: window.map(({ hit }) => hit),
+    region: {
+      id: place.id,
+      name: place.name,
+      type: place.type,
+      parents: place.parents.map(id => gazetteer().regions.get(id).name),
+      terms: terms.size,
+    },
+    pagination: {
+      offset,
+      limit,
+      totalItems: found.length,
+      hasNext: offset + window.length < found.length,
+      hasPrev: offset > 0,
+    },
+    truncated,
+  };
+}
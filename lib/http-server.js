@@ -0,0 +1,289 @@
+/**
+ * HTTP Transport Host
+ *
+ * Serves one shared AviBase MCP instance to many clients over the SDK's
+ * Streamable HTTP transport, with the legacy HTTP+SSE transport as a
+ * fallback for older clients. Every session gets its own MCP server object;
+ * all of them share the same data provider (and therefore its cache).
+ *
+ * MCP requests are refused unless their Host header names this server and
+ * any Origin header is an allowed one, so a web page cannot reach a
+ * localhost server by rebinding its own domain to 127.0.0.1.
+ */
+
+import http from 'http';
+import { randomUUID } from 'crypto';
+import { SSEServerTransport } from '@modelcontextprotocol/sdk/server/sse.js';
+import { StreamableHTTPServerTransport } from '@modelcontextprotocol/sdk/server/streamableHttp.js';
+import { isInitializeRequest } from '@modelcontextprotocol/sdk/types.js';
+import { Logger } from './logger.js';
+
+const MAX_BODY_BYTES = 4 * 1024 * 1024;
+const SSE_PATH = '/sse';
+const SSE_MESSAGES_PATH = '/messages';
+const HEALTH_PATH = '/health';
+const LOOPBACK_HOSTS = ['localhost', '127.0.0.1', '[::1]'];
+const WILDCARD_HOSTS = ['0.0.0.0', '::', '[::]'];
+
+// Host names as they appear in a URL: lowercase, IPv6 in brackets, no port
+function hostName(host) {
+  // A bare IPv6 address such as http.host "::1" needs brackets to parse
+  const value = !host.startsWith('[') && host.split(':').length > 2 ? `[${host}]` : host;
+  try {
+    return new URL(`http://${value}`).hostname;
+  } catch {
+    return null;
+  }
+}
+
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+function sendJSON(res, status, body) {
+  if (res.headersSent) {
+    return;
+  }
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
+
+function sendRpcError(res, status, message) {
+  sendJSON(res, status, {
+    jsonrpc: '2.0',
+    error: { code: -32000, message },
+    id: null,
+  });
+}
+
+async function readJSONBody(req) {
+  let size = 0;
+  const chunks = [];
+  for await (const chunk of req) {
+    size += chunk.length;
+    if (size > MAX_BODY_BYTES) {
+      throw new HttpError(413, 'Request body too large');
+    }
+    chunks.push(chunk);
+  }
+
+  const text = Buffer.concat(chunks).toString('utf8');
+  if (!text) {
+    return undefined;
+  }
+  try {
+    return JSON.parse(text);
+  } catch {
+    throw new HttpError(400, 'Request body is not valid JSON');
+  }
+}
+
+export class HttpTransportHost {
+  constructor(config, provider, createServer, logger = new Logger(config.logging)) {
+    this.options = config.http;
+    this.logger = logger;
+    this.provider = provider;
+    this.createServer = createServer;
+    this.sessions = new Map();
+    this.startedAt = Date.now();
+    this.allowedHosts = new Set([
+      ...LOOPBACK_HOSTS,
+      ...(WILDCARD_HOSTS.includes(this.options.host) ? [] : [hostName(this.options.host)]),
+      ...this.options.allowedHosts.map(hostName),
+    ].filter(Boolean));
+    this.allowedOrigins = new Set(this.options.allowedOrigins.map(origin => (origin === '*' ? origin : new URL(origin).origin)));
+    this.httpServer = http.createServer((req, res) => {
+      this.route(req, res).catch(error => {
+        const status = error instanceof HttpError ? error.status : 500;
+        if (status === 500) {
+          this.logger.error('request failed', { method: req.method, url: req.url, error });
+        }
+        sendRpcError(res, status, error.message);
+      });
+    });
+  }
+
+  async start() {
+    const { host, port, path } = this.options;
+    await new Promise((resolve, reject) => {
+      this.httpServer.once('error', reject);
+      this.httpServer.listen(port, host, resolve);
+    });
+
+    this.sweeper = setInterval(() => this.closeIdleSessions(), 60 * 1000);
+    this.sweeper.unref();
+
+    const address = this.httpServer.address();
+    this.logger.notice(`🦅 Bird Data MCP Server listening on http://${address.address}:${address.port}${path} (SSE fallback at ${SSE_PATH})`);
+    return address;
+  }
+
+  async route(req, res) {
+    const url = new URL(req.url, 'http://localhost');
+
+    if (url.pathname === HEALTH_PATH && req.method === 'GET') {
+      return this.handleHealth(res);
+    }
+    this.checkHostAndOrigin(req);
+    if (url.pathname === this.options.path) {
+      return this.handleStreamable(req, res);
+    }
+    if (url.pathname === SSE_PATH && req.method === 'GET') {
+      return this.handleSseConnect(res);
+    }
+    if (url.pathname === SSE_MESSAGES_PATH && req.method === 'POST') {
+      return this.handleSseMessage(req, res, url.searchParams.get('sessionId'));
+    }
+    throw new HttpError(404, `Not found: ${req.method} ${url.pathname}`);
+  }
+
+  checkHostAndOrigin(req) {
+    if (!this.options.dnsRebindingProtection) {
+      return;
+    }
+
+    const host = req.headers.host && hostName(req.headers.host);
+    if (!host || !this.allowedHosts.has(host)) {
+      this.logger.warning('request refused', { reason: 'host', host: req.headers.host ?? null });
+      throw new HttpError(403, `Host "${req.headers.host ?? ''}" is not allowed; add it to http.allowedHosts`);
+    }
+
+    // Clients outside a browser send no Origin header
+    const origin = req.headers.origin;
+    if (origin === undefined || this.allowedOrigins.has('*')) {
+      return;
+    }
+    let parsed = null;
+    try {
+      parsed = new URL(origin);
+    } catch {
+      // Refused below
+    }
+    const allowed = parsed && parsed.origin !== 'null' && (this.allowedOrigins.size > 0
+      ? this.allowedOrigins.has(parsed.origin)
+      : this.allowedHosts.has(parsed.hostname));
+    if (!allowed) {
+      this.logger.warning('request refused', { reason: 'origin', origin });
+      throw new HttpError(403, `Origin "${origin}" is not allowed; add it to http.allowedOrigins`);
+    }
+  }
+
+  handleHealth(res) {
+    const counts = { streamableHttp: 0, sse: 0 };
+    for (const session of this.sessions.values()) {
+      counts[session.kind]++;
+    }
+
+    sendJSON(res, this.closing ? 503 : 200, {
+      status: this.closing ? 'shutting_down' : 'ok',
+      uptimeSeconds: Math.round((Date.now() - this.startedAt) / 1000),
+      sessions: counts,
+      provider: this.provider.constructor.name,
+    });
+  }
+
+  async handleStreamable(req, res) {
+    const body = req.method === 'POST' ? await readJSONBody(req) : undefined;
+    const sessionId = req.headers['mcp-session-id'];
+
+    if (sessionId) {
+      const session = this.sessions.get(sessionId);
+      if (!session || session.kind !== 'streamableHttp') {
+        throw new HttpError(404, 'Unknown or expired session');
+      }
+      session.lastSeen = Date.now();
+      return session.transport.handleRequest(req, res, body);
+    }
+
+    if (req.method !== 'POST' || !isInitializeRequest(body)) {
+      throw new HttpError(400, 'Missing mcp-session-id header; start a session with an initialize request');
+    }
+    if (this.closing) {
+      throw new HttpError(503, 'Server is shutting down');
+    }
+
+    const server = this.createServer();
+    const transport = new StreamableHTTPServerTransport({
+      sessionIdGenerator: () => randomUUID(),
+      onsessioninitialized: id => {
+        this.sessions.set(id, { kind: 'streamableHttp', transport, server, lastSeen: Date.now() });
+        this.logger.info('session opened', { sessionId: id, kind: 'streamableHttp' });
+      },
+    });
+    transport.onclose = () => {
+      if (transport.sessionId) {
+        this.sessions.delete(transport.sessionId);
+      }
+    };
+
+    await server.connect(transport);
+    await transport.handleRequest(req, res, body);
+  }
+
+  async handleSseConnect(res) {
+    if (this.closing) {
+      throw new HttpError(503, 'Server is shutting down');
+    }
+
+    const server = this.createServer();
+    const transport = new SSEServerTransport(SSE_MESSAGES_PATH, res);
+    const id = transport.sessionId;
+    this.sessions.set(id, { kind: 'sse', transport, server, lastSeen: Date.now() });
+
+    res.on('close', () => {
+      this.sessions.delete(id);
+      server.close().catch(() => {});
+    });
+
+    await server.connect(transport);
+  }
+
+  async handleSseMessage(req, res, sessionId) {
+    const session = sessionId && this.sessions.get(sessionId);
+    if (!session || session.kind !== 'sse') {
+      throw new HttpError(404, 'Unknown or expired SSE session');
+    }
+    session.lastSeen = Date.now();
+    const body = await readJSONBody(req);
+    await session.transport.handlePostMessage(req, res, body);
+  }
+
+  async closeSession(id) {
+    const session = this.sessions.get(id);
+    if (!session) {
+      return;
+    }
+    this.sessions.delete(id);
+    try {
+      await session.server.close();
+    } catch (error) {
+      this.logger.warning('error closing session', { sessionId: id, error });
+    }
+  }
+
+  async closeIdleSessions() {
+    const cutoff = Date.now() - this.options.sessionIdleTimeoutMs;
+    for (const [id, session] of this.sessions) {
+      if (session.lastSeen < cutoff) {
+        await this.closeSession(id);
+      }
+    }
+  }
+
+  /**
+   * Stop accepting sessions, let in-flight requests finish, then close every
+   * open session.
+   */
+  async close() {
+    this.closing = true;
+    clearInterval(this.sweeper);
+
+    const stopped = new Promise(resolve => this.httpServer.close(resolve));
+    await Promise.all([...this.sessions.keys()].map(id => this.closeSession(id)));
+    this.httpServer.closeIdleConnections?.();
+    await stopped;
+  }
+}
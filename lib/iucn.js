@@ -0,0 +1,22 @@
+/**
+ * IUCN Red List Categories
+ */
+
+export const IUCN_CATEGORY_NAMES = {
+  'CR': 'Critically Endangered',
+  'EN': 'Endangered',
+  'VU': 'Vulnerable',
+  'NT': 'Near Threatened',
+  'LC': 'Least Concern',
+  'DD': 'Data Deficient',
+  'EX': 'Extinct',
+  'EW': 'Extinct in the Wild',
+};
+
+export const IUCN_CATEGORIES = Object.keys(IUCN_CATEGORY_NAMES);
+
+export const THREATENED_CATEGORIES = ['CR', 'EN', 'VU'];
+export const EXTINCT_CATEGORIES = ['EX', 'EW'];
+
+// Assessed categories from least to most threatened; DD sits outside the scale
+export const IUCN_SEVERITY = ['LC', 'NT', 'VU', 'EN', 'CR', 'EW', 'EX'];
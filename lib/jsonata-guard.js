@@ -0,0 +1,208 @@
+/**
+ * JSONata Safeguards
+ *
+ * Parses raw JSONata queries locally before they reach a provider, so
+ * syntax errors come back with their position, and enforces the operator's
+ * limits: query length, evaluation time, result size and which built-in
+ * functions may be called.
+ */
+
+import jsonata from 'jsonata';
+import { ErrorCode, McpError } from '@modelcontextprotocol/sdk/types.js';
+
+// Every built-in function in JSONata 2.x
+export const JSONATA_FUNCTIONS = [
+  'sum', 'count', 'max', 'min', 'average',
+  'string', 'substring', 'substringBefore', 'substringAfter', 'lowercase', 'uppercase', 'length', 'trim', 'pad',
+  'match', 'contains', 'replace', 'split', 'join',
+  'formatNumber', 'formatBase', 'formatInteger', 'parseInteger',
+  'number', 'floor', 'ceil', 'round', 'abs', 'sqrt', 'power', 'random',
+  'boolean', 'not', 'exists',
+  'map', 'zip', 'filter', 'single', 'reduce', 'sift', 'each', 'keys', 'lookup', 'spread', 'merge',
+  'append', 'reverse', 'sort', 'shuffle', 'distinct', 'type', 'error', 'assert',
+  'base64encode', 'base64decode', 'encodeUrlComponent', 'encodeUrl', 'decodeUrlComponent', 'decodeUrl',
+  'eval', 'now', 'millis', 'fromMillis', 'toMillis', 'clone',
+];
+
+const OUTLINE_MAX_LINES = 60;
+const BUILTINS = new Set(JSONATA_FUNCTIONS);
+
+function syntaxError(query, error) {
+  const position = Number.isInteger(error.position) ? error.position : null;
+  let pointer = '';
+  if (position !== null) {
+    // JSONata positions are 1-based and point just past the offending token
+    const column = Math.max(0, Math.min(position - 1, query.length));
+    const start = Math.max(0, column - 40);
+    pointer = `\n${query.slice(start, column + 40)}\n${' '.repeat(column - start)}^`;
+  }
+  return new McpError(
+    ErrorCode.InvalidParams,
+    `JSONata syntax error${position !== null ? ` at position ${position}` : ''}: ${error.message}${pointer}`,
+    { code: error.code, position, token: error.token ?? null }
+  );
+}
+
+/**
+ * Built-in functions, field names and locally defined variables used by an
+ * expression. A `$name := …` statement shadows a built-in only for the
+ * statements after it in the same block, so the built-in counts as used
+ * anywhere else, including the right-hand side of its own binding.
+ */
+function analyze(ast) {
+  const bound = new Set();
+  const functions = new Set();
+  const fields = new Set();
+
+  const walk = (node, scope) => {
+    if (Array.isArray(node)) {
+      node.forEach(child => walk(child, scope));
+      return;
+    }
+    if (!node || typeof node !== 'object') {
+      return;
+    }
+
+    let handled = [];
+    if (node.type === 'block') {
+      const inner = new Set(scope);
+      (node.expressions || []).forEach(expression => statement(expression, inner));
+      handled = ['expressions'];
+    } else if (node.type === 'bind' && node.lhs?.type === 'variable') {
+      walk(node.rhs, scope);
+      bound.add(node.lhs.value);
+      handled = ['lhs', 'rhs'];
+    } else if (node.type === 'lambda') {
+      const inner = new Set(scope);
+      for (const argument of node.arguments || []) {
+        inner.add(argument.value);
+        bound.add(argument.value);
+      }
+      walk(node.body, inner);
+      handled = ['arguments', 'body'];
+    } else if (node.type === 'variable' && node.value && BUILTINS.has(node.value) && !scope.has(node.value)) {
+      functions.add(node.value);
+    } else if (node.type === 'name') {
+      fields.add(node.value);
+    }
+
+    for (const [key, value] of Object.entries(node)) {
+      if (!handled.includes(key) && value && typeof value === 'object') {
+        walk(value, scope);
+      }
+    }
+  };
+
+  // Only a binding that runs as a statement of its block is certain to be
+  // in effect for the statements after it
+  const statement = (node, scope) => {
+    walk(node, scope);
+    if (node?.type === 'bind' && node.lhs?.type === 'variable') {
+      scope.add(node.lhs.value);
+    }
+  };
+  statement(ast, new Set());
+
+  return {
+    functions: [...functions].sort().map(name => `$${name}`),
+    fields: [...fields].sort(),
+    variables: [...bound].sort().map(name => `$${name}`),
+  };
+}
+
+function outline(node, depth = 0, lines = []) {
+  if (!node || typeof node !== 'object' || lines.length >= OUTLINE_MAX_LINES) {
+    return lines;
+  }
+  if (Array.isArray(node)) {
+    node.forEach(child => outline(child, depth, lines));
+    return lines;
+  }
+
+  let label = node.type;
+  if (node.type === 'function' || node.type === 'partial') {
+    label = `call $${node.procedure?.value ?? '?'}`;
+  } else if (node.type === 'variable') {
+    label = node.value ? `variable $${node.value}` : 'context $';
+  } else if (['name', 'string', 'number', 'value', 'binary', 'unary', 'regex'].includes(node.type)) {
+    label = `${node.type} ${node.type === 'regex' ? String(node.value) : JSON.stringify(node.value)}`;
+  }
+  lines.push(`${'  '.repeat(depth)}- ${label}`);
+
+  for (const key of ['lhs', 'rhs', 'expr', 'expression', 'procedure', 'arguments', 'steps', 'expressions', 'stages', 'predicate', 'condition', 'then', 'else', 'body', 'terms', 'lhs_terms', 'group']) {
+    if (key === 'procedure' && (node.type === 'function' || node.type === 'partial')) {
+      continue;
+    }
+    const child = node[key];
+    if (child && typeof child === 'object') {
+      outline(child, depth + 1, lines);
+    }
+  }
+  return lines;
+}
+
+export class JsonataGuard {
+  constructor({ enabled, maxQueryLength, timeoutMs, maxResultBytes, allowedFunctions }) {
+    this.enabled = enabled;
+    this.maxQueryLength = maxQueryLength;
+    this.timeoutMs = timeoutMs;
+    this.maxResultBytes = maxResultBytes;
+    this.allowedFunctions = allowedFunctions
+      ? new Set(allowedFunctions.map(name => name.replace(/^\$/, '')))
+      : null;
+  }
+
+  /**
+   * Parse and validate a query without running it. Returns what the query
+   * uses so it can be explained to the caller.
+   */
+  check(query) {
+    if (!this.enabled) {
+      throw new McpError(ErrorCode.InvalidRequest, 'Raw JSONata queries are disabled on this server');
+    }
+    if (typeof query !== 'string' || !query.trim()) {
+      throw new McpError(ErrorCode.InvalidParams, 'query must be a non-empty JSONata expression');
+    }
+    if (query.length > this.maxQueryLength) {
+      throw new McpError(
+        ErrorCode.InvalidParams,
+        `query is ${query.length} characters long; the limit is ${this.maxQueryLength}`
+      );
+    }
+
+    let ast;
+    try {
+      ast = jsonata(query).ast();
+    } catch (error) {
+      throw syntaxError(query, error);
+    }
+
+    const analysis = analyze(ast);
+    if (this.allowedFunctions) {
+      const denied = analysis.functions.filter(name => !this.allowedFunctions.has(name.slice(1)));
+      if (denied.length > 0) {
+        throw new McpError(
+          ErrorCode.InvalidParams,
+          `query uses functions that are not allowed on this server: ${denied.join(', ')}`,
+          { denied, allowed: [...this.allowedFunctions].map(name => `$${name}`) }
+        );
+      }
+    }
+
+    return { ...analysis, outline: outline(ast) };
+  }
+
+  /**
+   * Reject results larger than the configured limit.
+   */
+  checkResultSize(result) {
+    const bytes = Buffer.byteLength(JSON.stringify(result ?? null), 'utf8');
+    if (bytes > this.maxResultBytes) {
+      throw new McpError(
+        ErrorCode.InvalidParams,
+        `query result is ${bytes} bytes; the limit is ${this.maxResultBytes}. Narrow the query or lower \`limit\`.`
+      );
+    }
+    return bytes;
+  }
+}
@@ -0,0 +1,162 @@
+/**
+ * Structured Logging
+ *
+ * JSON log lines on stderr (stdout belongs to the stdio transport) using
+ * the MCP logging levels, so the same entries can be forwarded to clients as
+ * `notifications/message`. Entries written while a tool call is running
+ * carry its request ID and tool name through `withTrace`.
+ */
+
+import { AsyncLocalStorage } from 'async_hooks';
+
+export const LOG_LEVELS = ['debug', 'info', 'notice', 'warning', 'error', 'critical', 'alert', 'emergency'];
+
+// `off` silences stderr; MCP clients still get the levels they ask for
+const SEVERITY = Object.fromEntries([...LOG_LEVELS, 'off'].map((level, i) => [level, i]));
+
+const MAX_LOGGED_STRING = 200;
+const REDACTED = '[redacted]';
+
+const traces = new AsyncLocalStorage();
+
+/**
+ * Run `fn` with `trace` as the current trace; log entries and upstream
+ * requests made inside it are attributed to the trace.
+ */
+export function withTrace(trace, fn) {
+  return traces.run(trace, fn);
+}
+
+export function currentTrace() {
+  return traces.getStore();
+}
+
+export function isLogLevel(level) {
+  return level in SEVERITY;
+}
+
+function serializeError(error) {
+  return {
+    name: error.name,
+    message: error.message,
+    ...(error.code !== undefined ? { code: error.code } : {}),
+  };
+}
+
+export class Logger {
+  constructor({ level = 'info', redact = [], stream = process.stderr } = {}, fields = {}, shared = null) {
+    this.shared = shared ?? {
+      level,
+      redact: redact.map(name => name.toLowerCase()),
+      stream,
+      sinks: new Set(),
+    };
+    this.fields = fields;
+  }
+
+  get level() {
+    return this.shared.level;
+  }
+
+  /**
+   * A logger that adds `fields` to every entry and shares this one's level
+   * and sinks.
+   */
+  child(fields) {
+    return new Logger({}, { ...this.fields, ...fields }, this.shared);
+  }
+
+  /**
+   * Also deliver entries to `sink.write(entry, trace)` from `sink.level` up.
+   * The level can be changed later; returns a function that removes the sink.
+   */
+  addSink(sink) {
+    this.shared.sinks.add(sink);
+    return () => this.shared.sinks.delete(sink);
+  }
+
+  isEnabled(level) {
+    if (SEVERITY[level] >= SEVERITY[this.shared.level]) {
+      return true;
+    }
+    for (const sink of this.shared.sinks) {
+      if (SEVERITY[level] >= SEVERITY[sink.level]) {
+        return true;
+      }
+    }
+    return false;
+  }
+
+  /**
+   * Copy of tool arguments that is safe to log: values of sensitive fields
+   * are replaced and long strings shortened.
+   */
+  redact(value, key = '') {
+    if (key && this.shared.redact.some(name => key.toLowerCase().includes(name))) {
+      return REDACTED;
+    }
+    if (typeof value === 'string') {
+      return value.length > MAX_LOGGED_STRING ? `${value.slice(0, MAX_LOGGED_STRING)}… (${value.length} chars)` : value;
+    }
+    if (Array.isArray(value)) {
+      return value.map(item => this.redact(item));
+    }
+    if (value !== null && typeof value === 'object') {
+      return Object.fromEntries(Object.entries(value).map(([name, item]) => [name, this.redact(item, name)]));
+    }
+    return value;
+  }
+
+  log(level, message, fields = {}) {
+    if (!this.isEnabled(level)) {
+      return;
+    }
+
+    const trace = currentTrace();
+    const entry = {
+      time: new Date().toISOString(),
+      level,
+      msg: message,
+      ...(trace ? { requestId: trace.requestId, tool: trace.tool, sessionId: trace.sessionId } : {}),
+      ...this.fields,
+    };
+    for (const [key, value] of Object.entries(fields)) {
+      if (value !== undefined) {
+        entry[key] = value instanceof Error ? serializeError(value) : value;
+      }
+    }
+
+    if (SEVERITY[level] >= SEVERITY[this.shared.level]) {
+      this.shared.stream.write(`${JSON.stringify(entry)}\n`);
+    }
+    for (const sink of this.shared.sinks) {
+      if (SEVERITY[level] >= SEVERITY[sink.level]) {
+        sink.write(entry, trace);
+      }
+    }
+  }
+
+  debug(message, fields) {
+    this.log('debug', message, fields);
+  }
+
+  info(message, fields) {
+    this.log('info', message, fields);
+  }
+
+  notice(message, fields) {
+    this.log('notice', message, fields);
+  }
+
+  warning(message, fields) {
+    this.log('warning', message, fields);
+  }
+
+  error(message, fields) {
+    this.log('error', message, fields);
+  }
+
+  critical(message, fields) {
+    this.log('critical', message, fields);
+  }
+}
@@ -0,0 +1,129 @@
+/**
+ * Batch Name Lookup
+ *
+ * Resolves a checklist of scientific or common names in one call. Each name
+ * is matched with an exact search; names that miss go through the fuzzy
+ * name resolver, and those it can't settle get its ranked candidates as
+ * "did you mean" suggestions.
+ */
+
+import { mapConcurrent } from './concurrency.js';
+import { matchBird, normalizeName, resolveName } from './names.js';
+import { isSpecies } from './taxonomy.js';
+
+export const MAX_LOOKUP_NAMES = 500;
+
+const MAX_CANDIDATES = 10;
+const MAX_SUGGESTIONS = 3;
+
+const NAME_FIELDS = [
+  'Scientific_name',
+  'English_name_AviList',
+  'English_name_Clements_v2024',
+  'English_name_BirdLife_v9',
+];
+
+function summarize(bird) {
+  return {
+    scientificName: bird.Scientific_name,
+    commonName: bird.English_name_AviList ?? null,
+    taxonRank: bird.Taxon_rank ?? null,
+    family: bird.Family ?? null,
+    order: bird.Order ?? null,
+    iucnCategory: bird.IUCN_Red_List_Category ?? null,
+    extinct: Boolean(bird.Extinct_or_possibly_extinct),
+  };
+}
+
+// Exact search only; null when nothing matched
+async function lookupExact(provider, term) {
+  const response = await provider.searchBirds({ query: term, exact: true, offset: 0, limit: MAX_CANDIDATES });
+  let matches = response.data.filter(bird => NAME_FIELDS.some(field => normalizeName(bird[field]) === term));
+  if (matches.length === 0) {
+    matches = response.data;
+  }
+
+  // A scientific name is unambiguous; a shared common name may not be
+  const scientific = matches.filter(bird => normalizeName(bird.Scientific_name) === term);
+  if (scientific.length === 1) {
+    matches = scientific;
+  } else if (matches.length > 1) {
+    const species = matches.filter(isSpecies);
+    if (species.length > 0) {
+      matches = species;
+    }
+  }
+
+  if (matches.length === 1) {
+    return { status: 'found', match: summarize(matches[0]), resolution: matchBird(term, matches[0]), candidates: [], suggestions: [] };
+  }
+  if (matches.length > 1) {
+    return { status: 'ambiguous', match: null, resolution: null, candidates: matches.map(summarize), suggestions: [] };
+  }
+  return null;
+}
+
+// Misspellings, sound-alike spellings and other Latin endings
+async function lookupFuzzy(provider, term, fuzzy) {
+  const resolution = await resolveName(provider, term, { limit: MAX_SUGGESTIONS });
+  if (fuzzy && resolution.status === 'resolved') {
+    return { status: 'found', match: summarize(resolution.birds[0]), resolution: resolution.match, candidates: [], suggestions: [] };
+  }
+  return notFound(resolution.candidates);
+}
+
+function notFound(suggestions = []) {
+  return { status: 'not_found', match: null, resolution: null, candidates: [], suggestions };
+}
+
+async function settle(lookup) {
+  try {
+    return await lookup();
+  } catch (error) {
+    return { status: 'error', match: null, resolution: null, candidates: [], suggestions: [], error: error.message };
+  }
+}
+
+/**
+ * Resolve every name in `names`, running at most `concurrency` lookups at
+ * once. Repeated names are only looked up once. Names with no exact match
+ * go through the fuzzy resolver, which runs several broader searches per
+ * name, so only the first `maxFuzzyNames` of them are resolved and the rest
+ * are reported as not found with `fuzzySkipped` set. With `fuzzy` off,
+ * names that need correcting are reported as not found with the corrections
+ * as suggestions. A failed lookup is reported on its own row rather than
+ * failing the whole batch.
+ */
+export async function lookupNames(provider, names, { concurrency, fuzzy = true, maxFuzzyNames = Infinity }) {
+  const terms = [...new Set(names.map(normalizeName).filter(Boolean))];
+
+  const exact = await mapConcurrent(terms, concurrency, term => settle(() => lookupExact(provider, term)));
+  const byTerm = new Map(terms.map((term, i) => [term, exact[i]]));
+
+  const misses = terms.filter(term => byTerm.get(term) === null);
+  const resolvable = misses.slice(0, maxFuzzyNames);
+  const skipped = new Set(misses.slice(maxFuzzyNames));
+  const resolved = await mapConcurrent(resolvable, concurrency, term => settle(() => lookupFuzzy(provider, term, fuzzy)));
+  resolvable.forEach((term, i) => byTerm.set(term, resolved[i]));
+
+  const results = names.map(input => {
+    const term = normalizeName(input);
+    return {
+      input,
+      error: null,
+      ...(byTerm.get(term) ?? notFound()),
+      fuzzySkipped: skipped.has(term),
+    };
+  });
+
+  const count = status => results.filter(result => result.status === status).length;
+  return {
+    requested: names.length,
+    found: count('found'),
+    ambiguous: count('ambiguous'),
+    notFound: count('not_found'),
+    errors: count('error'),
+    fuzzySkipped: skipped.size,
+    results,
+  };
+}
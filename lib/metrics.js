@@ -0,0 +1,170 @@
+/**
+ * Usage Metrics
+ *
+ * In-memory counters behind `get_server_diagnostics`: calls, errors and
+ * latency per tool, and requests, failures and latency per upstream
+ * endpoint. Latency percentiles are computed over the most recent samples
+ * so a long-running server reports current behaviour.
+ */
+
+const LATENCY_SAMPLES = 1000;
+
+class LatencyWindow {
+  constructor(size = LATENCY_SAMPLES) {
+    this.size = size;
+    this.samples = [];
+    this.next = 0;
+  }
+
+  record(ms) {
+    if (this.samples.length < this.size) {
+      this.samples.push(ms);
+    } else {
+      this.samples[this.next] = ms;
+      this.next = (this.next + 1) % this.size;
+    }
+  }
+
+  summary() {
+    if (this.samples.length === 0) {
+      return { p50: null, p90: null, p99: null, max: null };
+    }
+    const sorted = [...this.samples].sort((a, b) => a - b);
+    // Nearest-rank percentile
+    const at = p => sorted[Math.min(sorted.length - 1, Math.ceil((p / 100) * sorted.length) - 1)];
+    return { p50: at(50), p90: at(90), p99: at(99), max: sorted.at(-1) };
+  }
+}
+
+function rate(part, whole) {
+  return whole > 0 ? part / whole : 0;
+}
+
+// Group upstream requests by route rather than full URL, e.g. "/bird/Bubo bubo" → "/bird"
+export function endpointRoute(endpoint) {
+  return `/${endpoint.replace(/^\/+/, '').split(/[/?]/)[0]}`;
+}
+
+export class UsageMetrics {
+  constructor() {
+    this.startedAt = Date.now();
+    this.reset();
+  }
+
+  reset() {
+    this.tools = new Map();
+    this.endpoints = new Map();
+    this.upstream = {
+      requests: 0,
+      failures: 0,
+      retries: 0,
+      statuses: {},
+      latency: new LatencyWindow(),
+      lastSuccessAt: null,
+      lastFailureAt: null,
+      lastError: null,
+    };
+    this.resetAt = Date.now();
+  }
+
+  toolEntry(tool) {
+    if (!this.tools.has(tool)) {
+      this.tools.set(tool, {
+        calls: 0,
+        errors: 0,
+        errorCodes: {},
+        cacheHits: 0,
+        cacheMisses: 0,
+        latency: new LatencyWindow(),
+      });
+    }
+    return this.tools.get(tool);
+  }
+
+  recordToolCall(tool, { durationMs, errorCode = null, cacheHits = 0, cacheMisses = 0 }) {
+    const entry = this.toolEntry(tool);
+    entry.calls++;
+    entry.cacheHits += cacheHits;
+    entry.cacheMisses += cacheMisses;
+    entry.latency.record(durationMs);
+    if (errorCode !== null) {
+      entry.errors++;
+      entry.errorCodes[errorCode] = (entry.errorCodes[errorCode] ?? 0) + 1;
+    }
+  }
+
+  /**
+   * One attempt at an upstream request. `status` is the HTTP status, or
+   * null when no response arrived.
+   */
+  recordUpstream(endpoint, { status, latencyMs, ok, error = null }) {
+    const route = endpointRoute(endpoint);
+    if (!this.endpoints.has(route)) {
+      this.endpoints.set(route, { requests: 0, failures: 0, latency: new LatencyWindow() });
+    }
+    const entry = this.endpoints.get(route);
+    entry.requests++;
+    entry.latency.record(latencyMs);
+
+    const upstream = this.upstream;
+    upstream.requests++;
+    upstream.latency.record(latencyMs);
+    const statusKey = status === null ? 'none' : String(status);
+    upstream.statuses[statusKey] = (upstream.statuses[statusKey] ?? 0) + 1;
+
+    if (ok) {
+      upstream.lastSuccessAt = new Date().toISOString();
+    } else {
+      entry.failures++;
+      upstream.failures++;
+      upstream.lastFailureAt = new Date().toISOString();
+      upstream.lastError = error ? { endpoint: route, status, message: error } : null;
+    }
+  }
+
+  recordRetry() {
+    this.upstream.retries++;
+  }
+
+  snapshot() {
+    const tools = [...this.tools].map(([tool, entry]) => ({
+      tool,
+      calls: entry.calls,
+      errors: entry.errors,
+      errorRate: rate(entry.errors, entry.calls),
+      errorCodes: { ...entry.errorCodes },
+      cacheHits: entry.cacheHits,
+      cacheMisses: entry.cacheMisses,
+      latencyMs: entry.latency.summary(),
+    })).sort((a, b) => b.calls - a.calls || a.tool.localeCompare(b.tool));
+
+    const calls = tools.reduce((sum, entry) => sum + entry.calls, 0);
+    const errors = tools.reduce((sum, entry) => sum + entry.errors, 0);
+    const { upstream } = this;
+
+    return {
+      startedAt: new Date(this.startedAt).toISOString(),
+      uptimeMs: Date.now() - this.startedAt,
+      since: new Date(this.resetAt).toISOString(),
+      totals: { calls, errors, errorRate: rate(errors, calls) },
+      tools,
+      upstream: {
+        requests: upstream.requests,
+        failures: upstream.failures,
+        failureRate: rate(upstream.failures, upstream.requests),
+        retries: upstream.retries,
+        statuses: { ...upstream.statuses },
+        latencyMs: upstream.latency.summary(),
+        lastSuccessAt: upstream.lastSuccessAt,
+        lastFailureAt: upstream.lastFailureAt,
+        lastError: upstream.lastError,
+        endpoints: [...this.endpoints].map(([endpoint, entry]) => ({
+          endpoint,
+          requests: entry.requests,
+          failures: entry.failures,
+          latencyMs: entry.latency.summary(),
+        })).sort((a, b) => b.requests - a.requests || a.endpoint.localeCompare(b.endpoint)),
+      },
+    };
+  }
+}
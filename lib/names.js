@@ -0,0 +1,367 @@
+/**
+ * Name Resolution
+ *
+ * Resolves a scientific or English name that may be misspelled, use an old
+ * checklist name, or differ from the dataset in its Latin ending ("Raphus
+ * cucullata") or genus abbreviation ("A. chrysaetos"). Candidates come from
+ * broad provider searches and are ranked by how the name matched: exactly,
+ * by Latin gender ending, by abbreviation or partial name, by sound, or by
+ * edit distance.
+ */
+
+import { AvibaseErrorCode, notFoundError } from './errors.js';
+import { isSpecies } from './taxonomy.js';
+
+export const MATCH_SCORES = {
+  exact: 1,
+  normalized: 0.98,
+  gender_ending: 0.95,
+  abbreviation: 0.9,
+  phonetic: 0.9,
+  partial: 0.8,
+};
+
+export const NAME_MATCH_METHODS = [...Object.keys(MATCH_SCORES), 'fuzzy'];
+
+// Best score an edit-distance match can reach; anything scored lower than
+// MIN_SCORE is not offered at all
+const MAX_FUZZY_SCORE = 0.85;
+const MIN_SCORE = 0.6;
+// A fuzzy best match must beat the runner-up by this much to be taken
+const MIN_MARGIN = 0.05;
+
+const MAX_CANDIDATE_QUERIES = 8;
+const CANDIDATE_SEARCH_LIMIT = 50;
+const DEFAULT_LIMIT = 5;
+
+const NAME_FIELDS = [
+  { field: 'Scientific_name', scientific: true },
+  { field: 'English_name_AviList', scientific: false },
+  { field: 'English_name_Clements_v2024', scientific: false },
+  { field: 'English_name_BirdLife_v9', scientific: false },
+];
+
+const ALTERNATIVE_NAME_FIELDS = ['English_name_Clements_v2024', 'English_name_BirdLife_v9'];
+
+/**
+ * Levenshtein distance between two strings.
+ */
+export function editDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+export function normalizeName(name) {
+  return String(name ?? '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .trim()
+    .toLowerCase()
+    .replace(/\s+/g, ' ');
+}
+
+// Letters only, so "Eagle-Owl", "Eagle Owl" and "eagle owl" compare equal
+function compact(name) {
+  return name.replace(/[^a-z]/g, '');
+}
+
+function words(name) {
+  return name.split(/[^a-z.]+/).filter(Boolean);
+}
+
+/**
+ * Key under which words that sound alike in Latinized names collide:
+ * "chrysaetos" and "crysaetos", "harpyja" and "harpija", "caerulea" and
+ * "cerulea".
+ */
+export function phoneticKey(word) {
+  return compact(word)
+    .replace(/ph/g, 'f')
+    .replace(/([ctr])h/g, '$1')
+    .replace(/ae|oe/g, 'e')
+    .replace(/y/g, 'i')
+    .replace(/j/g, 'i')
+    .replace(/[cq]/g, 'k')
+    .replace(/z/g, 's')
+    .replace(/h/g, '')
+    .replace(/(.)\1+/g, '$1');
+}
+
+/**
+ * An epithet without its Latin gender ending, so "cucullatus", "cucullata"
+ * and "cucullatum" (or "niger", "nigra" and "nigrum") share a stem.
+ */
+export function epithetStem(epithet) {
+  const word = compact(epithet);
+  if (word.length <= 4) {
+    return word;
+  }
+  return word
+    .replace(/(er|ra|rum)$/, 'r')
+    .replace(/(us|um|os|on|a|is|e)$/, '');
+}
+
+// Genus as written, epithets reduced to their stems
+function stemmedName(nameWords) {
+  return nameWords.map((word, i) => (i === 0 ? compact(word) : epithetStem(word))).join(' ');
+}
+
+function phoneticName(nameWords, scientific) {
+  return nameWords
+    .map((word, i) => phoneticKey(scientific && i > 0 ? epithetStem(word) : word))
+    .join(' ');
+}
+
+// "A. chrysaetos" or "A chrysaetos" for "Aquila chrysaetos"
+function matchesAbbreviation(queryWords, nameWords) {
+  const [genus, ...epithets] = queryWords;
+  if (!/^[a-z]\.?$/.test(genus) || epithets.length === 0 || epithets.length !== nameWords.length - 1) {
+    return false;
+  }
+  return nameWords[0].startsWith(genus[0])
+    && epithets.every((epithet, i) => epithetStem(epithet) === epithetStem(nameWords[i + 1]));
+}
+
+// The epithet on its own ("chrysaetos"), or genus and subspecies epithet
+// without the species epithet ("Bubo hispanus")
+function matchesPartial(queryWords, nameWords) {
+  if (queryWords.length === 1 && nameWords.length === 2) {
+    return epithetStem(queryWords[0]) === epithetStem(nameWords[1]);
+  }
+  return queryWords.length === 2 && nameWords.length === 3
+    && compact(queryWords[0]) === compact(nameWords[0])
+    && epithetStem(queryWords[1]) === epithetStem(nameWords[2]);
+}
+
+function fuzzyScore(a, b) {
+  const distance = editDistance(a, b);
+  const length = Math.max(a.length, b.length);
+  // Allow about one edit per four letters, and always at least one
+  if (length === 0 || distance > Math.max(1, Math.floor(length / 4))) {
+    return null;
+  }
+  return { distance, score: MAX_FUZZY_SCORE * (1 - distance / length) };
+}
+
+/**
+ * How well `query` matches `name`, as `{ method, score, distance }`, or
+ * null when it doesn't match at all.
+ */
+export function scoreName(query, name, { scientific = false } = {}) {
+  const q = normalizeName(query);
+  const n = normalizeName(name);
+  if (!q || !n) {
+    return null;
+  }
+  const distance = editDistance(compact(q), compact(n));
+  const result = method => ({ method, score: MATCH_SCORES[method], distance });
+
+  if (q === n) {
+    return result('exact');
+  }
+  if (compact(q) === compact(n)) {
+    return result('normalized');
+  }
+
+  const queryWords = words(q);
+  const nameWords = words(n);
+  if (scientific) {
+    if (queryWords.length === nameWords.length && stemmedName(queryWords) === stemmedName(nameWords)) {
+      return result('gender_ending');
+    }
+    if (matchesAbbreviation(queryWords, nameWords)) {
+      return result('abbreviation');
+    }
+  }
+  if (queryWords.length === nameWords.length
+    && phoneticName(queryWords, scientific) === phoneticName(nameWords, scientific)) {
+    return result('phonetic');
+  }
+  if (scientific && matchesPartial(queryWords, nameWords)) {
+    return result('partial');
+  }
+
+  // Compare spellings and, to tolerate a typo on top of a sound-alike
+  // spelling, phonetic keys
+  const fuzzy = [
+    fuzzyScore(compact(q), compact(n)),
+    fuzzyScore(phoneticName(queryWords, scientific), phoneticName(nameWords, scientific)),
+  ].filter(Boolean).sort((a, b) => b.score - a.score)[0];
+  return fuzzy ? { method: 'fuzzy', score: fuzzy.score, distance } : null;
+}
+
+function bestMatch(query, bird) {
+  let best = null;
+  for (const { field, scientific } of NAME_FIELDS) {
+    if (!bird[field]) {
+      continue;
+    }
+    const match = scoreName(query, bird[field], { scientific });
+    if (match && (!best || match.score > best.score)) {
+      best = { ...match, matchedName: bird[field], matchedField: field };
+    }
+  }
+  return best;
+}
+
+// Search terms likely to surface a misspelled name: each word on its own
+// (genus, epithet, "Owl"), and its first and last four letters for when
+// the misspelling is at the other end of the word
+export function candidateQueries(name) {
+  const queries = [];
+  for (const word of words(normalizeName(name)).map(compact).filter(word => word.length >= 3)) {
+    queries.push(word);
+    if (word.length >= 6) {
+      queries.push(word.slice(0, 4), word.slice(-4));
+    }
+  }
+  return [...new Set(queries)].slice(0, MAX_CANDIDATE_QUERIES);
+}
+
+async function findAlternativeNames(provider, name) {
+  const literal = JSON.stringify(normalizeName(name));
+  const predicate = ALTERNATIVE_NAME_FIELDS.map(field => `$lowercase($string(${field})) = ${literal}`).join(' or ');
+  try {
+    const response = await provider.executeQuery({ query: `$[${predicate}]`, offset: 0, limit: CANDIDATE_SEARCH_LIMIT });
+    if (Array.isArray(response.data)) {
+      return response.data;
+    }
+    return response.data ? [response.data] : [];
+  } catch {
+    // Backends without query support still get the search-based candidates
+    return [];
+  }
+}
+
+async function findCandidates(provider, name) {
+  const candidates = new Map();
+  const add = birds => birds.forEach(bird => candidates.set(bird.Scientific_name, bird));
+
+  add((await provider.searchBirds({ query: name, exact: true, offset: 0, limit: CANDIDATE_SEARCH_LIMIT })).data);
+  const exact = [...candidates.values()].some(bird => bestMatch(name, bird)?.method === 'exact');
+  if (exact) {
+    return [...candidates.values()];
+  }
+
+  add(await findAlternativeNames(provider, name));
+  for (const query of candidateQueries(name)) {
+    add((await provider.searchBirds({ query, exact: false, offset: 0, limit: CANDIDATE_SEARCH_LIMIT })).data);
+  }
+  return [...candidates.values()];
+}
+
+function describeMatch(bird, match) {
+  return {
+    scientificName: bird.Scientific_name,
+    commonName: bird.English_name_AviList ?? null,
+    taxonRank: bird.Taxon_rank ?? null,
+    matchedName: match.matchedName,
+    matchedField: match.matchedField,
+    method: match.method,
+    score: Math.round(match.score * 1000) / 1000,
+    distance: match.distance,
+  };
+}
+
+/**
+ * How `name` matches one record, or null if it doesn't.
+ */
+export function matchBird(name, bird) {
+  const match = bestMatch(name, bird);
+  return match ? describeMatch(bird, match) : null;
+}
+
+/**
+ * A bird report for `name`. Names with no exact match are resolved first
+ * unless `fuzzy` is false; `resolution` says how the name was matched.
+ */
+export async function getResolvedReport(provider, name, { fuzzy = true } = {}) {
+  try {
+    const report = (await provider.getBirdReport({ scientificName: name })).data;
+    return { report, resolution: matchBird(name, report.bird) };
+  } catch (error) {
+    if (error.code !== AvibaseErrorCode.NotFound || !fuzzy) {
+      throw error;
+    }
+  }
+
+  const resolution = await resolveName(provider, name);
+  if (resolution.status !== 'resolved') {
+    throw notFoundError(`No bird found with name "${name}"${suggestionText(resolution)}`);
+  }
+  const report = (await provider.getBirdReport({ scientificName: resolution.match.scientificName })).data;
+  return { report, resolution: resolution.match };
+}
+
+/**
+ * Resolve a scientific or English name to dataset records.
+ *
+ * `status` is "resolved" when one record is the clear best match (always
+ * so for a unique exact match), "ambiguous" when several match equally
+ * well, and "not_found" otherwise. `candidates` lists the best matches,
+ * highest score first, with the records themselves in `birds`.
+ */
+export async function resolveName(provider, name, { limit = DEFAULT_LIMIT } = {}) {
+  const ranked = (await findCandidates(provider, name))
+    .filter(bird => bird.Scientific_name)
+    .map(bird => ({ bird, match: bestMatch(name, bird) }))
+    .filter(({ match }) => match && match.score >= MIN_SCORE)
+    // Species before their subspecies when both match equally well
+    .sort((a, b) => b.match.score - a.match.score
+      || Number(isSpecies(b.bird)) - Number(isSpecies(a.bird))
+      || a.match.distance - b.match.distance
+      || a.bird.Scientific_name.localeCompare(b.bird.Scientific_name))
+    .slice(0, limit);
+
+  const [best, next] = ranked;
+  let status = 'not_found';
+  if (best) {
+    const tied = next && next.match.score === best.match.score && isSpecies(next.bird) === isSpecies(best.bird);
+    const close = next && best.match.method === 'fuzzy' && best.match.score - next.match.score < MIN_MARGIN;
+    status = tied || close ? 'ambiguous' : 'resolved';
+  }
+
+  return {
+    query: name,
+    status,
+    match: status === 'resolved' ? describeMatch(best.bird, best.match) : null,
+    candidates: ranked.map(({ bird, match }) => describeMatch(bird, match)),
+    birds: ranked.map(({ bird }) => bird),
+  };
+}
+
+/**
+ * Markdown line describing how a name was matched, or '' for an exact
+ * match.
+ */
+export function resolutionNote(resolution) {
+  const match = resolution?.match;
+  if (!match || match.method === 'exact') {
+    return '';
+  }
+  const via = match.matchedName === match.scientificName ? '' : ` via "${match.matchedName}"`;
+  return `🔎 "${resolution.query}" resolved to *${match.scientificName}*${via} (${match.method.replace('_', ' ')} match, score ${match.score.toFixed(2)})`;
+}
+
+/**
+ * "did you mean" text for a name that couldn't be resolved.
+ */
+export function suggestionText(resolution) {
+  if (!resolution || resolution.candidates.length === 0) {
+    return '';
+  }
+  return `; did you mean ${resolution.candidates
+    .map(candidate => `${candidate.scientificName}${candidate.commonName ? ` (${candidate.commonName})` : ''}`)
+    .join(', ')}?`;
+}
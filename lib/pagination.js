@@ -0,0 +1,150 @@
+/**
+ * Pagination
+ *
+ * List tools accept `page`, `offset` or an opaque `cursor` and answer with a
+ * `nextCursor` that resumes exactly where the previous call stopped. Cursors
+ * are bound to the query they came from so they can't be replayed against a
+ * different one.
+ */
+
+import crypto from 'crypto';
+import { ErrorCode, McpError } from '@modelcontextprotocol/sdk/types.js';
+
+// Arguments that only select a window of results, not the result set itself
+const WINDOW_ARGUMENTS = new Set(['page', 'offset', 'cursor', 'limit', 'format']);
+
+export const MAX_PAGE_SIZE = 1000;
+
+export const PAGINATION_PROPERTIES = {
+  page: {
+    type: 'integer',
+    description: 'Page number to return, starting at 1 (pages are `limit` records long)',
+    minimum: 1,
+  },
+  offset: {
+    type: 'integer',
+    description: 'Number of matching records to skip before the first returned record',
+    minimum: 0,
+  },
+  cursor: {
+    type: 'string',
+    description: 'Opaque cursor from a previous response\'s `nextCursor` to fetch the following page',
+  },
+};
+
+function fingerprint(tool, args) {
+  const identity = Object.entries(args)
+    .filter(([key]) => !WINDOW_ARGUMENTS.has(key))
+    .sort(([a], [b]) => a.localeCompare(b));
+
+  return crypto
+    .createHash('sha1')
+    .update(JSON.stringify([tool, identity]))
+    .digest('hex')
+    .slice(0, 12);
+}
+
+export function encodeCursor(payload) {
+  return Buffer.from(JSON.stringify(payload)).toString('base64url');
+}
+
+export function decodeCursor(cursor) {
+  try {
+    const payload = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (Number.isInteger(payload.o) && payload.o >= 0
+      && Number.isInteger(payload.l) && payload.l > 0 && payload.l <= MAX_PAGE_SIZE) {
+      return payload;
+    }
+  } catch {
+    // Fall through to the error below
+  }
+  throw new McpError(ErrorCode.InvalidParams, 'Invalid pagination cursor');
+}
+
+/**
+ * Work out which window of results a list tool call asks for.
+ */
+export function resolvePage(tool, args, defaultLimit) {
+  const query = fingerprint(tool, args);
+
+  if (args.cursor) {
+    const cursor = decodeCursor(args.cursor);
+    if (cursor.q !== query) {
+      throw new McpError(
+        ErrorCode.InvalidParams,
+        'Pagination cursor belongs to a different query; repeat the original arguments with the cursor'
+      );
+    }
+    return { offset: cursor.o, limit: cursor.l, query };
+  }
+
+  const limit = args.limit ?? defaultLimit;
+  if (args.offset !== undefined) {
+    return { offset: args.offset, limit, query };
+  }
+  return { offset: ((args.page ?? 1) - 1) * limit, limit, query };
+}
+
+/**
+ * Attach the continuation cursor to the pagination block returned by a provider.
+ */
+export function completePage(page, response) {
+  const returned = Array.isArray(response.data) ? response.data.length : 0;
+  const totalItems = response.pagination?.totalItems ?? page.offset + returned;
+  // An empty page can't advance the cursor, so never report a next page after one
+  const hasNext = returned > 0
+    && (response.pagination?.hasNext ?? page.offset + returned < totalItems);
+
+  return {
+    offset: page.offset,
+    limit: page.limit,
+    returned,
+    totalItems,
+    hasNext,
+    hasPrev: page.offset > 0,
+    nextCursor: hasNext
+      ? encodeCursor({ o: page.offset + returned, l: page.limit, q: page.query })
+      : null,
+  };
+}
+
+/**
+ * Markdown footer telling the reader how to fetch the next page.
+ */
+export function paginationNote(pagination, noun = 'records') {
+  if (!pagination || pagination.returned === 0) {
+    return '';
+  }
+
+  const first = pagination.offset + 1;
+  const last = pagination.offset + pagination.returned;
+  const range = `*Showing ${noun} ${first}–${last} of ${pagination.totalItems}.`;
+
+  if (!pagination.hasNext) {
+    return pagination.hasPrev ? `\n${range}*` : '';
+  }
+  return `\n${range} Pass \`cursor: "${pagination.nextCursor}"\` (or \`offset: ${last}\`) to see the next page.*`;
+}
+
+/**
+ * Walk every page of a list query, stopping once `maxRecords` have been read.
+ */
+export async function collectAll(fetchPage, { pageSize = 500, maxRecords = 5000 } = {}) {
+  const records = [];
+  let totalItems = 0;
+
+  while (records.length < maxRecords) {
+    const response = await fetchPage({
+      offset: records.length,
+      limit: Math.min(pageSize, maxRecords - records.length),
+    });
+    records.push(...response.data);
+    totalItems = response.pagination?.totalItems ?? records.length;
+
+    if (!response.pagination?.hasNext || response.data.length === 0) {
+      break;
+    }
+  }
+
+  return { records, totalItems, truncated: records.length < totalItems };
+}
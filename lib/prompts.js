@@ -0,0 +1,213 @@
+/**
+ * Prompt Templates
+ *
+ * Parameterized prompts for common ornithology workflows. Each prompt spells
+ * out which tools to chain so the assistant doesn't have to be told every
+ * time. Argument completion draws on the dataset's family and order names.
+ * Every saved query is also offered as a prompt named `saved:<name>`.
+ */
+
+import { ErrorCode, McpError } from '@modelcontextprotocol/sdk/types.js';
+import { IUCN_CATEGORIES } from './iucn.js';
+import { isSpecies } from './taxonomy.js';
+
+const MAX_COMPLETIONS = 100;
+
+// How to complete each kind of argument value
+const COMPLETERS = {
+  family: (provider, prefix) => completeDistinct(provider, 'Family', prefix),
+  order: (provider, prefix) => completeDistinct(provider, 'Order', prefix),
+  species: (provider, prefix) => completeSpecies(provider, prefix),
+  iucn: (provider, prefix) => IUCN_CATEGORIES.filter(c => c.startsWith(prefix.toUpperCase())),
+};
+
+export const PROMPTS = [
+  {
+    name: 'conservation_briefing',
+    title: 'Conservation briefing for a family',
+    description: 'Summarize the conservation situation of a bird family: threatened species, extinctions and priorities.',
+    arguments: [
+      { name: 'family', description: 'Family name, e.g. "Psittacidae"', required: true, complete: 'family' },
+      { name: 'audience', description: 'Who the briefing is for (default: conservation practitioners)', required: false },
+    ],
+    render: ({ family, audience = 'conservation practitioners' }) => `Prepare a conservation briefing on the bird family **${family}** for ${audience}.
+
+1. Call \`get_birds_by_taxonomy\` with \`level: "Family"\` and \`value: "${family}"\`. Follow \`nextCursor\` until every record has been read.
+2. Group the species by \`IUCN_Red_List_Category\`. Use \`get_conservation_status\` for CR, EN and VU if you need more detail on those categories.
+3. Call \`get_bird_report\` for each Critically Endangered or Endangered species, up to ten of them, to get range and extinction details.
+4. List any extinct or possibly extinct species (\`Extinct_or_possibly_extinct\`).
+
+Write the briefing with these sections: overview (species count, share threatened), threatened species table (name, category, range summary), extinctions, and three recommended conservation priorities. Cite only data returned by the tools.`,
+  },
+  {
+    name: 'compare_species',
+    title: 'Compare two species',
+    description: 'Side-by-side comparison of two species: taxonomy, conservation status, range and naming.',
+    arguments: [
+      { name: 'species_a', description: 'Scientific name of the first species', required: true, complete: 'species' },
+      { name: 'species_b', description: 'Scientific name of the second species', required: true, complete: 'species' },
+    ],
+    render: ({ species_a: first, species_b: second }) => `Compare **${first}** and **${second}**.
+
+1. Call \`get_bird_report\` for \`${first}\` and for \`${second}\`.
+2. If either name is not found, use \`search_birds\` to find the closest match and say which name you used.
+
+Present a comparison table covering order, family, authority and year, IUCN category, extinction status, English names (AviList, Clements, BirdLife) and range. Then explain how closely related they are (same genus, family or order), and point out any overlap in their ranges.`,
+  },
+  {
+    name: 'regional_checklist',
+    title: 'Regional checklist',
+    description: 'Generate a bird checklist for a region, grouped by family with threatened species flagged.',
+    arguments: [
+      { name: 'region', description: 'Region or country, e.g. "Madagascar"', required: true },
+      { name: 'family', description: 'Only include this family', required: false, complete: 'family' },
+    ],
+    render: ({ region, family }) => `Generate a bird checklist for **${region}**${family ? `, limited to the family **${family}**` : ''}.
+
+1. Call \`get_birds_by_region\` with \`region: "${region}"\` and \`limit: 100\`. Follow \`nextCursor\` until every record has been read.
+2. Keep only records with \`Taxon_rank\` "species"${family ? ` and \`Family\` "${family}"` : ''}.
+3. Use \`get_conservation_status\` to cross-check CR, EN and VU species if a record lacks a category.
+
+Output the checklist grouped by order and family in taxonomic sequence. Give each species a line with its scientific name, English name and IUCN category, and mark threatened species (CR/EN/VU) with ⚠️. End with totals per family and the number of threatened species.`,
+  },
+  {
+    name: 'order_overview',
+    title: 'Order overview',
+    description: 'Overview of a bird order: its families, species counts and conservation highlights.',
+    arguments: [
+      { name: 'order', description: 'Order name, e.g. "Strigiformes"', required: true, complete: 'order' },
+    ],
+    render: ({ order }) => `Give an overview of the bird order **${order}**.
+
+1. Call \`get_birds_by_taxonomy\` with \`level: "Order"\` and \`value: "${order}"\`. Follow \`nextCursor\` until every record has been read.
+2. Count species per family, and count species in each IUCN category.
+3. Call \`get_bird_report\` for two or three notable species, such as the most threatened ones or any that are extinct.
+
+Summarize the families in a table (family, English name, species count, threatened count), then describe the conservation highlights.`,
+  },
+];
+
+const SAVED_PROMPT_PREFIX = 'saved:';
+
+function savedQueryPrompt(saved) {
+  return {
+    name: `${SAVED_PROMPT_PREFIX}${saved.name}`,
+    title: `Saved query: ${saved.name}`,
+    description: saved.description,
+    arguments: saved.parameters.map(parameter => ({
+      name: parameter.name,
+      description: parameter.description
+        ?? (parameter.default !== undefined ? `Default: ${JSON.stringify(parameter.default)}` : `Value for {{${parameter.name}}}`),
+      required: parameter.default === undefined,
+    })),
+    render: args => {
+      // Prompt arguments are strings; leave out blanks so defaults apply
+      const params = Object.fromEntries(Object.entries(args).filter(([, value]) => value?.trim()));
+      return `Run the saved query **${saved.name}**: ${saved.description}
+
+1. Call \`run_saved_query\` with \`name: "${saved.name}"\`${Object.keys(params).length > 0 ? ` and \`params: ${JSON.stringify(params)}\`` : ''}. Follow \`nextCursor\` until every record has been read.
+2. If the query fails, report the error rather than guessing at the results.
+
+Summarize what the query found, then list the results in a table.`;
+    },
+  };
+}
+
+function findPrompt(name, savedQueries) {
+  if (name.startsWith(SAVED_PROMPT_PREFIX)) {
+    const saved = savedQueries.find(entry => `${SAVED_PROMPT_PREFIX}${entry.name}` === name);
+    return saved ? savedQueryPrompt(saved) : undefined;
+  }
+  return PROMPTS.find(p => p.name === name);
+}
+
+export function listPrompts(savedQueries = []) {
+  return [...PROMPTS, ...savedQueries.map(savedQueryPrompt)].map(({ name, title, description, arguments: args }) => ({
+    name,
+    title,
+    description,
+    arguments: args.map(({ name: argName, description: argDescription, required }) => ({
+      name: argName,
+      description: argDescription,
+      required,
+    })),
+  }));
+}
+
+export function getPrompt(name, args = {}, savedQueries = []) {
+  const prompt = findPrompt(name, savedQueries);
+  if (!prompt) {
+    throw new McpError(ErrorCode.InvalidParams, `Unknown prompt: ${name}`);
+  }
+
+  for (const argument of prompt.arguments) {
+    if (argument.required && !args[argument.name]?.trim()) {
+      throw new McpError(ErrorCode.InvalidParams, `Missing required argument "${argument.name}" for prompt ${name}`);
+    }
+  }
+
+  return {
+    description: prompt.description,
+    messages: [
+      {
+        role: 'user',
+        content: {
+          type: 'text',
+          text: prompt.render(args),
+        },
+      },
+    ],
+  };
+}
+
+async function completeDistinct(provider, field, prefix) {
+  const needle = prefix.toLowerCase();
+  const values = await provider.listDistinct(field);
+  return values.filter(value => String(value).toLowerCase().startsWith(needle));
+}
+
+async function completeSpecies(provider, prefix) {
+  // Searching on one or two letters would match most of the dataset
+  if (prefix.trim().length < 3) {
+    return [];
+  }
+  const response = await provider.searchBirds({ query: prefix, exact: false, offset: 0, limit: 50 });
+  return response.data
+    .filter(isSpecies)
+    .map(bird => bird.Scientific_name);
+}
+
+function completionKind(ref, argumentName) {
+  if (ref.type === 'ref/prompt') {
+    const prompt = PROMPTS.find(p => p.name === ref.name);
+    return prompt?.arguments.find(a => a.name === argumentName)?.complete;
+  }
+
+  if (ref.type === 'ref/resource') {
+    // URI template variables, e.g. avibase://family/{Family}
+    return {
+      scientific_name: 'species',
+      Family: 'family',
+      Order: 'order',
+      category: 'iucn',
+    }[argumentName];
+  }
+  return undefined;
+}
+
+/**
+ * Answer a completion/complete request for a prompt argument or resource
+ * template variable.
+ */
+export async function complete(provider, ref, argument) {
+  const kind = completionKind(ref, argument.name);
+  const values = kind ? await COMPLETERS[kind](provider, argument.value || '') : [];
+
+  return {
+    completion: {
+      values: values.slice(0, MAX_COMPLETIONS),
+      total: values.length,
+      hasMore: values.length > MAX_COMPLETIONS,
+    },
+  };
+}
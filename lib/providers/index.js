@@ -0,0 +1,19 @@
+/**
+ * Data Providers
+ *
+ * Every provider implements the same query methods and resolves to the
+ * REST API response shape, so tool handlers work unchanged against either
+ * the remote API or a local dataset file.
+ */
+
+import { LocalProvider } from './local-provider.js';
+import { RemoteProvider } from './remote-provider.js';
+
+export { LocalProvider, RemoteProvider };
+
+export function createProvider(config, observability = {}) {
+  const useLocal = config.provider === 'local'
+    || (config.provider === 'auto' && config.dataset.file);
+
+  return useLocal ? new LocalProvider(config, observability) : new RemoteProvider(config, observability);
+}
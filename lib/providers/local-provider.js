@@ -0,0 +1,231 @@
+/**
+ * Local Data Provider
+ *
+ * Answers bird data queries in-process from an AviList export (CSV, JSON or
+ * JSON Lines) so the server can run without network access. Responses mirror
+ * the shape returned by the REST API: `{ data, pagination }`.
+ */
+
+import fs from 'fs/promises';
+import jsonata from 'jsonata';
+import { ErrorCode, McpError } from '@modelcontextprotocol/sdk/types.js';
+import { parseDataset } from '../dataset.js';
+import { notFoundError } from '../errors.js';
+import { IUCN_CATEGORY_NAMES } from '../iucn.js';
+import { Logger } from '../logger.js';
+import { isSpecies } from '../taxonomy.js';
+
+const RELATED_SPECIES_LIMIT = 10;
+
+function normalize(value) {
+  return value === null || value === undefined ? '' : String(value).toLowerCase();
+}
+
+function paginate(items, { limit, offset = 0 }) {
+  const data = items.slice(offset, offset + limit);
+
+  return {
+    data,
+    pagination: {
+      offset,
+      limit,
+      totalItems: items.length,
+      hasNext: offset + data.length < items.length,
+      hasPrev: offset > 0,
+    },
+  };
+}
+
+export class LocalProvider {
+  constructor(config, { logger = new Logger(config.logging) } = {}) {
+    this.file = config.dataset.file;
+    this.logger = logger.child({ component: 'dataset' });
+    this.records = null;
+    this.loading = null;
+    // Records are already in memory, so responses are never cached
+    this.cache = null;
+  }
+
+  async initialize() {
+    if (!this.loading) {
+      this.loading = this.load();
+    }
+    await this.loading;
+  }
+
+  async close() {}
+
+  health() {
+    return {
+      provider: 'local',
+      source: this.file,
+      records: this.records?.length ?? null,
+      circuit: null,
+    };
+  }
+
+  async load() {
+    const records = parseDataset(await fs.readFile(this.file, 'utf8'), this.file);
+    this.records = records.filter(record => record.Scientific_name);
+    this.byScientificName = new Map(
+      this.records.map(record => [normalize(record.Scientific_name), record])
+    );
+    this.logger.info('dataset loaded', { file: this.file, records: this.records.length });
+  }
+
+  async getRecords() {
+    await this.initialize();
+    return this.records;
+  }
+
+  async getStats() {
+    const records = await this.getRecords();
+    const distinct = field => new Set(records.map(r => r[field]).filter(Boolean));
+
+    return {
+      data: {
+        totalRecords: records.length,
+        totalSpecies: records.filter(isSpecies).length,
+        totalFamilies: distinct('Family').size,
+        totalOrders: distinct('Order').size,
+        extinctSpecies: records.filter(r => r.Extinct_or_possibly_extinct).length,
+        iucnCategories: [...distinct('IUCN_Red_List_Category')].sort(),
+      },
+    };
+  }
+
+  async searchBirds({ query, exact, ...window }) {
+    const records = await this.getRecords();
+    const term = normalize(query);
+    const names = record => [normalize(record.Scientific_name), normalize(record.English_name_AviList)];
+
+    let matches;
+    if (exact) {
+      matches = records.filter(record => names(record).includes(term));
+    } else {
+      // Rank exact hits first, then prefix matches, then substring matches
+      const rank = record => {
+        const candidates = names(record);
+        if (candidates.includes(term)) return 0;
+        if (candidates.some(name => name.startsWith(term))) return 1;
+        return 2;
+      };
+      matches = records
+        .filter(record => names(record).some(name => name.includes(term)))
+        .map(record => ({ record, score: rank(record) }))
+        .sort((a, b) => a.score - b.score)
+        .map(({ record }) => record);
+    }
+
+    return paginate(matches, window);
+  }
+
+  async getBirdsByTaxonomy({ level, value, ...window }) {
+    const records = await this.getRecords();
+    const term = normalize(value);
+    return paginate(records.filter(record => normalize(record[level]) === term), window);
+  }
+
+  async getConservationStatus({ category, ...window }) {
+    const records = await this.getRecords();
+    return paginate(records.filter(record => record.IUCN_Red_List_Category === category), window);
+  }
+
+  async getBirdsByRegion({ region, ...window }) {
+    const records = await this.getRecords();
+    const term = normalize(region);
+    return paginate(records.filter(record => normalize(record.Range).includes(term)), window);
+  }
+
+  async getExtinctSpecies(window) {
+    const records = await this.getRecords();
+    return paginate(records.filter(record => record.Extinct_or_possibly_extinct), window);
+  }
+
+  async getBirdsByAuthority({ authority, ...window }) {
+    const records = await this.getRecords();
+    const term = normalize(authority);
+    return paginate(records.filter(record => normalize(record.Authority).includes(term)), window);
+  }
+
+  async getRandomBirds({ count }) {
+    const records = await this.getRecords();
+    const pool = [...records];
+    const size = Math.min(count, pool.length);
+
+    // Partial Fisher-Yates shuffle: only the first `size` slots are needed
+    for (let i = 0; i < size; i++) {
+      const j = i + Math.floor(Math.random() * (pool.length - i));
+      [pool[i], pool[j]] = [pool[j], pool[i]];
+    }
+
+    return { data: pool.slice(0, size) };
+  }
+
+  async getBirdReport({ scientificName }) {
+    await this.initialize();
+    const bird = this.byScientificName.get(normalize(scientificName));
+    if (!bird) {
+      throw notFoundError(`No bird found with scientific name "${scientificName}"`);
+    }
+
+    const relatedInFamily = this.records
+      .filter(record => record.Family === bird.Family
+        && isSpecies(record)
+        && record !== bird)
+      .slice(0, RELATED_SPECIES_LIMIT);
+
+    return {
+      data: {
+        bird,
+        relatedInFamily,
+        conservationStatus: IUCN_CATEGORY_NAMES[bird.IUCN_Red_List_Category] || 'Not assessed',
+        hasUrls: {
+          birdLife: Boolean(bird.BirdLife_DataZone_URL),
+          birdsOfTheWorld: Boolean(bird.Birds_of_the_World_URL),
+          originalDescription: Boolean(bird.Original_description_URL),
+        },
+      },
+    };
+  }
+
+  async listDistinct(field) {
+    const records = await this.getRecords();
+    return [...new Set(records.map(record => record[field]).filter(Boolean))].sort();
+  }
+
+  async customQuery({ filters, ...window }) {
+    const records = await this.getRecords();
+    const conditions = Object.entries(filters);
+
+    const matches = records.filter(record => conditions.every(([field, expected]) => (
+      Array.isArray(expected)
+        ? expected.includes(record[field])
+        : record[field] === expected
+    )));
+
+    return paginate(matches, window);
+  }
+
+  async executeQuery({ query, timeoutMs, ...window }) {
+    const records = await this.getRecords();
+
+    let result;
+    try {
+      result = await jsonata(query, timeoutMs ? { timeout: timeoutMs } : undefined).evaluate(records);
+    } catch (error) {
+      if (error.code === 'D1012') {
+        throw new McpError(ErrorCode.RequestTimeout, `Query evaluation exceeded the ${timeoutMs} ms time limit`);
+      }
+      throw new McpError(
+        ErrorCode.InvalidParams,
+        `JSONata query failed: ${error.message}`
+      );
+    }
+
+    if (Array.isArray(result)) {
+      return paginate(result, window);
+    }
+    return { data: result };
+  }
+}
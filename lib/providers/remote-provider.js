@@ -0,0 +1,374 @@
+/**
+ * Remote Data Provider
+ *
+ * Answers bird data queries by calling the AviBase REST API.
+ */
+
+import fetch from 'node-fetch';
+import fs from 'fs';
+import http from 'http';
+import https from 'https';
+import { ErrorCode, McpError } from '@modelcontextprotocol/sdk/types.js';
+import { ResponseCache } from '../cache.js';
+import { UpstreamError, toMcpError } from '../errors.js';
+import { Logger, currentTrace } from '../logger.js';
+import { CircuitBreaker, backoffDelay, parseRetryAfter, sleep, withDeadline } from '../resilience.js';
+
+function elapsedMs(started) {
+  return Math.round(performance.now() - started);
+}
+
+export class RemoteProvider {
+  constructor(config, { logger = new Logger(config.logging), metrics = null } = {}) {
+    this.config = config;
+    this.logger = logger.child({ component: 'api' });
+    this.metrics = metrics;
+    this.agent = this.createAgent(config.api);
+    this.cache = config.cache.enabled ? new ResponseCache(config.cache, logger.child({ component: 'cache' })) : null;
+    this.breaker = new CircuitBreaker(config.api.circuitBreaker);
+  }
+
+  async initialize() {
+    await this.cache?.load();
+  }
+
+  async close() {
+    await this.cache?.flush();
+  }
+
+  health() {
+    return {
+      provider: 'remote',
+      source: this.config.api.baseUrl,
+      records: null,
+      circuit: {
+        state: this.breaker.state,
+        consecutiveFailures: this.breaker.failures,
+        retryInMs: this.breaker.remainingOpenMs,
+      },
+    };
+  }
+
+  createAgent(api) {
+    if (!api.baseUrl.startsWith('https:')) {
+      return new http.Agent({ keepAlive: true });
+    }
+
+    return new https.Agent({
+      keepAlive: true,
+      rejectUnauthorized: api.tls.rejectUnauthorized,
+      ca: api.tls.caFile ? fs.readFileSync(api.tls.caFile) : undefined,
+    });
+  }
+
+  buildHeaders(extraHeaders = {}) {
+    const { apiKey, apiKeyHeader, headers } = this.config.api;
+    const authHeaders = {};
+    if (apiKey) {
+      // Authorization gets a bearer token, any custom header gets the raw key
+      authHeaders[apiKeyHeader] = apiKeyHeader.toLowerCase() === 'authorization'
+        ? `Bearer ${apiKey}`
+        : apiKey;
+    }
+
+    return {
+      'Content-Type': 'application/json',
+      ...headers,
+      ...authHeaders,
+      ...extraHeaders,
+    };
+  }
+
+  // A null cacheGroup skips the cache, for reads too large to keep
+  async makeAPIRequest(endpoint, options = {}) {
+    const { cacheGroup, ...fetchOptions } = options;
+    const cacheKey = ResponseCache.key(fetchOptions.method, endpoint, fetchOptions.body);
+    const useCache = cacheGroup !== null && this.cache?.isEnabledFor(cacheGroup);
+
+    const trace = currentTrace();
+    if (useCache) {
+      const cached = this.cache.get(cacheGroup, cacheKey);
+      if (cached !== undefined) {
+        if (trace) {
+          trace.cacheHits++;
+        }
+        this.logger.debug('cache hit', { endpoint, cacheGroup });
+        return cached;
+      }
+      if (trace) {
+        trace.cacheMisses++;
+      }
+    }
+
+    const result = await this.fetchJSON(endpoint, fetchOptions);
+    if (useCache) {
+      this.cache.set(cacheGroup, cacheKey, result);
+    }
+    return result;
+  }
+
+  async fetchJSON(endpoint, options) {
+    const { maxRetries } = this.config.api.retry;
+
+    for (let attempt = 0; ; attempt++) {
+      if (!this.breaker.canRequest()) {
+        const retryAfterMs = this.breaker.remainingOpenMs;
+        this.logger.warning('upstream request skipped, circuit open', { endpoint, retryInMs: retryAfterMs });
+        throw toMcpError(new UpstreamError(
+          `circuit open after repeated failures, next attempt in ${Math.ceil(retryAfterMs / 1000)}s`,
+          { kind: 'circuit_open', retryAfterMs }
+        ), endpoint);
+      }
+
+      const method = options.method || 'GET';
+      const started = performance.now();
+      try {
+        const { status, data } = await this.fetchOnce(endpoint, options);
+        const latencyMs = elapsedMs(started);
+        this.breaker.recordSuccess();
+        this.recordAttempt(endpoint, { status, latencyMs, ok: true });
+        this.logger.debug('upstream request', { method, endpoint, status, latencyMs, attempt: attempt + 1 });
+        return data;
+      } catch (caught) {
+        const error = caught instanceof UpstreamError ? caught : UpstreamError.fromNetworkError(caught);
+        const latencyMs = elapsedMs(started);
+        const wasOpen = this.breaker.state === 'open';
+        if (error.isServerFault) {
+          this.breaker.recordFailure();
+        } else {
+          this.breaker.recordSuccess();
+        }
+        this.recordAttempt(endpoint, { status: error.status, latencyMs, ok: false, error: error.message });
+        if (!wasOpen && this.breaker.state === 'open') {
+          this.logger.error('circuit opened after repeated upstream failures', {
+            failures: this.breaker.failures,
+            resetInMs: this.breaker.remainingOpenMs,
+          });
+        }
+
+        const failure = {
+          method,
+          endpoint,
+          status: error.status,
+          kind: error.kind,
+          error: error.message,
+          latencyMs,
+          attempt: attempt + 1,
+        };
+        const delay = this.retryDelay(error, attempt);
+        if (delay === null || attempt >= maxRetries || this.breaker.state === 'open') {
+          // A 404 or a rejected query is the caller's problem, not the API's
+          this.logger.log(error.isServerFault ? 'error' : 'warning', 'upstream request failed', failure);
+          throw toMcpError(error, endpoint);
+        }
+
+        this.logger.warning('upstream request failed, retrying', { ...failure, retryInMs: delay });
+        this.metrics?.recordRetry();
+        await sleep(delay);
+      }
+    }
+  }
+
+  recordAttempt(endpoint, outcome) {
+    this.metrics?.recordUpstream(endpoint, outcome);
+    const trace = currentTrace();
+    if (trace) {
+      trace.upstreamRequests++;
+      trace.upstreamMs += outcome.latencyMs;
+    }
+  }
+
+  // Returns how long to wait before retrying, or null if the error is final
+  retryDelay(error, attempt) {
+    const { retry } = this.config.api;
+    if (!error.retryable) {
+      return null;
+    }
+    if (error.retryAfterMs !== null) {
+      // Honour Retry-After, but don't hold the tool call longer than the backoff ceiling
+      return error.retryAfterMs <= retry.maxDelayMs ? error.retryAfterMs : null;
+    }
+    return backoffDelay(attempt, retry);
+  }
+
+  async fetchOnce(endpoint, options) {
+    const { timeoutMs } = this.config.api;
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeoutMs);
+
+    try {
+      const url = `${this.config.api.baseUrl.replace(/\/+$/, '')}${endpoint}`;
+      const response = await fetch(url, {
+        ...options,
+        headers: this.buildHeaders(options.headers),
+        agent: this.agent,
+        signal: controller.signal,
+      });
+
+      if (!response.ok) {
+        const detail = await this.readErrorDetail(response);
+        throw UpstreamError.fromResponse(
+          response,
+          detail,
+          parseRetryAfter(response.headers.get('retry-after'))
+        );
+      }
+
+      try {
+        return { status: response.status, data: await response.json() };
+      } catch (error) {
+        throw new UpstreamError(`invalid JSON in response: ${error.message}`, { kind: 'invalid_response' });
+      }
+    } catch (error) {
+      if (error.name === 'AbortError') {
+        throw new UpstreamError(`request timed out after ${timeoutMs}ms`, {
+          kind: 'timeout',
+          retryable: true,
+        });
+      }
+      throw error;
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  async readErrorDetail(response) {
+    try {
+      const text = await response.text();
+      try {
+        const body = JSON.parse(text);
+        return body.error?.message || body.error || body.message || null;
+      } catch {
+        return text.slice(0, 200) || null;
+      }
+    } catch {
+      return null;
+    }
+  }
+
+  async getStats() {
+    return this.makeAPIRequest('/stats', { cacheGroup: 'get_bird_stats' });
+  }
+
+  // The API serves limit-sized pages, so an offset that isn't a multiple of
+  // the limit straddles two of them
+  async fetchWindow(requestPage, { limit, offset = 0 }) {
+    const page = Math.floor(offset / limit) + 1;
+    const skip = offset % limit;
+
+    const first = await requestPage(page, limit);
+    if (!Array.isArray(first.data)) {
+      // Scalar and object results (e.g. JSONata aggregates) have no pages
+      return first;
+    }
+
+    let data = first.data;
+    if (skip > 0 && first.pagination?.hasNext) {
+      const second = await requestPage(page + 1, limit);
+      data = data.concat(second.data);
+    }
+    data = data.slice(skip, skip + limit);
+
+    const totalItems = first.pagination?.totalItems ?? offset + data.length;
+    return {
+      data,
+      pagination: {
+        offset,
+        limit,
+        totalItems,
+        hasNext: offset + data.length < totalItems,
+        hasPrev: offset > 0,
+      },
+    };
+  }
+
+  async searchBirds({ query, exact, ...window }) {
+    return this.fetchWindow((page, limit) => this.makeAPIRequest(
+      `/search?q=${encodeURIComponent(query)}&exact=${exact}&limit=${limit}&page=${page}`,
+      { cacheGroup: 'search_birds' }
+    ), window);
+  }
+
+  async getBirdsByTaxonomy({ level, value, ...window }) {
+    return this.fetchWindow((page, limit) => this.makeAPIRequest(
+      `/taxonomy/${level}/${encodeURIComponent(value)}?limit=${limit}&page=${page}`,
+      { cacheGroup: 'get_birds_by_taxonomy' }
+    ), window);
+  }
+
+  async getConservationStatus({ category, ...window }) {
+    return this.fetchWindow((page, limit) => this.makeAPIRequest(
+      `/conservation/${category}?limit=${limit}&page=${page}`,
+      { cacheGroup: 'get_conservation_status' }
+    ), window);
+  }
+
+  async getBirdsByRegion({ region, ...window }) {
+    return this.fetchWindow((page, limit) => this.makeAPIRequest(
+      `/range?region=${encodeURIComponent(region)}&limit=${limit}&page=${page}`,
+      { cacheGroup: 'get_birds_by_region' }
+    ), window);
+  }
+
+  async getExtinctSpecies(window) {
+    return this.fetchWindow((page, limit) => this.makeAPIRequest(
+      `/extinct?limit=${limit}&page=${page}`,
+      { cacheGroup: 'get_extinct_species' }
+    ), window);
+  }
+
+  async getBirdsByAuthority({ authority, ...window }) {
+    return this.fetchWindow((page, limit) => this.makeAPIRequest(
+      `/authority?name=${encodeURIComponent(authority)}&limit=${limit}&page=${page}`,
+      { cacheGroup: 'get_birds_by_authority' }
+    ), window);
+  }
+
+  async getRandomBirds({ count }) {
+    return this.makeAPIRequest(`/random?count=${count}`, {
+      cacheGroup: 'get_random_birds',
+    });
+  }
+
+  async getBirdReport({ scientificName }) {
+    return this.makeAPIRequest(`/bird/${encodeURIComponent(scientificName)}`, {
+      cacheGroup: 'get_bird_report',
+    });
+  }
+
+  // Higher-rank rows leave Family and the like empty, and $sort refuses nulls
+  async listDistinct(field) {
+    const response = await this.makeAPIRequest('/query', {
+      method: 'POST',
+      body: JSON.stringify({ query: `$sort($distinct($[\`${field}\`].\`${field}\`))`, limit: 10000 }),
+      cacheGroup: 'execute_jsonata_query',
+    });
+    return (Array.isArray(response.data) ? response.data : [response.data]).filter(Boolean);
+  }
+
+  async customQuery({ filters, ...window }) {
+    return this.fetchWindow((page, limit) => this.makeAPIRequest('/custom', {
+      method: 'POST',
+      body: JSON.stringify({ filters, limit, page }),
+      cacheGroup: 'custom_bird_query',
+    }), window);
+  }
+
+  // Tools such as custom_bird_query and aggregate_birds are built on /query,
+  // so their responses are cached under the calling tool's group unless one
+  // is given
+  async executeQuery({ query, timeoutMs, cacheGroup = currentTrace()?.tool ?? 'execute_jsonata_query', ...window }) {
+    const request = this.fetchWindow((page, limit) => this.makeAPIRequest('/query', {
+      method: 'POST',
+      body: JSON.stringify({ query, limit, page }),
+      cacheGroup,
+    }), window);
+    if (!timeoutMs) {
+      return request;
+    }
+    return withDeadline(request, timeoutMs, () => new McpError(
+      ErrorCode.RequestTimeout,
+      `Query evaluation exceeded the ${timeoutMs} ms time limit`
+    ));
+  }
+}
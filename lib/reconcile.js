@@ -0,0 +1,207 @@
+/**
+ * Checklist Reconciliation
+ *
+ * Maps a name from the AviList, Clements or BirdLife checklist, a Cornell
+ * species code or an AvibaseID to the AviList record, and reports where the
+ * checklists disagree: differing English names, species one checklist
+ * splits and another lumps, and species a checklist doesn't recognize.
+ */
+
+import { ErrorCode, McpError } from '@modelcontextprotocol/sdk/types.js';
+import { notFoundError } from './errors.js';
+import { resolveName, suggestionText } from './names.js';
+import { isSpecies, speciesOf } from './taxonomy.js';
+
+export const CHECKLISTS = {
+  avilist: { label: 'AviList', field: 'English_name_AviList' },
+  clements: { label: 'Clements', field: 'English_name_Clements_v2024' },
+  birdlife: { label: 'BirdLife', field: 'English_name_BirdLife_v9' },
+};
+
+const MAX_MATCHES = 25;
+
+// Evaluate a JSONata filter through the provider and always get an array back
+async function queryRecords(provider, predicate) {
+  const response = await provider.executeQuery({ query: `$[${predicate}]`, offset: 0, limit: MAX_MATCHES });
+  const data = response.data;
+  if (Array.isArray(data)) {
+    return data;
+  }
+  return data ? [data] : [];
+}
+
+// Case-insensitive match on any of the given fields ($string lets null
+// fields through $lowercase)
+function fieldsEqual(fields, value) {
+  const literal = JSON.stringify(String(value).trim().toLowerCase());
+  return fields.map(field => `$lowercase($string(${field})) = ${literal}`).join(' or ');
+}
+
+function compareNames(a, b) {
+  if (!a || !b) {
+    return 'missing';
+  }
+  if (a === b) {
+    return 'identical';
+  }
+  return a.toLowerCase() === b.toLowerCase() ? 'case_only' : 'different';
+}
+
+async function findRecords(provider, { name, speciesCode, avibaseId, checklist }) {
+  if (speciesCode) {
+    return { matchedOn: 'Species_code_Cornell_Lab', records: await queryRecords(provider, fieldsEqual(['Species_code_Cornell_Lab'], speciesCode)) };
+  }
+  if (avibaseId) {
+    return { matchedOn: 'AvibaseID', records: await queryRecords(provider, fieldsEqual(['AvibaseID'], avibaseId)) };
+  }
+
+  const nameFields = checklist === 'any'
+    ? Object.values(CHECKLISTS).map(entry => entry.field)
+    : [CHECKLISTS[checklist].field];
+  for (const field of ['Scientific_name', ...nameFields]) {
+    const records = await queryRecords(provider, fieldsEqual([field], name));
+    if (records.length > 0) {
+      return { matchedOn: field, records };
+    }
+  }
+  return { matchedOn: null, records: [] };
+}
+
+async function findIssues(provider, record) {
+  const issues = [];
+  const aviListName = record[CHECKLISTS.avilist.field];
+
+  for (const key of ['clements', 'birdlife']) {
+    const { label, field } = CHECKLISTS[key];
+    const name = record[field];
+
+    if (!name) {
+      if (isSpecies(record)) {
+        issues.push({
+          type: 'not_recognized',
+          checklist: key,
+          message: `${label} has no species named for this AviList taxon; it is probably lumped into another species there`,
+          taxa: [],
+        });
+      }
+      continue;
+    }
+
+    if (compareNames(aviListName, name) === 'different') {
+      issues.push({
+        type: 'different_name',
+        checklist: key,
+        message: `${label} calls it "${name}", AviList calls it "${aviListName ?? 'no English name'}"`,
+        taxa: [],
+      });
+    }
+
+    // One checklist name covering several AviList species means AviList splits it
+    const sharing = (await queryRecords(provider, fieldsEqual([field], name)))
+      .filter(other => isSpecies(other) && other.Scientific_name !== record.Scientific_name);
+    if (isSpecies(record) && sharing.length > 0) {
+      issues.push({
+        type: 'split',
+        checklist: key,
+        message: `${label} treats "${name}" as one species; AviList splits it into ${sharing.length + 1}`,
+        taxa: [record.Scientific_name, ...sharing.map(other => other.Scientific_name)],
+      });
+    }
+  }
+
+  // Subspecies carrying their own checklist names are species in that checklist
+  if (isSpecies(record)) {
+    const prefix = JSON.stringify(`${speciesOf(record.Scientific_name)} `);
+    const subspecies = await queryRecords(
+      provider,
+      `$substring(Scientific_name, 0, ${prefix.length - 2}) = ${prefix} and (${CHECKLISTS.clements.field} or ${CHECKLISTS.birdlife.field})`
+    );
+    for (const key of ['clements', 'birdlife']) {
+      const { label, field } = CHECKLISTS[key];
+      const elevated = subspecies.filter(other => other[field]);
+      if (elevated.length > 0) {
+        issues.push({
+          type: 'lump',
+          checklist: key,
+          message: `${label} recognizes ${elevated.map(other => `"${other[field]}"`).join(', ')} as ${elevated.length === 1 ? 'a separate species' : 'separate species'}; AviList lumps ${elevated.length === 1 ? 'it' : 'them'} into ${record.Scientific_name}`,
+          taxa: elevated.map(other => other.Scientific_name),
+        });
+      }
+    }
+  }
+
+  const clementsSplit = issues.some(issue => issue.type === 'split' && issue.checklist === 'clements');
+  if (record.Species_code_Cornell_Lab && isSpecies(record) && !clementsSplit) {
+    const sharing = (await queryRecords(provider, fieldsEqual(['Species_code_Cornell_Lab'], record.Species_code_Cornell_Lab)))
+      .filter(other => isSpecies(other) && other.Scientific_name !== record.Scientific_name);
+    if (sharing.length > 0) {
+      issues.push({
+        type: 'split',
+        checklist: 'clements',
+        message: `eBird species code ${record.Species_code_Cornell_Lab} is shared with ${sharing.map(other => other.Scientific_name).join(', ')}`,
+        taxa: [record.Scientific_name, ...sharing.map(other => other.Scientific_name)],
+      });
+    }
+  }
+
+  return issues;
+}
+
+/**
+ * Resolve a checklist name, species code or AvibaseID to AviList records
+ * and list the checklist disagreements for each.
+ */
+export async function reconcileName(provider, query) {
+  const { name, speciesCode, avibaseId, checklist = 'any', fuzzy = true } = query;
+  const given = [name, speciesCode, avibaseId].filter(Boolean);
+  if (given.length !== 1) {
+    throw new McpError(ErrorCode.InvalidParams, 'Provide exactly one of name, species_code or avibase_id');
+  }
+  if (checklist !== 'any' && !CHECKLISTS[checklist]) {
+    throw new McpError(ErrorCode.InvalidParams, `checklist must be one of any, ${Object.keys(CHECKLISTS).join(', ')}; got "${checklist}"`);
+  }
+
+  let { matchedOn, records } = await findRecords(provider, { name, speciesCode, avibaseId, checklist });
+  let resolution = null;
+  if (records.length === 0 && name && fuzzy) {
+    // A misspelled or differently-ended name
+    const resolved = await resolveName(provider, name);
+    if (resolved.status !== 'resolved') {
+      throw notFoundError(`No AviList record matches "${name}"${suggestionText(resolved)}`);
+    }
+    resolution = resolved.match;
+    matchedOn = resolution.matchedField;
+    records = [resolved.birds[0]];
+  }
+  if (records.length === 0) {
+    throw notFoundError(`No AviList record matches ${speciesCode ? `species code ${speciesCode}` : avibaseId ? `AvibaseID ${avibaseId}` : `"${name}"`}`);
+  }
+
+  const matches = [];
+  for (const record of records) {
+    matches.push({
+      scientificName: record.Scientific_name,
+      taxonRank: record.Taxon_rank ?? null,
+      family: record.Family ?? null,
+      avibaseId: record.AvibaseID ?? null,
+      speciesCode: record.Species_code_Cornell_Lab ?? null,
+      names: {
+        avilist: record[CHECKLISTS.avilist.field] ?? null,
+        clements: record[CHECKLISTS.clements.field] ?? null,
+        birdlife: record[CHECKLISTS.birdlife.field] ?? null,
+      },
+      nameAgreement: {
+        clements: compareNames(record[CHECKLISTS.avilist.field], record[CHECKLISTS.clements.field]),
+        birdlife: compareNames(record[CHECKLISTS.avilist.field], record[CHECKLISTS.birdlife.field]),
+      },
+      issues: await findIssues(provider, record),
+    });
+  }
+
+  return {
+    query: { name: name ?? null, speciesCode: speciesCode ?? null, avibaseId: avibaseId ?? null, checklist },
+    matchedOn,
+    resolution,
+    matches,
+  };
+}
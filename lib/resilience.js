@@ -0,0 +1,109 @@
+/**
+ * Upstream Resilience
+ *
+ * Retry backoff and a circuit breaker for calls to the AviBase REST API.
+ */
+
+export function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Reject with `error()` if `promise` hasn't settled within `ms`.
+ */
+export function withDeadline(promise, ms, error) {
+  let timer;
+  const deadline = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(error()), ms);
+  });
+  return Promise.race([promise, deadline]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Parse a Retry-After header (delta seconds or HTTP date) into milliseconds.
+ */
+export function parseRetryAfter(header, now = Date.now()) {
+  if (!header) {
+    return null;
+  }
+
+  const seconds = Number(header);
+  if (Number.isFinite(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+
+  const date = Date.parse(header);
+  return Number.isNaN(date) ? null : Math.max(0, date - now);
+}
+
+/**
+ * Exponential backoff with full jitter for the given zero-based attempt.
+ */
+export function backoffDelay(attempt, { baseDelayMs, maxDelayMs }) {
+  const ceiling = Math.min(maxDelayMs, baseDelayMs * 2 ** attempt);
+  return Math.round(Math.random() * ceiling);
+}
+
+export class CircuitBreaker {
+  constructor({ failureThreshold, resetTimeoutMs }) {
+    this.failureThreshold = failureThreshold;
+    this.resetTimeoutMs = resetTimeoutMs;
+    this.state = 'closed';
+    this.failures = 0;
+    this.openedAt = null;
+    this.trialInFlight = false;
+  }
+
+  // Milliseconds until an open breaker lets a trial request through
+  get remainingOpenMs() {
+    if (this.state !== 'open') {
+      return 0;
+    }
+    return Math.max(0, this.openedAt + this.resetTimeoutMs - Date.now());
+  }
+
+  canRequest() {
+    if (this.failureThreshold <= 0 || this.state === 'closed') {
+      return true;
+    }
+
+    if (this.state === 'open' && this.remainingOpenMs === 0) {
+      this.state = 'half-open';
+      this.trialInFlight = false;
+    }
+
+    // Half-open: allow a single trial request to probe the backend
+    if (this.state === 'half-open' && !this.trialInFlight) {
+      this.trialInFlight = true;
+      return true;
+    }
+    return false;
+  }
+
+  recordSuccess() {
+    this.state = 'closed';
+    this.failures = 0;
+    this.openedAt = null;
+    this.trialInFlight = false;
+  }
+
+  recordFailure() {
+    if (this.failureThreshold <= 0) {
+      return;
+    }
+    this.failures++;
+    if (this.state === 'half-open' || this.failures >= this.failureThreshold) {
+      this.state = 'open';
+      this.openedAt = Date.now();
+      this.trialInFlight = false;
+    }
+  }
+
+  snapshot() {
+    return {
+      state: this.state,
+      consecutiveFailures: this.failures,
+      retryInMs: this.remainingOpenMs,
+    };
+  }
+}
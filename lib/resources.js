@@ -0,0 +1,188 @@
+/**
+ * MCP Resources
+ *
+ * Exposes birds, families, orders and IUCN categories as `avibase://` URIs
+ * so clients can attach them to a conversation directly. Reads go through
+ * the same provider calls as the equivalent tools. Saved query definitions
+ * are exposed as `avibase://saved-query/{name}`.
+ */
+
+import { McpError } from '@modelcontextprotocol/sdk/types.js';
+import { AvibaseErrorCode } from './errors.js';
+import { IUCN_CATEGORIES, IUCN_CATEGORY_NAMES } from './iucn.js';
+import { collectAll } from './pagination.js';
+
+const SCHEME = 'avibase:';
+const MAX_RESOURCE_RECORDS = 2000;
+
+export const RESOURCE_TEMPLATES = [
+  {
+    uriTemplate: 'avibase://bird/{scientific_name}',
+    name: 'bird',
+    title: 'Bird species report',
+    description: 'Full record for one taxon plus related species in its family (e.g. avibase://bird/Aquila%20chrysaetos)',
+    mimeType: 'application/json',
+  },
+  {
+    uriTemplate: 'avibase://family/{Family}',
+    name: 'family',
+    title: 'Bird family',
+    description: 'All records in a family (e.g. avibase://family/Strigidae)',
+    mimeType: 'application/json',
+  },
+  {
+    uriTemplate: 'avibase://order/{Order}',
+    name: 'order',
+    title: 'Bird order',
+    description: 'All records in an order (e.g. avibase://order/Accipitriformes)',
+    mimeType: 'application/json',
+  },
+  {
+    uriTemplate: 'avibase://iucn/{category}',
+    name: 'iucn',
+    title: 'IUCN Red List category',
+    description: `Species with an IUCN Red List category (${IUCN_CATEGORIES.join(', ')})`,
+    mimeType: 'application/json',
+  },
+  {
+    uriTemplate: 'avibase://saved-query/{name}',
+    name: 'saved-query',
+    title: 'Saved query',
+    description: 'Definition of a saved query: its filters or JSONata expression and parameters',
+    mimeType: 'application/json',
+  },
+];
+
+// Tool cache groups backing each resource type, used to notify subscribers
+// when cached data is cleared
+export const RESOURCE_CACHE_GROUPS = {
+  bird: 'get_bird_report',
+  family: 'get_birds_by_taxonomy',
+  order: 'get_birds_by_taxonomy',
+  iucn: 'get_conservation_status',
+  stats: 'get_bird_stats',
+};
+
+export function listResources(savedQueries = []) {
+  return [
+    {
+      uri: 'avibase://stats',
+      name: 'stats',
+      title: 'Dataset statistics',
+      description: 'Totals for records, species, families, orders and extinct species',
+      mimeType: 'application/json',
+    },
+    ...IUCN_CATEGORIES.map(category => ({
+      uri: `avibase://iucn/${category}`,
+      name: `iucn-${category}`,
+      title: `${IUCN_CATEGORY_NAMES[category]} species`,
+      description: `Species listed as ${IUCN_CATEGORY_NAMES[category]} (${category}) on the IUCN Red List`,
+      mimeType: 'application/json',
+    })),
+    ...savedQueries.map(saved => ({
+      uri: `avibase://saved-query/${encodeURIComponent(saved.name)}`,
+      name: `saved-query-${saved.name}`,
+      title: `Saved query: ${saved.name}`,
+      description: saved.description,
+      mimeType: 'application/json',
+    })),
+  ];
+}
+
+function resourceNotFound(uri, reason) {
+  return new McpError(AvibaseErrorCode.ResourceNotFound, `Resource not found: ${uri}${reason ? ` (${reason})` : ''}`);
+}
+
+/**
+ * Split an avibase:// URI into its resource type and decoded value.
+ */
+export function parseResourceUri(uri) {
+  let url;
+  try {
+    url = new URL(uri);
+  } catch {
+    throw resourceNotFound(uri, 'malformed URI');
+  }
+  if (url.protocol !== SCHEME) {
+    throw resourceNotFound(uri, `expected an ${SCHEME}// URI`);
+  }
+
+  const type = url.hostname;
+  const value = decodeURIComponent(url.pathname.replace(/^\//, ''));
+  if (type === 'stats') {
+    return { type, value: null };
+  }
+  if ((!RESOURCE_CACHE_GROUPS[type] && type !== 'saved-query') || !value) {
+    throw resourceNotFound(uri);
+  }
+  return { type, value };
+}
+
+async function readList(fetchPage) {
+  const { records, totalItems, truncated } = await collectAll(fetchPage, {
+    maxRecords: MAX_RESOURCE_RECORDS,
+  });
+  return { totalItems, truncated, birds: records };
+}
+
+async function loadResource(provider, savedQueries, { type, value }) {
+  switch (type) {
+    case 'stats':
+      return (await provider.getStats()).data;
+
+    case 'bird':
+      return (await provider.getBirdReport({ scientificName: value })).data;
+
+    case 'family':
+    case 'order': {
+      const level = type === 'family' ? 'Family' : 'Order';
+      const list = await readList(window => provider.getBirdsByTaxonomy({ level, value, ...window }));
+      if (list.birds.length === 0) {
+        throw new McpError(AvibaseErrorCode.NotFound, `No ${type} named ${value}`);
+      }
+      return { [type]: value, ...list };
+    }
+
+    case 'iucn': {
+      const category = value.toUpperCase();
+      if (!IUCN_CATEGORIES.includes(category)) {
+        throw new McpError(AvibaseErrorCode.ResourceNotFound, `Unknown IUCN category: ${value}`);
+      }
+      return {
+        category,
+        categoryName: IUCN_CATEGORY_NAMES[category],
+        ...await readList(window => provider.getConservationStatus({ category, ...window })),
+      };
+    }
+
+    case 'saved-query':
+      return await savedQueries.get(value);
+
+    default:
+      throw resourceNotFound(`${SCHEME}//${type}`);
+  }
+}
+
+export async function readResource(provider, savedQueries, uri) {
+  const target = parseResourceUri(uri);
+
+  let data;
+  try {
+    data = await loadResource(provider, savedQueries, target);
+  } catch (error) {
+    if (error instanceof McpError && error.code === AvibaseErrorCode.NotFound) {
+      throw resourceNotFound(uri, 'no matching record');
+    }
+    throw error;
+  }
+
+  return {
+    contents: [
+      {
+        uri,
+        mimeType: 'application/json',
+        text: JSON.stringify(data, null, 2),
+      },
+    ],
+  };
+}
@@ -0,0 +1,322 @@
+/**
+ * Saved Queries
+ *
+ * Named `custom_bird_query` filter sets and JSONata expressions kept in a
+ * JSON file, so a team can check them into a repository and share them.
+ * Values may contain `{{param}}` placeholders that are filled in each time
+ * the query is run.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { ErrorCode, McpError } from '@modelcontextprotocol/sdk/types.js';
+import { notFoundError } from './errors.js';
+
+export const SAVED_QUERY_KINDS = ['filters', 'jsonata'];
+
+const NAME_PATTERN = /^[A-Za-z0-9][A-Za-z0-9_-]{0,63}$/;
+const PARAMETER_NAME = /^[A-Za-z_][A-Za-z0-9_]*$/;
+const PLACEHOLDER = /\{\{\s*([A-Za-z_][A-Za-z0-9_]*)\s*\}\}/g;
+const WHOLE_PLACEHOLDER = /^\{\{\s*([A-Za-z_][A-Za-z0-9_]*)\s*\}\}$/;
+const HAS_PLACEHOLDER = /\{\{\s*[A-Za-z_][A-Za-z0-9_]*\s*\}\}/;
+// JSONata string literals and backquoted field names
+const QUOTED = /"(?:[^"\\]|\\.)*"|'(?:[^'\\]|\\.)*'|`[^`]*`/g;
+
+function invalid(message) {
+  return new McpError(ErrorCode.InvalidParams, message);
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// Every placeholder name used in a string, array or object
+function placeholders(value, names = new Set()) {
+  if (typeof value === 'string') {
+    for (const match of value.matchAll(PLACEHOLDER)) {
+      names.add(match[1]);
+    }
+  } else if (Array.isArray(value)) {
+    value.forEach(item => placeholders(item, names));
+  } else if (isPlainObject(value)) {
+    Object.values(value).forEach(item => placeholders(item, names));
+  }
+  return names;
+}
+
+// A filter value that is only a placeholder takes the argument as-is, so
+// `{{categories}}` can become a list; anything else is interpolated as text.
+// Placeholders without a value are left in place.
+function fillFilters(value, params) {
+  if (typeof value === 'string') {
+    const whole = value.match(WHOLE_PLACEHOLDER);
+    if (whole) {
+      return whole[1] in params ? params[whole[1]] : value;
+    }
+    return value.replace(PLACEHOLDER, (match, name) => (name in params ? String(params[name]) : match));
+  }
+  if (Array.isArray(value)) {
+    // A list argument filling one item of a list is spread into it
+    return value.flatMap(item => {
+      const filled = fillFilters(item, params);
+      return typeof item === 'string' && WHOLE_PLACEHOLDER.test(item) && Array.isArray(filled) ? filled : [filled];
+    });
+  }
+  if (isPlainObject(value)) {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, fillFilters(item, params)]));
+  }
+  return value;
+}
+
+// Filters with every value that still holds a placeholder left out
+function withoutPlaceholders(value) {
+  if (typeof value === 'string') {
+    return HAS_PLACEHOLDER.test(value) ? undefined : value;
+  }
+  if (Array.isArray(value)) {
+    const items = value.map(withoutPlaceholders).filter(item => item !== undefined);
+    return items.length > 0 ? items : undefined;
+  }
+  if (isPlainObject(value)) {
+    return Object.fromEntries(Object.entries(value)
+      .map(([key, item]) => [key, withoutPlaceholders(item)])
+      .filter(([, item]) => item !== undefined));
+  }
+  return value;
+}
+
+// Placeholders inside a string literal would be filled with a second pair
+// of quotes ("{{name}}" becomes ""Bubo""), so they are refused
+function quotedPlaceholders(query) {
+  const names = new Set();
+  for (const [literal] of query.matchAll(QUOTED)) {
+    placeholders(literal, names);
+  }
+  return [...names];
+}
+
+// In JSONata every placeholder becomes a literal, so arguments can't inject
+// expressions of their own
+function fillJsonata(query, params) {
+  return query.replace(PLACEHOLDER, (_, name) => JSON.stringify(params[name]));
+}
+
+function normalizeParameters(parameters, used) {
+  if (parameters === undefined || parameters === null) {
+    parameters = [];
+  }
+  if (!Array.isArray(parameters)) {
+    throw invalid('parameters must be a list of { name, description, default } objects');
+  }
+
+  const declared = new Map();
+  for (const parameter of parameters) {
+    if (!isPlainObject(parameter) || typeof parameter.name !== 'string' || !PARAMETER_NAME.test(parameter.name)) {
+      throw invalid(`parameters has an invalid entry: ${JSON.stringify(parameter)}`);
+    }
+    if (declared.has(parameter.name)) {
+      throw invalid(`parameter "${parameter.name}" is declared twice`);
+    }
+    if (!used.has(parameter.name)) {
+      throw invalid(`parameter "${parameter.name}" is not used; reference it as {{${parameter.name}}}`);
+    }
+    declared.set(parameter.name, {
+      name: parameter.name,
+      description: typeof parameter.description === 'string' ? parameter.description : null,
+      ...(parameter.default !== undefined ? { default: parameter.default } : {}),
+    });
+  }
+
+  // Placeholders without a declaration become required parameters
+  for (const name of used) {
+    if (!declared.has(name)) {
+      declared.set(name, { name, description: null });
+    }
+  }
+  return [...declared.values()];
+}
+
+/**
+ * Check a query definition from `save_query` and bring it into the shape
+ * it is stored in.
+ */
+export function normalizeSavedQuery(definition) {
+  const { name, description, kind, filters, query } = definition;
+  if (typeof name !== 'string' || !NAME_PATTERN.test(name)) {
+    throw invalid('name must be 1–64 letters, digits, "-" or "_", starting with a letter or digit');
+  }
+  if (typeof description !== 'string' || !description.trim()) {
+    throw invalid('description must be a non-empty string');
+  }
+  if (!SAVED_QUERY_KINDS.includes(kind)) {
+    throw invalid(`kind must be one of ${SAVED_QUERY_KINDS.join(', ')}; got "${kind}"`);
+  }
+
+  let body;
+  if (kind === 'filters') {
+    if (!isPlainObject(filters) || Object.keys(filters).length === 0) {
+      throw invalid('filters must be a non-empty object when kind is "filters"');
+    }
+    if (query !== undefined) {
+      throw invalid('query is only used when kind is "jsonata"');
+    }
+    body = { filters };
+  } else {
+    if (typeof query !== 'string' || !query.trim()) {
+      throw invalid('query must be a non-empty JSONata expression when kind is "jsonata"');
+    }
+    if (filters !== undefined) {
+      throw invalid('filters are only used when kind is "filters"');
+    }
+    const quoted = quotedPlaceholders(query);
+    if (quoted.length > 0) {
+      throw invalid(`{{${quoted[0]}}} is inside a string literal; placeholders are filled in as JSON literals, so write it without quotes, e.g. $contains(Range, {{${quoted[0]}}})`);
+    }
+    body = { query };
+  }
+
+  return {
+    name,
+    description: description.trim(),
+    kind,
+    ...body,
+    parameters: normalizeParameters(definition.parameters, placeholders(body)),
+  };
+}
+
+/**
+ * Fill a saved query's placeholders, returning the filters or JSONata
+ * expression to run.
+ */
+export function bindParameters(saved, params = {}) {
+  if (!isPlainObject(params)) {
+    throw invalid('params must be an object of parameter names to values');
+  }
+  const known = new Set(saved.parameters.map(parameter => parameter.name));
+  const unknown = Object.keys(params).filter(name => !known.has(name));
+  if (unknown.length > 0) {
+    throw invalid(`Saved query "${saved.name}" has no parameter${unknown.length === 1 ? '' : 's'} ${unknown.join(', ')}`);
+  }
+
+  const values = {};
+  const missing = [];
+  for (const parameter of saved.parameters) {
+    const value = params[parameter.name] ?? parameter.default;
+    if (value === undefined || value === null || value === '') {
+      missing.push(parameter.name);
+    }
+    values[parameter.name] = value;
+  }
+  if (missing.length > 0) {
+    throw invalid(`Saved query "${saved.name}" needs a value for ${missing.join(', ')}`);
+  }
+
+  return {
+    params: values,
+    ...(saved.kind === 'filters'
+      ? { filters: fillFilters(saved.filters, values) }
+      : { query: fillJsonata(saved.query, values) }),
+  };
+}
+
+/**
+ * The filters with placeholders filled from their defaults and any value
+ * still holding one left out, for checking them before the query is run.
+ */
+export function filtersSkeleton(saved) {
+  const defaults = Object.fromEntries(saved.parameters
+    .filter(parameter => parameter.default !== undefined)
+    .map(parameter => [parameter.name, parameter.default]));
+  return withoutPlaceholders(fillFilters(saved.filters, defaults));
+}
+
+/**
+ * The JSONata expression with every placeholder replaced by null, for
+ * checking its syntax before any values are known.
+ */
+export function jsonataSkeleton(query) {
+  return query.replace(PLACEHOLDER, 'null');
+}
+
+export class SavedQueryStore {
+  constructor({ file }) {
+    this.file = file;
+    // Writes are chained so two saves in one process can't interleave
+    this.pending = Promise.resolve();
+  }
+
+  // Read on every call so edits to the file (e.g. a git pull) show up
+  // without a restart
+  async list() {
+    let text;
+    try {
+      text = await fs.readFile(this.file, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return [];
+      }
+      throw new McpError(ErrorCode.InternalError, `Cannot read saved queries from ${this.file}: ${error.message}`);
+    }
+
+    let parsed;
+    try {
+      parsed = JSON.parse(text);
+    } catch (error) {
+      throw new McpError(ErrorCode.InternalError, `Saved queries file ${this.file} is not valid JSON: ${error.message}`);
+    }
+    return Array.isArray(parsed?.queries) ? parsed.queries : [];
+  }
+
+  async get(name) {
+    const saved = (await this.list()).find(entry => entry.name === name);
+    if (!saved) {
+      throw notFoundError(`No saved query named "${name}"`);
+    }
+    return saved;
+  }
+
+  async save(definition, { overwrite = false } = {}) {
+    const saved = normalizeSavedQuery(definition);
+    return this.update(queries => {
+      const existing = queries.find(entry => entry.name === saved.name);
+      if (existing && !overwrite) {
+        throw invalid(`A saved query named "${saved.name}" already exists; set overwrite to replace it`);
+      }
+
+      const now = new Date().toISOString();
+      const entry = { ...saved, createdAt: existing?.createdAt ?? now, updatedAt: now };
+      return {
+        queries: [...queries.filter(other => other.name !== saved.name), entry],
+        result: { saved: entry, created: !existing },
+      };
+    });
+  }
+
+  async delete(name) {
+    return this.update(queries => {
+      const existing = queries.find(entry => entry.name === name);
+      if (!existing) {
+        throw notFoundError(`No saved query named "${name}"`);
+      }
+      return { queries: queries.filter(entry => entry.name !== name), result: existing };
+    });
+  }
+
+  update(change) {
+    const run = this.pending.then(async () => {
+      const { queries, result } = change(await this.list());
+      await this.write(queries);
+      return result;
+    });
+    this.pending = run.catch(() => {});
+    return run;
+  }
+
+  async write(queries) {
+    const sorted = [...queries].sort((a, b) => a.name.localeCompare(b.name));
+    const tempFile = `${this.file}.${process.pid}.tmp`;
+    await fs.mkdir(path.dirname(path.resolve(this.file)), { recursive: true });
+    await fs.writeFile(tempFile, `${JSON.stringify({ queries: sorted }, null, 2)}\n`);
+    await fs.rename(tempFile, this.file);
+  }
+}
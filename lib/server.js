@@ -0,0 +1,1464 @@
+/**
+ * MCP Server
+ *
+ * The tool, resource and prompt handlers behind the AviBase MCP server.
+ * `mcp-server.js` builds one from the command line configuration and runs
+ * it; tests construct it directly against a stand-in API.
+ */
+
+import { randomBytes } from 'crypto';
+import { Server } from '@modelcontextprotocol/sdk/server/index.js';
+import { StdioServerTransport } from '@modelcontextprotocol/sdk/server/stdio.js';
+import {
+  CallToolRequestSchema,
+  CompleteRequestSchema,
+  ErrorCode,
+  GetPromptRequestSchema,
+  ListPromptsRequestSchema,
+  ListResourcesRequestSchema,
+  ListResourceTemplatesRequestSchema,
+  ListToolsRequestSchema,
+  McpError,
+  ReadResourceRequestSchema,
+  SetLevelRequestSchema,
+  SubscribeRequestSchema,
+  UnsubscribeRequestSchema,
+} from '@modelcontextprotocol/sdk/types.js';
+import { aggregateBirds } from './aggregate.js';
+import { compareBirds } from './compare.js';
+import { regionConservationSummary } from './conservation.js';
+import {
+  CURRENT_SNAPSHOT,
+  currentDataset,
+  datasetSummary,
+  diffDatasets,
+  listSnapshots,
+  loadSnapshot,
+  saveSnapshot,
+} from './dataset.js';
+import {
+  collectExport,
+  defaultExportName,
+  exportFileType,
+  serializeRecords,
+  writeExportFile,
+} from './export.js';
+import {
+  describeFilters,
+  queryByFilters,
+  validateFilters,
+} from './filters.js';
+import { findBirdsInRegion } from './gazetteer.js';
+import { codeBlock, formatResult } from './format.js';
+import { HttpTransportHost } from './http-server.js';
+import { JsonataGuard } from './jsonata-guard.js';
+import { IUCN_CATEGORY_NAMES, THREATENED_CATEGORIES } from './iucn.js';
+import { Logger, withTrace } from './logger.js';
+import { lookupNames } from './lookup.js';
+import { getResolvedReport, resolutionNote, resolveName } from './names.js';
+import { UsageMetrics } from './metrics.js';
+import { CHECKLISTS, reconcileName } from './reconcile.js';
+import {
+  bindParameters,
+  filtersSkeleton,
+  jsonataSkeleton,
+  normalizeSavedQuery,
+  SavedQueryStore,
+} from './saved-queries.js';
+import { isSpecies, taxonomyLineage, taxonomyTree } from './taxonomy.js';
+import { completePage, paginationNote, resolvePage } from './pagination.js';
+import { complete, getPrompt, listPrompts } from './prompts.js';
+import { createProvider } from './providers/index.js';
+import {
+  RESOURCE_CACHE_GROUPS,
+  RESOURCE_TEMPLATES,
+  listResources,
+  parseResourceUri,
+  readResource,
+} from './resources.js';
+import { TOOL_DEFINITIONS } from './tools.js';
+import { validateToolArguments } from './validation.js';
+
+const TAXON_COUNT_SINGULAR = {
+  families: 'family',
+  genera: 'genus',
+  species: 'species',
+  subspecies: 'subspecies',
+};
+
+export class BirdDataMCPServer {
+  // HTTP sessions each get their own instance sharing one provider, saved
+  // query store, logger and metrics
+  constructor(config, {
+    logger = new Logger(config.logging),
+    metrics = new UsageMetrics(),
+    provider = createProvider(config, { logger, metrics }),
+    savedQueries = new SavedQueryStore(config.savedQueries),
+  } = {}) {
+    this.config = config;
+    this.logger = logger;
+    this.metrics = metrics;
+    this.provider = provider;
+    this.savedQueries = savedQueries;
+    this.jsonataGuard = new JsonataGuard(config.jsonata);
+
+    this.server = new Server(
+      {
+        name: 'bird-data-server',
+        version: '1.0.0',
+      },
+      {
+        capabilities: {
+          tools: {},
+          resources: {
+            subscribe: true,
+            listChanged: true,
+          },
+          prompts: {
+            listChanged: true,
+          },
+          completions: {},
+          logging: {},
+        },
+      }
+    );
+
+    this.subscriptions = new Set();
+
+    this.setupLogging();
+    this.setupToolHandlers();
+    this.setupResourceHandlers();
+    this.setupPromptHandlers();
+    this.setupErrorHandling();
+  }
+
+  setupToolHandlers() {
+    // List available tools
+    this.server.setRequestHandler(ListToolsRequestSchema, async () => {
+      return {
+        tools: this.config.jsonata.enabled
+          ? TOOL_DEFINITIONS
+          : TOOL_DEFINITIONS.filter(tool => tool.name !== 'execute_jsonata_query'),
+      };
+    });
+
+    // Handle tool calls
+    this.server.setRequestHandler(CallToolRequestSchema, async (request) => {
+      const { name, arguments: rawArgs } = request.params;
+      const trace = {
+        requestId: randomBytes(6).toString('hex'),
+        tool: name,
+        sessionId: this.server.transport?.sessionId,
+        owner: this,
+        cacheHits: 0,
+        cacheMisses: 0,
+        upstreamRequests: 0,
+        upstreamMs: 0,
+      };
+
+      return withTrace(trace, async () => {
+        const started = performance.now();
+        let failure = null;
+        try {
+          return await this.callTool(name, rawArgs);
+        } catch (error) {
+          failure = error;
+          throw error;
+        } finally {
+          this.recordToolCall(trace, rawArgs, Math.round(performance.now() - started), failure);
+        }
+      });
+    });
+  }
+
+  async callTool(name, rawArgs) {
+    try {
+      const args = validateToolArguments(name, rawArgs);
+      switch (name) {
+        case 'get_bird_stats':
+          return await this.handleGetBirdStats(args);
+
+        case 'search_birds':
+          return await this.handleSearchBirds(args);
+
+        case 'get_birds_by_taxonomy':
+          return await this.handleGetBirdsByTaxonomy(args);
+
+        case 'get_conservation_status':
+          return await this.handleGetConservationStatus(args);
+
+        case 'get_birds_by_region':
+          return await this.handleGetBirdsByRegion(args);
+
+        case 'get_extinct_species':
+          return await this.handleGetExtinctSpecies(args);
+
+        case 'get_birds_by_authority':
+          return await this.handleGetBirdsByAuthority(args);
+
+        case 'get_random_birds':
+          return await this.handleGetRandomBirds(args);
+
+        case 'get_bird_report':
+          return await this.handleGetBirdReport(args);
+
+        case 'custom_bird_query':
+          return await this.handleCustomBirdQuery(args);
+
+        case 'execute_jsonata_query':
+          return await this.handleExecuteJsonataQuery(args);
+
+        case 'manage_cache':
+          return await this.handleManageCache(args);
+
+        case 'lookup_birds':
+          return await this.handleLookupBirds(args);
+
+        case 'export_birds':
+          return await this.handleExportBirds(args);
+
+        case 'get_taxonomy_tree':
+          return await this.handleGetTaxonomyTree(args);
+
+        case 'compare_birds':
+          return await this.handleCompareBirds(args);
+
+        case 'reconcile_name':
+          return await this.handleReconcileName(args);
+
+        case 'aggregate_birds':
+          return await this.handleAggregateBirds(args);
+
+        case 'save_query':
+          return await this.handleSaveQuery(args);
+
+        case 'list_saved_queries':
+          return await this.handleListSavedQueries(args);
+
+        case 'run_saved_query':
+          return await this.handleRunSavedQuery(args);
+
+        case 'delete_saved_query':
+          return await this.handleDeleteSavedQuery(args);
+
+        case 'get_region_conservation_summary':
+          return await this.handleGetRegionConservationSummary(args);
+
+        case 'get_server_diagnostics':
+          return await this.handleGetServerDiagnostics(args);
+
+        case 'get_dataset_version':
+          return await this.handleGetDatasetVersion(args);
+
+        case 'diff_dataset_snapshots':
+          return await this.handleDiffDatasetSnapshots(args);
+
+        default:
+          throw new McpError(
+            ErrorCode.MethodNotFound,
+            `Unknown tool: ${name}`
+          );
+      }
+    } catch (error) {
+      if (error instanceof McpError) {
+        throw error;
+      }
+      throw new McpError(
+        ErrorCode.InternalError,
+        `Error executing tool ${name}: ${error.message}`
+      );
+    }
+  }
+
+  recordToolCall(trace, rawArgs, durationMs, failure) {
+    const known = TOOL_DEFINITIONS.some(tool => tool.name === trace.tool);
+    const errorCode = failure ? failure.code ?? ErrorCode.InternalError : null;
+    const { cacheHits, cacheMisses, upstreamRequests } = trace;
+
+    // Unknown tool names are client input; don't let them grow the metrics
+    this.metrics.recordToolCall(known ? trace.tool : '(unknown)', { durationMs, errorCode, cacheHits, cacheMisses });
+
+    let level = 'info';
+    if (failure) {
+      level = errorCode === ErrorCode.InternalError ? 'error' : 'warning';
+    }
+    this.logger.log(level, 'tool call', {
+      arguments: this.logger.redact(rawArgs ?? {}),
+      status: failure ? 'error' : 'ok',
+      durationMs,
+      errorCode: errorCode ?? undefined,
+      error: failure?.message,
+      cacheHits,
+      cacheMisses,
+      upstreamRequests,
+      upstreamMs: Math.round(trace.upstreamMs),
+    });
+  }
+
+  setupLogging() {
+    // Forward log entries to this session's client as notifications/message.
+    // Entries from another session's tool calls stay with that session.
+    this.clientLogSink = {
+      level: this.config.logging.clientLevel,
+      write: (entry, trace) => {
+        if ((trace && trace.owner !== this) || !this.server.transport) {
+          return;
+        }
+        const { level, ...data } = entry;
+        this.server.sendLoggingMessage({ level, logger: 'avibase-mcp', data }).catch(() => {});
+      },
+    };
+    const removeSink = this.logger.addSink(this.clientLogSink);
+    this.server.onclose = removeSink;
+
+    this.server.setRequestHandler(SetLevelRequestSchema, async (request) => {
+      this.clientLogSink.level = request.params.level;
+      return {};
+    });
+  }
+
+  setupResourceHandlers() {
+    this.server.setRequestHandler(ListResourcesRequestSchema, async () => {
+      return {
+        resources: listResources(await this.savedQueries.list()),
+      };
+    });
+
+    this.server.setRequestHandler(ListResourceTemplatesRequestSchema, async () => {
+      return {
+        resourceTemplates: RESOURCE_TEMPLATES,
+      };
+    });
+
+    this.server.setRequestHandler(ReadResourceRequestSchema, async (request) => {
+      return await readResource(this.provider, this.savedQueries, request.params.uri);
+    });
+
+    this.server.setRequestHandler(SubscribeRequestSchema, async (request) => {
+      // Validate the URI up front so clients learn about typos immediately
+      parseResourceUri(request.params.uri);
+      this.subscriptions.add(request.params.uri);
+      return {};
+    });
+
+    this.server.setRequestHandler(UnsubscribeRequestSchema, async (request) => {
+      this.subscriptions.delete(request.params.uri);
+      return {};
+    });
+  }
+
+  setupPromptHandlers() {
+    this.server.setRequestHandler(ListPromptsRequestSchema, async () => {
+      return {
+        prompts: listPrompts(await this.savedQueries.list()),
+      };
+    });
+
+    this.server.setRequestHandler(GetPromptRequestSchema, async (request) => {
+      const savedQueries = request.params.name.startsWith('saved:') ? await this.savedQueries.list() : [];
+      return getPrompt(request.params.name, request.params.arguments, savedQueries);
+    });
+
+    this.server.setRequestHandler(CompleteRequestSchema, async (request) => {
+      const { ref, argument } = request.params;
+      return await complete(this.provider, ref, argument);
+    });
+  }
+
+  // Tell subscribers their resources may have changed after the cached data
+  // behind them was dropped
+  async notifyResourcesUpdated(cacheGroup) {
+    for (const uri of this.subscriptions) {
+      const { type } = parseResourceUri(uri);
+      if (RESOURCE_CACHE_GROUPS[type] && (!cacheGroup || RESOURCE_CACHE_GROUPS[type] === cacheGroup)) {
+        await this.server.sendResourceUpdated({ uri });
+      }
+    }
+  }
+
+  async handleGetBirdStats(args) {
+    const response = await this.provider.getStats();
+
+    return formatResult(args.format, response.data, `# Bird Dataset Statistics
+
+📊 **Dataset Overview:**
+- **Total Records:** ${response.data.totalRecords.toLocaleString()}
+- **Species:** ${response.data.totalSpecies.toLocaleString()}
+- **Families:** ${response.data.totalFamilies}
+- **Orders:** ${response.data.totalOrders}
+- **Extinct Species:** ${response.data.extinctSpecies}
+
+🚨 **IUCN Conservation Categories:** ${response.data.iucnCategories.join(', ')}
+
+This comprehensive dataset contains information about birds worldwide, including taxonomic classification, conservation status, geographic distribution, and historical data.`);
+  }
+
+  async handleSearchBirds(args) {
+    const { query, exact = false, fuzzy } = args;
+    const page = resolvePage('search_birds', args, 20);
+    let response = await this.provider.searchBirds({ query, exact, offset: page.offset, limit: page.limit });
+
+    // Nothing is spelled like the query; offer the closest names instead
+    let fuzzyMatches = [];
+    if (fuzzy && response.data.length === 0 && page.offset === 0) {
+      const resolution = await resolveName(this.provider, query, { limit: page.limit });
+      fuzzyMatches = resolution.candidates;
+      response = { data: resolution.birds, pagination: { totalItems: resolution.birds.length, hasNext: false } };
+    }
+    const pagination = completePage(page, response);
+
+    const results = response.data.map((bird, i) => ({
+      scientific_name: bird.Scientific_name,
+      common_name: bird.English_name_AviList || 'No common name',
+      family: bird.Family,
+      order: bird.Order,
+      conservation_status: bird.IUCN_Red_List_Category || 'Not assessed',
+      authority: bird.Authority,
+      match: fuzzyMatches[i],
+    }));
+
+    const structured = {
+      query,
+      exact,
+      fuzzy,
+      fuzzyMatches,
+      birds: response.data,
+      pagination,
+    };
+
+    const summary = fuzzyMatches.length > 0
+      ? `No birds are named "${query}"; showing the **${results.length}** closest names:`
+      : `Found **${pagination.totalItems}** birds matching "${query}" (showing ${results.length}):`;
+
+    return formatResult(args.format, structured, `# Search Results for "${query}"
+
+${summary}
+
+${results.map((bird, i) => `${pagination.offset + i + 1}. **${bird.scientific_name}**
+   - Common name: ${bird.common_name}
+   - Family: ${bird.family}
+   - Order: ${bird.order}
+   - Conservation: ${bird.conservation_status}
+   - Authority: ${bird.authority || 'Unknown'}${bird.match ? `
+   - Matched: "${bird.match.matchedName}" (${bird.match.method.replace('_', ' ')}, score ${bird.match.score.toFixed(2)})` : ''}`).join('\n\n')}
+
+${paginationNote(pagination, 'results')}`);
+  }
+
+  async handleGetBirdsByTaxonomy(args) {
+    const { level, value } = args;
+    const page = resolvePage('get_birds_by_taxonomy', args, 50);
+    const response = await this.provider.getBirdsByTaxonomy({ level, value, offset: page.offset, limit: page.limit });
+    const pagination = completePage(page, response);
+
+    const speciesCount = response.data.filter(isSpecies).length;
+    
+    const structured = {
+      level,
+      value,
+      speciesCount,
+      birds: response.data,
+      pagination,
+    };
+
+    return formatResult(args.format, structured, `# ${level}: ${value}
+
+📊 **Summary:**
+- **Total records:** ${pagination.totalItems}
+- **Species in results:** ${speciesCount}
+
+**Records:**
+${response.data.map((bird, i) => `${pagination.offset + i + 1}. **${bird.Scientific_name}** (${bird.Taxon_rank})
+   - Common name: ${bird.English_name_AviList || 'No common name'}
+   - Family: ${bird.Family}
+   - Conservation: ${bird.IUCN_Red_List_Category || 'Not assessed'}`).join('\n\n')}
+
+${paginationNote(pagination, 'records')}`);
+  }
+
+  async handleGetConservationStatus(args) {
+    const { category } = args;
+    const page = resolvePage('get_conservation_status', args, 50);
+    const response = await this.provider.getConservationStatus({ category, offset: page.offset, limit: page.limit });
+    const pagination = completePage(page, response);
+
+    const structured = {
+      category,
+      categoryName: IUCN_CATEGORY_NAMES[category] || category,
+      birds: response.data,
+      pagination,
+    };
+
+    return formatResult(args.format, structured, `# ${IUCN_CATEGORY_NAMES[category] || category} Species
+
+🚨 **${pagination.totalItems}** species with IUCN status: **${category}**
+
+**Species list:**
+${response.data.map((bird, i) => `${pagination.offset + i + 1}. **${bird.Scientific_name}**
+   - Common name: ${bird.English_name_AviList || 'No common name'}
+   - Family: ${bird.Family}
+   - Range: ${bird.Range || 'No range data'}`).join('\n\n')}
+
+${paginationNote(pagination, 'species')}`);
+  }
+
+  async handleGetBirdsByRegion(args) {
+    const { region, endemic_only: endemicOnly = false, include_broader: includeBroader = false } = args;
+    const page = resolvePage('get_birds_by_region', args, 50);
+    const response = await findBirdsInRegion(this.provider, region, {
+      endemicOnly,
+      broader: includeBroader,
+      offset: page.offset,
+      limit: page.limit,
+      timeoutMs: this.config.jsonata.timeoutMs,
+    });
+    const pagination = completePage(page, response);
+
+    const structured = {
+      region,
+      resolvedRegion: response.region,
+      endemicOnly,
+      includeBroader,
+      birds: response.data,
+      matches: response.data.map((bird, i) => ({ scientificName: bird.Scientific_name, ...response.matches[i] })),
+      pagination,
+      truncated: response.truncated,
+    };
+
+    const resolved = response.region;
+    const scope = resolved
+      ? `📍 Gazetteer match: **${resolved.name}** (${resolved.type}${resolved.parents.length > 0 ? ` in ${resolved.parents.join(', ')}` : ''}), searched under ${resolved.terms} place names${includeBroader ? ' including the places containing it' : ''}`
+      : `📍 "${region}" is not in the gazetteer; searched the range text for it as written`;
+
+    return formatResult(args.format, structured, `# ${endemicOnly ? 'Endemic birds' : 'Birds'} of ${resolved?.name ?? region}
+
+${scope}
+🌍 **${pagination.totalItems}** bird records found${endemicOnly ? ' whose whole range lies within it' : ''}${response.truncated ? ' (candidate list truncated; narrow the region for complete results)' : ''}
+
+**Regional species:**
+${response.data.map((bird, i) => `${pagination.offset + i + 1}. **${bird.Scientific_name}**
+   - Common name: ${bird.English_name_AviList || 'No common name'}
+   - Family: ${bird.Family}
+   - Conservation: ${bird.IUCN_Red_List_Category || 'Not assessed'}
+   - Matched: "${response.matches[i].matchedTerm}" (${response.matches[i].matchType}${response.matches[i].endemic ? ', endemic' : ''})`).join('\n\n')}
+
+${paginationNote(pagination, 'records')}`);
+  }
+
+  async handleGetExtinctSpecies(args) {
+    const page = resolvePage('get_extinct_species', args, 100);
+    const response = await this.provider.getExtinctSpecies({ offset: page.offset, limit: page.limit });
+    const pagination = completePage(page, response);
+
+    const structured = {
+      birds: response.data,
+      pagination,
+    };
+
+    return formatResult(args.format, structured, `# Extinct and Possibly Extinct Species
+
+💀 **${pagination.totalItems}** extinct or possibly extinct bird species documented
+
+**Extinct species:**
+${response.data.map((bird, i) => `${pagination.offset + i + 1}. **${bird.Scientific_name}**
+   - Common name: ${bird.English_name_AviList || 'No common name'}
+   - Family: ${bird.Family}
+   - Last known: ${bird.Extinct_or_possibly_extinct || 'Unknown'}
+   - Authority: ${bird.Authority || 'Unknown'}`).join('\n\n')}
+
+${paginationNote(pagination, 'species')}
+
+This represents a significant loss of avian biodiversity and highlights the importance of conservation efforts.`);
+  }
+
+  async handleGetBirdsByAuthority(args) {
+    const { authority } = args;
+    const page = resolvePage('get_birds_by_authority', args, 50);
+    const response = await this.provider.getBirdsByAuthority({ authority, offset: page.offset, limit: page.limit });
+    const pagination = completePage(page, response);
+
+    const structured = {
+      authority,
+      birds: response.data,
+      pagination,
+    };
+
+    return formatResult(args.format, structured, `# Birds Described by ${authority}
+
+👨‍🔬 **${pagination.totalItems}** birds described by ${authority}
+
+**Historical contributions:**
+${response.data.map((bird, i) => `${pagination.offset + i + 1}. **${bird.Scientific_name}**
+   - Common name: ${bird.English_name_AviList || 'No common name'}
+   - Family: ${bird.Family}
+   - Year: ${bird.Authority}
+   - Publication: ${bird.Bibliographic_details || 'Not specified'}`).join('\n\n')}
+
+${paginationNote(pagination, 'species')}`);
+  }
+
+  async handleGetRandomBirds(args) {
+    const { count = 10 } = args;
+    const response = await this.provider.getRandomBirds({ count });
+
+    const structured = {
+      birds: response.data,
+      pagination: response.pagination ?? null,
+    };
+
+    return formatResult(args.format, structured, `# Random Bird Discovery
+
+🎲 **${response.data.length}** randomly selected birds for exploration:
+
+${response.data.map((bird, i) => `${i + 1}. **${bird.Scientific_name}**
+   - Common name: ${bird.English_name_AviList || 'No common name'}
+   - Family: ${bird.Family} (${bird.Order})
+   - Conservation: ${bird.IUCN_Red_List_Category || 'Not assessed'}
+   - Range: ${bird.Range || 'No range data'}`).join('\n\n')}
+
+These random selections showcase the incredible diversity of avian species in the database!`);
+  }
+
+  async handleGetBirdReport(args) {
+    const { scientific_name, fuzzy } = args;
+    const { report, resolution } = await getResolvedReport(this.provider, scientific_name, { fuzzy });
+
+    const bird = report.bird;
+    const related = report.relatedInFamily;
+    const note = resolutionNote({ query: scientific_name, match: resolution });
+
+    return formatResult(args.format, { ...report, resolution }, `# Detailed Report: ${bird.Scientific_name}
+${note ? `\n${note}\n` : ''}
+## Basic Information
+- **Scientific Name:** ${bird.Scientific_name}
+- **Common Name:** ${bird.English_name_AviList || 'No common name available'}
+- **Alternative Names:** ${bird.English_name_Clements_v2024 || bird.English_name_BirdLife_v9 || 'None listed'}
+- **Taxonomic Authority:** ${bird.Authority || 'Unknown'}
+
+## Taxonomic Classification
+- **Order:** ${bird.Order}
+- **Family:** ${bird.Family} (${bird.Family_English_name || 'Family name not available'})
+- **Taxonomic Rank:** ${bird.Taxon_rank}
+
+## Conservation & Status
+- **IUCN Red List Category:** ${bird.IUCN_Red_List_Category || 'Not assessed'}
+- **Conservation Status:** ${report.conservationStatus}
+- **Extinction Status:** ${bird.Extinct_or_possibly_extinct || 'Not extinct'}
+
+## Geographic Distribution
+${bird.Range ? `**Range:** ${bird.Range}` : '**Range:** No range data available'}
+
+## Additional Information
+- **Type Locality:** ${bird.Type_locality || 'Not specified'}
+- **Original Description:** ${bird.Title_of_original_description || 'Not available'}
+- **Bibliographic Details:** ${bird.Bibliographic_details || 'Not available'}
+
+## External Resources
+${report.hasUrls.birdLife ? `- **BirdLife DataZone:** Available` : ''}
+${report.hasUrls.birdsOfTheWorld ? `- **Birds of the World:** Available` : ''}
+${report.hasUrls.originalDescription ? `- **Original Description:** Available` : ''}
+- **Species Code:** ${bird.Species_code_Cornell_Lab || 'Not available'}
+- **AvibaseID:** ${bird.AvibaseID || 'Not available'}
+
+## Related Species in ${bird.Family}
+${related.length > 0 ? related.map((rel, i) => `${i + 1}. **${rel.Scientific_name}** - ${rel.English_name_AviList || 'No common name'}`).join('\n') : 'No related species data available'}`);
+  }
+
+  async handleCustomBirdQuery(args) {
+    const { sort_by: sortBy = 'taxonomy', sort_order: sortOrder = 'asc' } = args;
+    const filters = validateFilters(args.filters);
+
+    const page = resolvePage('custom_bird_query', args, 50);
+    const response = await queryByFilters(this.provider, filters, {
+      sortBy,
+      sortOrder,
+      offset: page.offset,
+      limit: page.limit,
+      timeoutMs: this.config.jsonata.timeoutMs,
+    });
+    const pagination = completePage(page, response);
+    const description = describeFilters(filters);
+
+    const structured = {
+      filters,
+      description,
+      sortBy,
+      sortOrder,
+      birds: response.data,
+      pagination,
+    };
+
+    return formatResult(args.format, structured, `# Custom Query Results
+
+🎯 **Query Filters:** ${description || 'none'}
+${sortBy !== 'taxonomy' ? `↕️ **Sorted by:** ${sortBy} (${sortOrder === 'desc' ? 'descending' : 'ascending'})\n` : ''}📊 **Results:** ${pagination.totalItems} birds found
+
+${response.data.map((bird, i) => `${pagination.offset + i + 1}. **${bird.Scientific_name}**
+   - Common name: ${bird.English_name_AviList || 'No common name'}
+   - Family: ${bird.Family}
+   - Order: ${bird.Order}
+   - Conservation: ${bird.IUCN_Red_List_Category || 'Not assessed'}
+   - Range: ${bird.Range || 'No range data'}`).join('\n\n')}
+
+${paginationNote(pagination, 'records')}`);
+  }
+
+  async handleExecuteJsonataQuery(args) {
+    const { query, dry_run: dryRun = false } = args;
+    const analysis = this.jsonataGuard.check(query);
+
+    const analysisText = `**Query:**
+${codeBlock(query, 'jsonata')}
+
+- **Functions:** ${analysis.functions.length > 0 ? analysis.functions.map(name => `\`${name}\``).join(', ') : 'none'}
+- **Fields:** ${analysis.fields.length > 0 ? analysis.fields.map(name => `\`${name}\``).join(', ') : 'none'}${analysis.variables.length > 0 ? `\n- **Variables:** ${analysis.variables.map(name => `\`${name}\``).join(', ')}` : ''}`;
+
+    if (dryRun) {
+      const structured = { query, dryRun, resultType: null, result: null, resultBytes: null, analysis, pagination: null };
+      return formatResult(args.format, structured, `# JSONata Query Check
+
+✅ The query is valid and allowed on this server. It was not run.
+
+${analysisText}
+
+**Structure:**
+${codeBlock(analysis.outline.join('\n'))}`);
+    }
+
+    const page = resolvePage('execute_jsonata_query', args, 50);
+    const response = await this.provider.executeQuery({
+      query,
+      offset: page.offset,
+      limit: page.limit,
+      timeoutMs: this.config.jsonata.timeoutMs,
+    });
+    const resultBytes = this.jsonataGuard.checkResultSize(response.data);
+    const pagination = Array.isArray(response.data) ? completePage(page, response) : null;
+
+    const show = value => (typeof value === 'object' && value !== null ? codeBlock(JSON.stringify(value, null, 2), 'json') : codeBlock(String(value)));
+    let resultText;
+    if (Array.isArray(response.data)) {
+      resultText = `**Result Type:** Array with ${pagination.totalItems} items
+
+**Results:**
+${response.data.map((item, i) => `${pagination.offset + i + 1}.\n${show(item)}`).join('\n\n')}`;
+    } else {
+      resultText = `**Result Type:** ${typeof response.data}
+**Result:**
+${show(response.data)}`;
+    }
+
+    const structured = {
+      query,
+      dryRun,
+      resultType: Array.isArray(response.data) ? 'array' : typeof response.data,
+      result: response.data ?? null,
+      resultBytes,
+      analysis,
+      pagination,
+    };
+
+    return formatResult(args.format, structured, `# JSONata Query Execution
+
+${analysisText}
+
+${resultText}
+
+${paginationNote(pagination, 'results')}`);
+  }
+
+
+  async handleManageCache(args) {
+    const { action = 'stats', tool } = args;
+    const cache = this.provider.cache;
+
+    if (!cache) {
+      return formatResult(
+        args.format,
+        { enabled: false, action, cleared: null, stats: null },
+        this.config.cache.enabled
+          ? 'Response caching is not used when serving from a local dataset file.'
+          : 'Response caching is disabled in the server configuration.'
+      );
+    }
+
+    if (action === 'clear') {
+      cache.clear(tool);
+      await this.notifyResourcesUpdated(tool);
+      return formatResult(
+        args.format,
+        { enabled: true, action, cleared: tool || 'all', stats: null },
+        `🧹 Cleared cached responses ${tool ? `for **${tool}**` : 'for all tools'}.`
+      );
+    }
+
+    const stats = cache.stats();
+    const rows = Object.entries(stats.tools).map(([name, toolStats]) => (
+      `| ${name} | ${toolStats.hits} | ${toolStats.misses} | ${toolStats.entries}/${toolStats.maxEntries} | ${toolStats.ttlMs > 0 ? `${Math.round(toolStats.ttlMs / 1000)}s` : 'off'} |`
+    ));
+
+    const structured = { enabled: true, action, cleared: null, stats };
+
+    return formatResult(args.format, structured, `# Response Cache Statistics
+
+- **Hits:** ${stats.hits}
+- **Misses:** ${stats.misses}
+- **Hit rate:** ${(stats.hitRate * 100).toFixed(1)}%
+- **Cached entries:** ${stats.entries}
+- **Evictions:** ${stats.evictions}
+- **Persisted to:** ${stats.persistFile || 'memory only'}
+
+${rows.length > 0 ? `| Tool | Hits | Misses | Entries | TTL |
+|------|------|--------|---------|-----|
+${rows.join('\n')}` : '*No cached requests yet.*'}`);
+  }
+
+  async handleLookupBirds(args) {
+    const lookup = await lookupNames(this.provider, args.names, {
+      concurrency: this.config.lookup.concurrency,
+      fuzzy: args.fuzzy,
+      maxFuzzyNames: this.config.lookup.maxFuzzyNames,
+    });
+
+    const statusLabel = {
+      found: '✅ Found',
+      ambiguous: '⚠️ Ambiguous',
+      not_found: '❌ Not found',
+      error: '💥 Error',
+    };
+    const rows = lookup.results.map(({ input, status, match }) => (
+      `| ${input} | ${statusLabel[status]} | ${match ? `*${match.scientificName}*` : '–'} | ${match?.commonName || '–'} | ${match?.family || '–'} | ${match?.order || '–'} | ${match ? match.iucnCategory || 'Not assessed' : '–'} |`
+    ));
+
+    const corrected = lookup.results
+      .map(result => resolutionNote({ query: result.input, match: result.resolution }))
+      .filter(Boolean)
+      .map(note => `- ${note}`);
+    const ambiguous = lookup.results
+      .filter(result => result.status === 'ambiguous')
+      .map(result => `- **${result.input}** could be: ${result.candidates.map(c => `*${c.scientificName}*${c.commonName ? ` (${c.commonName})` : ''}`).join(', ')}`);
+    const notFound = lookup.results
+      .filter(result => result.status === 'not_found' || result.status === 'error')
+      .map(result => {
+        if (result.status === 'error') {
+          return `- **${result.input}**: lookup failed (${result.error})`;
+        }
+        if (result.fuzzySkipped) {
+          return `- **${result.input}**: not checked for misspellings`;
+        }
+        return result.suggestions.length > 0
+          ? `- **${result.input}**: did you mean ${result.suggestions.map(s => `*${s.scientificName}*${s.commonName ? ` (${s.commonName})` : ''}`).join(', ')}?`
+          : `- **${result.input}**: no similar names found`;
+      });
+
+    return formatResult(args.format, lookup, `# Bird Name Lookup
+
+📋 **Names:** ${lookup.requested} · ✅ ${lookup.found} found · ⚠️ ${lookup.ambiguous} ambiguous · ❌ ${lookup.notFound} not found${lookup.errors ? ` · 💥 ${lookup.errors} failed` : ''}
+${lookup.fuzzySkipped ? `\n⚠️ At most ${this.config.lookup.maxFuzzyNames} names without an exact match are checked for misspellings per call; ${lookup.fuzzySkipped} were not. Look them up in a smaller batch.\n` : ''}
+| Name | Status | Scientific name | Common name | Family | Order | IUCN |
+|------|--------|-----------------|-------------|--------|-------|------|
+${rows.join('\n')}
+${corrected.length > 0 ? `\n## Corrected Names\n${corrected.join('\n')}\n` : ''}${ambiguous.length > 0 ? `\n## Ambiguous Names\n${ambiguous.join('\n')}\n` : ''}${notFound.length > 0 ? `\n## Names Not Found\n${notFound.join('\n')}\n` : ''}`);
+  }
+
+  async handleExportBirds(args) {
+    const { source, file_format: fileFormat = 'csv', destination = 'resource' } = args;
+    // Source arguments follow the source tool's own schema
+    const sourceArgs = validateToolArguments(source, args.arguments, 'arguments');
+    const { outputDir, maxRecords: maxAllowed } = this.config.export;
+    const fileType = exportFileType(fileFormat);
+    if (destination === 'file' && !outputDir) {
+      throw new McpError(
+        ErrorCode.InvalidParams,
+        'Writing exports to disk requires export.outputDir (--export-dir) in the server configuration'
+      );
+    }
+
+    const maxRecords = Math.min(args.max_records ?? maxAllowed, maxAllowed);
+    const { records, totalItems, truncated } = await collectExport(this.provider, source, sourceArgs, {
+      maxRecords,
+      timeoutMs: this.config.jsonata.timeoutMs,
+    });
+    const { columns, text } = serializeRecords(records, fileFormat);
+    const filename = args.filename || defaultExportName(source, fileFormat);
+
+    const structured = {
+      source,
+      fileFormat,
+      destination,
+      filename,
+      records: records.length,
+      totalItems,
+      truncated,
+      columns,
+      mimeType: fileType.mimeType,
+      bytes: Buffer.byteLength(text, 'utf8'),
+      uri: null,
+      path: null,
+    };
+
+    if (destination === 'file') {
+      structured.path = await writeExportFile(outputDir, filename, text);
+    } else {
+      structured.uri = `avibase://export/${encodeURIComponent(filename)}`;
+    }
+
+    const result = formatResult(args.format, structured, `# Export Complete
+
+- **Source:** ${source}
+- **Format:** ${fileFormat}${fileFormat === 'dwc' ? ' (Darwin Core taxon records)' : ''}
+- **Records:** ${records.length}${truncated ? ` of ${totalItems} (stopped at the ${maxRecords}-record limit)` : ''}
+- **Columns:** ${columns.length > 0 ? columns.join(', ') : 'none'}
+- **Size:** ${structured.bytes} bytes
+${structured.path ? `- **Written to:** \`${structured.path}\`` : `- **Attached as:** \`${structured.uri}\``}`);
+
+    if (destination === 'resource') {
+      result.content.push({
+        type: 'resource',
+        resource: {
+          uri: structured.uri,
+          mimeType: fileType.mimeType,
+          text,
+        },
+      });
+    }
+    return result;
+  }
+
+  async handleGetTaxonomyTree(args) {
+    const { rank, name, direction = 'down', depth = 2 } = args;
+
+    if (direction === 'up') {
+      const lineage = await taxonomyLineage(this.provider, rank, name);
+      const structured = { rank, name, direction, depth: null, recordsRead: null, truncated: false, tree: null, lineage };
+
+      return formatResult(args.format, structured, `# Lineage of ${name}
+
+${lineage.map((taxon, i) => `${'  '.repeat(i)}- ${this.describeTaxon(taxon)}`).join('\n')}`);
+    }
+
+    const { tree, recordsRead, truncated } = await taxonomyTree(this.provider, rank, name, depth);
+    const structured = { rank, name, direction, depth, recordsRead, truncated, tree, lineage: null };
+
+    return formatResult(args.format, structured, `# Taxonomy Tree: ${tree.name}
+
+${this.renderTaxonTree(tree).join('\n')}
+${truncated ? `\n*Built from the first ${recordsRead} records; the ${rank} has more.*` : ''}`);
+  }
+
+  describeTaxon(taxon) {
+    const italic = ['genus', 'species', 'subspecies'].includes(taxon.rank);
+    const label = italic ? `*${taxon.name}*` : `**${taxon.name}**`;
+    const details = [taxon.rank, taxon.englishName, taxon.iucnCategory, taxon.extinct ? 'extinct' : null].filter(Boolean);
+    const counts = Object.entries(taxon.counts || {})
+      .filter(([, count]) => count > 0)
+      .map(([key, count]) => `${count} ${count === 1 ? TAXON_COUNT_SINGULAR[key] : key}`);
+
+    return `${label} (${details.join(', ')})${counts.length > 0 ? ` — ${counts.join(', ')}` : ''}`;
+  }
+
+  renderTaxonTree(node, level = 0) {
+    return [
+      `${'  '.repeat(level)}- ${this.describeTaxon(node)}`,
+      ...node.children.flatMap(child => this.renderTaxonTree(child, level + 1)),
+    ];
+  }
+
+  async handleCompareBirds(args) {
+    const comparison = await compareBirds(this.provider, args.scientific_names, {
+      concurrency: this.config.lookup.concurrency,
+      fuzzy: args.fuzzy,
+    });
+    const { species, pairs, sharedRangeKeywords } = comparison;
+    const notes = comparison.resolutions
+      .map(({ input, resolution }) => resolutionNote({ query: input, match: resolution }))
+      .filter(Boolean);
+
+    const row = (label, value) => `| **${label}** | ${species.map(entry => value(entry) ?? '–').join(' | ')} |`;
+    const describeAncestry = ancestry => (ancestry ? `Same ${ancestry.level} (${ancestry.name})` : 'Only share the class Aves');
+
+    // Bold every range keyword that appears in more than one range
+    const highlight = range => sharedRangeKeywords.reduce(
+      (text, keyword) => text.replace(
+        new RegExp(`\\b${keyword.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}\\b`, 'g'),
+        `**${keyword}**`
+      ),
+      range
+    );
+
+    return formatResult(args.format, comparison, `# Species Comparison
+${notes.length > 0 ? `\n${notes.join('\n')}\n` : ''}
+| | ${species.map(entry => `*${entry.scientificName}*`).join(' | ')} |
+|---|${species.map(() => '---').join('|')}|
+${row('Order', entry => entry.order)}
+${row('Family', entry => (entry.familyEnglishName ? `${entry.family} (${entry.familyEnglishName})` : entry.family))}
+${row('Genus', entry => `*${entry.genus}*`)}
+${row('Rank', entry => entry.taxonRank)}
+${row('IUCN category', entry => (entry.iucnCategory ? `${entry.iucnCategory}${entry.conservationStatus ? ` (${entry.conservationStatus})` : ''}` : 'Not assessed'))}
+${row('Extinction', entry => entry.extinctionStatus || 'Not extinct')}
+${row('Authority', entry => entry.authority)}
+${row('Year described', entry => entry.year)}
+${row('English (AviList)', entry => entry.names.aviList)}
+${row('English (Clements)', entry => entry.names.clements)}
+${row('English (BirdLife)', entry => entry.names.birdLife)}
+
+## Shared Ancestry
+**All species:** ${describeAncestry(comparison.sharedAncestry)}
+${pairs.length > 1 ? `\n${pairs.map(pair => `- *${pair.a}* / *${pair.b}*: ${describeAncestry(pair.sharedAncestry)}`).join('\n')}\n` : ''}
+## Ranges
+${sharedRangeKeywords.length > 0 ? `Regions mentioned in more than one range: ${sharedRangeKeywords.map(keyword => `**${keyword}**`).join(', ')}` : 'No regions in common between the ranges.'}
+
+${species.map(entry => `- *${entry.scientificName}*: ${entry.range ? highlight(entry.range) : 'No range data'}`).join('\n')}`);
+  }
+
+  async handleReconcileName(args) {
+    const reconciliation = await reconcileName(this.provider, {
+      name: args.name,
+      speciesCode: args.species_code,
+      avibaseId: args.avibase_id,
+      checklist: args.checklist,
+      fuzzy: args.fuzzy,
+    });
+    const note = resolutionNote({ query: args.name, match: reconciliation.resolution });
+
+    const agreementLabel = {
+      identical: '✅ same',
+      case_only: '✅ same (capitalization differs)',
+      different: '⚠️ different',
+      missing: '❌ not listed',
+    };
+    const issueIcon = { different_name: '🏷️', split: '✂️', lump: '🔗', not_recognized: '❓' };
+    const lookedUp = args.species_code ? `species code ${args.species_code}` : args.avibase_id ? `AvibaseID ${args.avibase_id}` : `"${args.name}"`;
+
+    return formatResult(args.format, reconciliation, `# Name Reconciliation: ${lookedUp}
+
+Matched on \`${reconciliation.matchedOn}\`${reconciliation.matches.length > 1 ? ` (**${reconciliation.matches.length}** AviList taxa)` : ''}${note ? `\n${note}` : ''}
+
+${reconciliation.matches.map(match => `## *${match.scientificName}*
+- **Family:** ${match.family || 'Unknown'}
+- **Rank:** ${match.taxonRank || 'Unknown'}
+- **AvibaseID:** ${match.avibaseId || 'Not available'}
+- **eBird species code:** ${match.speciesCode || 'Not available'}
+
+| Checklist | English name | Agrees with AviList |
+|-----------|--------------|---------------------|
+| ${CHECKLISTS.avilist.label} | ${match.names.avilist || '–'} | – |
+| ${CHECKLISTS.clements.label} | ${match.names.clements || '–'} | ${agreementLabel[match.nameAgreement.clements]} |
+| ${CHECKLISTS.birdlife.label} | ${match.names.birdlife || '–'} | ${agreementLabel[match.nameAgreement.birdlife]} |
+
+${match.issues.length > 0
+    ? `**Checklist differences:**\n${match.issues.map(issue => `- ${issueIcon[issue.type]} ${issue.message}`).join('\n')}`
+    : '**Checklist differences:** none, all three checklists treat this taxon the same way.'}`).join('\n\n')}`);
+  }
+
+  async handleAggregateBirds(args) {
+    const aggregation = await aggregateBirds(this.provider, {
+      groupBy: args.group_by,
+      filters: args.filters,
+      metrics: args.metrics,
+      speciesOnly: args.species_only,
+      sortBy: args.sort_by,
+      limit: args.limit,
+    });
+    const { groupBy, metrics, rows } = aggregation;
+
+    const percent = share => `${(share * 100).toFixed(1)}%`;
+    const columns = [
+      ...groupBy.map(field => ({ title: field, value: row => row.group[field] })),
+      { title: 'Count', value: row => row.count },
+      ...(metrics.includes('share_threatened')
+        ? [{ title: 'Threatened', value: row => `${row.threatened} (${percent(row.shareThreatened)})` }]
+        : []),
+      ...(metrics.includes('share_extinct')
+        ? [{ title: 'Extinct', value: row => `${row.extinct} (${percent(row.shareExtinct)})` }]
+        : []),
+    ];
+    const filterDescription = describeFilters(aggregation.filters);
+
+    return formatResult(args.format, aggregation, `# Aggregation by ${groupBy.join(', ')}
+
+${filterDescription ? `🎯 **Filters:** ${filterDescription}\n` : ''}📊 **${aggregation.totalRecords}** ${aggregation.speciesOnly ? 'species' : 'records'} in **${aggregation.totalGroups}** groups
+
+${rows.length > 0 ? `| ${columns.map(column => column.title).join(' | ')} |
+|${columns.map(() => '---').join('|')}|
+${rows.map(row => `| ${columns.map(column => column.value(row)).join(' | ')} |`).join('\n')}` : '*No records match these filters.*'}
+${aggregation.truncated ? `\n*Showing the first ${rows.length} of ${aggregation.totalGroups} groups; raise \`limit\` to see more.*` : ''}`);
+  }
+
+  async handleGetRegionConservationSummary(args) {
+    const summary = await regionConservationSummary(this.provider, args.region, {
+      family: args.family,
+      order: args.order,
+      endemicOnly: args.endemic_only ?? false,
+      maxSpecies: args.max_species ?? 100,
+      topFamilies: args.top_families ?? 10,
+      timeoutMs: this.config.jsonata.timeoutMs,
+    });
+    const { threatened, extinct, families } = summary;
+
+    const percent = share => `${(share * 100).toFixed(1)}%`;
+    const title = summary.resolvedRegion?.name ?? summary.region;
+    const scope = [
+      summary.family ? `family **${summary.family}**` : null,
+      summary.order ? `order **${summary.order}**` : null,
+      summary.endemicOnly ? 'endemic species only' : null,
+    ].filter(Boolean);
+    const speciesLine = bird => `- **${bird.scientificName}**${bird.englishName ? ` (${bird.englishName})` : ''} — ${bird.family ?? 'Unknown family'}`;
+    const more = (listed, total) => (total > listed ? `\n*…and ${total - listed} more; raise \`max_species\` to list them.*` : '');
+
+    const threatenedSections = THREATENED_CATEGORIES.map(category => {
+      const birds = threatened.species.filter(bird => bird.category === category);
+      return birds.length > 0 ? `### ${IUCN_CATEGORY_NAMES[category]} (${category})\n${birds.map(speciesLine).join('\n')}` : null;
+    }).filter(Boolean);
+
+    return formatResult(args.format, summary, `# Conservation summary: ${title}
+
+${scope.length > 0 ? `🎯 **Scope:** ${scope.join(', ')}\n` : ''}🐦 **${summary.totalSpecies}** species, of which **${threatened.total}** (${percent(threatened.share)}) are threatened and **${extinct.total}** extinct or possibly extinct${summary.truncated ? '\n⚠️ *Not every record in the region could be read; counts may be incomplete.*' : ''}
+
+## IUCN categories
+| Category | Species | Share |
+|---|---|---|
+${summary.iucnCounts.filter(row => row.count > 0).map(row => `| ${row.name} (${row.category}) | ${row.count} | ${percent(row.share)} |`).join('\n') || '| *No species* | 0 | – |'}
+
+## Threatened species
+${threatenedSections.length > 0 ? threatenedSections.join('\n\n') : threatened.total > 0 ? '' : '*None*'}${more(threatened.species.length, threatened.total)}
+
+## Extinct and possibly extinct
+${extinct.species.length > 0 ? extinct.species.map(bird => `${speciesLine(bird)} (${bird.status}${bird.category !== 'NE' ? `, ${bird.category}` : ''})`).join('\n') : extinct.total > 0 ? '' : '*None*'}${more(extinct.species.length, extinct.total)}
+
+## Families with the highest share of threatened species
+${families.length > 0 ? `| Family | Species | Threatened | Share |
+|---|---|---|---|
+${families.map(row => `| ${row.family}${row.familyEnglishName ? ` (${row.familyEnglishName})` : ''} | ${row.species} | ${row.threatened} | ${percent(row.shareThreatened)} |`).join('\n')}` : '*No family has threatened species here.*'}`);
+  }
+
+  // Saved queries appear as prompts and resources, so both lists change
+  // whenever one is saved or deleted
+  async notifySavedQueriesChanged(name) {
+    await this.server.sendPromptListChanged();
+    await this.server.sendResourceListChanged();
+    const uri = `avibase://saved-query/${encodeURIComponent(name)}`;
+    if (this.subscriptions.has(uri)) {
+      await this.server.sendResourceUpdated({ uri });
+    }
+  }
+
+  async handleSaveQuery(args) {
+    const { overwrite = false, format, ...definition } = args;
+    if (definition.kind === 'jsonata' && typeof definition.query === 'string') {
+      // Catch syntax errors and disallowed functions now rather than at run time
+      this.jsonataGuard.check(jsonataSkeleton(definition.query));
+    }
+    if (definition.kind === 'filters') {
+      // Filters are checked the same way, with defaults standing in for
+      // the parameter values
+      validateFilters(filtersSkeleton(normalizeSavedQuery(definition)));
+    }
+    const { saved, created } = await this.savedQueries.save(definition, { overwrite });
+    await this.notifySavedQueriesChanged(saved.name);
+
+    const parameterList = saved.parameters.length > 0
+      ? saved.parameters.map(parameter => `- \`${parameter.name}\`${parameter.default !== undefined ? ` (default: ${JSON.stringify(parameter.default)})` : ' (required)'}${parameter.description ? `: ${parameter.description}` : ''}`).join('\n')
+      : '*None*';
+
+    return formatResult(format, { saved, created, file: this.savedQueries.file }, `💾 ${created ? 'Saved' : 'Updated'} query **${saved.name}**: ${saved.description}
+
+**${saved.kind === 'filters' ? 'Filters' : 'JSONata query'}:**
+${saved.kind === 'filters' ? codeBlock(JSON.stringify(saved.filters, null, 2), 'json') : codeBlock(saved.query, 'jsonata')}
+
+**Parameters:**
+${parameterList}
+
+Stored in \`${this.savedQueries.file}\`. Run it with \`run_saved_query\` or the \`saved:${saved.name}\` prompt.`);
+  }
+
+  async handleListSavedQueries(args) {
+    const queries = await this.savedQueries.list();
+
+    const describeParameters = saved => (saved.parameters.length > 0
+      ? saved.parameters.map(parameter => (parameter.default !== undefined ? `${parameter.name}=${JSON.stringify(parameter.default)}` : parameter.name)).join(', ')
+      : '–');
+
+    return formatResult(args.format, { file: this.savedQueries.file, queries }, `# Saved Queries
+
+${queries.length > 0 ? `| Name | Kind | Parameters | Description |
+|------|------|------------|-------------|
+${queries.map(saved => `| ${saved.name} | ${saved.kind} | ${describeParameters(saved)} | ${saved.description} |`).join('\n')}` : '*No saved queries yet. Use `save_query` to add one.*'}
+
+Stored in \`${this.savedQueries.file}\`.`);
+  }
+
+  async handleRunSavedQuery(args) {
+    const { name, params, format, ...window } = args;
+    const saved = await this.savedQueries.get(name);
+    const bound = bindParameters(saved, params);
+
+    // Bound values are checked against the inner tool's schema, as if the
+    // filters or query had been passed to it directly
+    const run = saved.kind === 'filters'
+      ? await this.handleCustomBirdQuery({
+        ...validateToolArguments('custom_bird_query', { filters: bound.filters, ...window }),
+        format: 'markdown',
+      })
+      : await this.handleExecuteJsonataQuery({
+        ...validateToolArguments('execute_jsonata_query', { query: bound.query, ...window }),
+        format: 'markdown',
+      });
+
+    const structured = {
+      name: saved.name,
+      kind: saved.kind,
+      params: bound.params,
+      ...(saved.kind === 'filters' ? { filters: bound.filters } : { query: bound.query }),
+      result: run.structuredContent,
+    };
+    const parameterText = Object.entries(bound.params)
+      .map(([key, value]) => `${key} = ${JSON.stringify(value)}`)
+      .join(', ');
+
+    return formatResult(format, structured, `# Saved Query: ${saved.name}
+
+${saved.description}
+${parameterText ? `\n🔧 **Parameters:** ${parameterText}\n` : ''}
+${run.content[0].text.replace(/^# /, '## ')}`);
+  }
+
+  async handleDeleteSavedQuery(args) {
+    const deleted = await this.savedQueries.delete(args.name);
+    await this.notifySavedQueriesChanged(deleted.name);
+
+    return formatResult(
+      args.format,
+      { deleted, file: this.savedQueries.file },
+      `🗑️ Deleted saved query **${deleted.name}** from \`${this.savedQueries.file}\`.`
+    );
+  }
+
+  async handleGetServerDiagnostics(args) {
+    const usage = this.metrics.snapshot();
+    if (args.reset) {
+      this.metrics.reset();
+    }
+
+    const structured = {
+      ...usage,
+      reset: args.reset,
+      provider: this.provider.health(),
+      cache: this.provider.cache?.stats() ?? null,
+      logging: { level: this.logger.level, clientLevel: this.clientLogSink.level },
+    };
+
+    const percent = share => `${(share * 100).toFixed(1)}%`;
+    const ms = value => (value === null ? '–' : `${Math.round(value)} ms`);
+    const uptime = (() => {
+      const minutes = Math.floor(usage.uptimeMs / 60000);
+      return minutes >= 60 ? `${Math.floor(minutes / 60)}h ${minutes % 60}m` : `${minutes}m`;
+    })();
+
+    const { provider, cache } = structured;
+    const { totals, upstream } = usage;
+    const circuit = provider.circuit
+      ? ` · circuit **${provider.circuit.state}**${provider.circuit.state === 'open' ? ` (retry in ${Math.ceil(provider.circuit.retryInMs / 1000)}s)` : ''}`
+      : '';
+    const statuses = Object.entries(upstream.statuses).map(([status, count]) => `${status} × ${count}`).join(', ');
+
+    const toolRows = usage.tools.map(row => (
+      `| ${row.tool} | ${row.calls} | ${row.errors} | ${percent(row.errorRate)} | ${ms(row.latencyMs.p50)} | ${ms(row.latencyMs.p90)} | ${ms(row.latencyMs.p99)} | ${row.cacheHits}/${row.cacheHits + row.cacheMisses} |`
+    ));
+    const endpointRows = upstream.endpoints.map(row => (
+      `| ${row.endpoint} | ${row.requests} | ${row.failures} | ${ms(row.latencyMs.p50)} | ${ms(row.latencyMs.p99)} |`
+    ));
+
+    return formatResult(args.format, structured, `# Server Diagnostics
+
+⏱️ **Uptime:** ${uptime} (started ${usage.startedAt}; counters since ${usage.since})
+🔌 **Provider:** ${provider.provider} (\`${provider.source}\`)${provider.records !== null ? ` · ${provider.records} records` : ''}${circuit}
+📞 **Tool calls:** ${totals.calls} · **errors:** ${totals.errors} (${percent(totals.errorRate)})
+
+## Tools
+
+${toolRows.length > 0 ? `| Tool | Calls | Errors | Error rate | p50 | p90 | p99 | Cache hits |
+|------|-------|--------|------------|-----|-----|-----|------------|
+${toolRows.join('\n')}` : '*No tool calls yet.*'}
+${provider.provider === 'remote' ? `
+## Upstream API
+
+- **Requests:** ${upstream.requests} (${upstream.failures} failed, ${percent(upstream.failureRate)}), ${upstream.retries} retried
+- **Latency:** p50 ${ms(upstream.latencyMs.p50)}, p90 ${ms(upstream.latencyMs.p90)}, p99 ${ms(upstream.latencyMs.p99)}
+- **Statuses:** ${statuses || 'none'}
+- **Last success:** ${upstream.lastSuccessAt ?? 'never'}
+- **Last failure:** ${upstream.lastFailureAt ?? 'never'}${upstream.lastError ? ` (${upstream.lastError.endpoint}: ${upstream.lastError.message})` : ''}
+${endpointRows.length > 0 ? `
+| Endpoint | Requests | Failures | p50 | p99 |
+|----------|----------|----------|-----|-----|
+${endpointRows.join('\n')}
+` : ''}` : ''}
+## Cache
+
+${cache ? `${cache.hits} hits, ${cache.misses} misses (${percent(cache.hitRate)} hit rate), ${cache.entries} entries` : 'Response caching is not in use.'}
+
+📝 Logging at **${structured.logging.level}** on stderr and **${structured.logging.clientLevel}** to this client.${args.reset ? '\n\n🔄 Counters have been reset.' : ''}`);
+  }
+
+  async handleGetDatasetVersion(args) {
+    // Hashing reads every record, so it only happens when asked for
+    const { records, info } = args.include_hash || args.save_snapshot
+      ? await currentDataset(this.provider, this.config)
+      : { records: null, info: await datasetSummary(this.provider, this.config) };
+    const { snapshotDir } = this.config.dataset;
+    const savedSnapshot = args.save_snapshot
+      ? await saveSnapshot(snapshotDir, records, info, args.snapshot_name)
+      : null;
+    if (savedSnapshot) {
+      this.logger.info('snapshot saved', { file: savedSnapshot.file, hash: info.hash });
+    }
+    const snapshots = await listSnapshots(snapshotDir);
+
+    const citation = `AviList ${info.version ? `v${info.version}` : '(version not recorded)'}, ${info.records} records${info.hash ? `, ${info.hash}` : ''}`;
+    const structured = {
+      ...info,
+      provider: this.provider.health().provider,
+      computedAt: new Date().toISOString(),
+      citation,
+      savedSnapshot,
+      snapshotDir,
+      snapshots,
+    };
+
+    return formatResult(args.format, structured, `# Dataset Version
+
+📚 **AviList:** ${info.version ? `v${info.version}` : '*not recorded* (set \`--dataset-version\`)'}
+📋 **Checklists:** ${info.checklists.length > 0 ? info.checklists.map(entry => `${entry.checklist} v${entry.version}`).join(', ') : '*none*'}
+🔌 **Source:** ${structured.provider} (\`${info.source}\`)
+🐦 **Records:** ${info.records} (${info.species} species)${info.truncated ? '\n⚠️ *Not every record could be read; the hash covers only those that were.*' : ''}
+🔐 **Content hash:** ${info.hash ? `\`${info.hash}\`` : '*not computed; pass \`include_hash: true\` to read and hash every record*'}
+
+Cite as: ${citation}
+${savedSnapshot ? `\n💾 Saved snapshot **${savedSnapshot.name}** to \`${savedSnapshot.file}\`\n` : ''}
+## Snapshots
+
+${snapshots.length > 0 ? snapshots.map(snapshot => `- **${snapshot.name}**${snapshot.version ? ` (v${snapshot.version})` : ''} — ${snapshot.bytes} bytes, ${snapshot.modifiedAt}`).join('\n') : `*No snapshots in \`${snapshotDir}\`; pass \`save_snapshot: true\` to save one.*`}`);
+  }
+
+  async handleDiffDatasetSnapshots(args) {
+    const to = args.to ?? CURRENT_SNAPSHOT;
+    const maxChanges = args.max_changes ?? 100;
+    const before = await loadSnapshot(args.from, { provider: this.provider, config: this.config });
+    const after = await loadSnapshot(to, { provider: this.provider, config: this.config });
+    const diff = diffDatasets(before.records, after.records, { maxChanges, speciesOnly: args.species_only ?? false });
+
+    const structured = {
+      from: before.info,
+      to: after.info,
+      identical: before.info.hash === after.info.hash,
+      speciesOnly: args.species_only ?? false,
+      ...diff,
+    };
+    const { summary } = diff;
+
+    const label = (name, info) => `${name === CURRENT_SNAPSHOT ? CURRENT_SNAPSHOT : `\`${name}\``}${info.version ? ` (v${info.version})` : ''}`;
+    const taxonLine = taxon => `- **${taxon.scientificName}**${taxon.commonName ? ` (${taxon.commonName})` : ''} — ${taxon.taxonRank ?? 'unranked'}, ${taxon.family ?? 'Unknown family'}${taxon.iucnCategory ? `, ${taxon.iucnCategory}` : ''}`;
+    const arrows = { uplisted: '⬆️ uplisted', downlisted: '⬇️ downlisted', assessed: 'newly assessed', unassessed: 'no longer assessed', reclassified: 'reclassified' };
+    const more = (listed, total) => (total > listed ? `\n*…and ${total - listed} more; raise \`max_changes\` to list them.*` : '');
+    const section = (title, total, body) => `## ${title} (${total})\n\n${total > 0 ? body : '*None*'}`;
+
+    return formatResult(args.format, structured, `# Dataset Changes: ${label(args.from, before.info)} → ${label(to, after.info)}
+
+| | From | To |
+|---|---|---|
+| Version | ${before.info.version ?? '–'} | ${after.info.version ?? '–'} |
+| Records | ${before.info.records} | ${after.info.records} |
+| Hash | \`${before.info.shortHash}\` | \`${after.info.shortHash}\` |
+${structured.identical ? '\n✅ Both sides have the same content hash; nothing changed.\n' : ''}
+- **Added taxa:** ${summary.added}
+- **Removed taxa:** ${summary.removed}
+- **IUCN category changes:** ${summary.iucnChanges} (${summary.uplisted} uplisted, ${summary.downlisted} downlisted)
+- **Renamed English names:** ${summary.renamed}
+- **Family reassignments:** ${summary.familyChanges}
+
+${section('Added taxa', summary.added, diff.added.map(taxonLine).join('\n') + more(diff.added.length, summary.added))}
+
+${section('Removed taxa', summary.removed, diff.removed.map(taxonLine).join('\n') + more(diff.removed.length, summary.removed))}
+
+${section('IUCN category changes', summary.iucnChanges, `| Species | From | To | Change |
+|---|---|---|---|
+${diff.iucnChanges.map(change => `| ${change.scientificName}${change.commonName ? ` (${change.commonName})` : ''} | ${change.from ?? '–'} | ${change.to ?? '–'} | ${arrows[change.direction]} |`).join('\n')}${more(diff.iucnChanges.length, summary.iucnChanges)}`)}
+
+${section('Renamed English names', summary.renamed, `| Species | Checklist | From | To |
+|---|---|---|---|
+${diff.renamed.map(change => `| ${change.scientificName} | ${CHECKLISTS[change.checklist].label} | ${change.from} | ${change.to} |`).join('\n')}${more(diff.renamed.length, summary.renamed)}`)}
+
+${section('Family reassignments', summary.familyChanges, `| Species | From | To |
+|---|---|---|
+${diff.familyChanges.map(change => `| ${change.scientificName} | ${change.from ?? '–'}${change.fromOrder ? ` (${change.fromOrder})` : ''} | ${change.to ?? '–'}${change.toOrder ? ` (${change.toOrder})` : ''} |`).join('\n')}${more(diff.familyChanges.length, summary.familyChanges)}`)}`);
+  }
+
+  setupErrorHandling() {
+    this.server.onerror = (error) => {
+      this.logger.error('protocol error', { error });
+    };
+  }
+
+  setupShutdownHandlers() {
+    let shuttingDown = false;
+
+    const shutdown = async (signal) => {
+      if (shuttingDown) {
+        return;
+      }
+      shuttingDown = true;
+      this.logger.notice('shutting down', { signal });
+
+      // Don't let a stuck session hold the process open forever
+      const timer = setTimeout(() => {
+        this.logger.error('shutdown timed out, exiting');
+        process.exit(1);
+      }, this.config.http.shutdownTimeoutMs);
+      timer.unref();
+
+      try {
+        await this.httpHost?.close();
+        await this.server.close();
+        await this.provider.close();
+      } catch (error) {
+        this.logger.error('error during shutdown', { error });
+      }
+      process.exit(0);
+    };
+
+    process.on('SIGINT', () => shutdown('SIGINT'));
+    process.on('SIGTERM', () => shutdown('SIGTERM'));
+  }
+
+  // Every HTTP session gets its own server sharing this one's provider,
+  // logger, metrics and saved queries
+  createHttpHost() {
+    const shared = {
+      logger: this.logger,
+      metrics: this.metrics,
+      provider: this.provider,
+      savedQueries: this.savedQueries,
+    };
+    return new HttpTransportHost(
+      this.config,
+      this.provider,
+      () => new BirdDataMCPServer(this.config, shared).server,
+      this.logger.child({ component: 'http' })
+    );
+  }
+
+  async run() {
+    await this.provider.initialize();
+    this.setupShutdownHandlers();
+
+    if (this.config.transport === 'http') {
+      this.httpHost = this.createHttpHost();
+      await this.httpHost.start();
+      return;
+    }
+
+    const transport = new StdioServerTransport();
+    await this.server.connect(transport);
+    this.logger.notice('🦅 Bird Data MCP Server running on stdio');
+  }
+}
@@ -0,0 +1,180 @@
+/**
+ * Taxonomy Tree
+ *
+ * Builds the order → family → genus → species → subspecies hierarchy from
+ * the flat record fields (`Order`, `Family`, `Scientific_name`,
+ * `Taxon_rank`), either as a nested tree below a node or as the lineage
+ * above one.
+ */
+
+import { notFoundError } from './errors.js';
+import { collectAll } from './pagination.js';
+
+export const TAXONOMY_RANKS = ['order', 'family', 'genus', 'species', 'subspecies'];
+
+const MAX_TREE_RECORDS = 20000;
+
+// Records that describe a higher taxon rather than a species or subspecies
+const HEADER_RANKS = new Set(['order', 'family']);
+
+const COUNT_KEYS = {
+  family: 'families',
+  genus: 'genera',
+  species: 'species',
+  subspecies: 'subspecies',
+};
+
+function words(scientificName) {
+  return String(scientificName ?? '').trim().split(/\s+/);
+}
+
+export function genusOf(scientificName) {
+  return words(scientificName)[0];
+}
+
+export function speciesOf(scientificName) {
+  return words(scientificName).slice(0, 2).join(' ');
+}
+
+/**
+ * True for species-rank records. Ranks are compared case-insensitively,
+ * since CSV exports and other sources don't always write them in lowercase.
+ */
+export function isSpecies(record) {
+  return String(record.Taxon_rank ?? '').toLowerCase() === 'species';
+}
+
+function isSubspecies(record) {
+  return words(record.Scientific_name).length > 2;
+}
+
+// The name of the taxon a record belongs to at each rank
+const NAME_AT_RANK = {
+  order: record => record.Order,
+  family: record => record.Family,
+  genus: record => genusOf(record.Scientific_name),
+  species: record => speciesOf(record.Scientific_name),
+  subspecies: record => (isSubspecies(record) ? record.Scientific_name : null),
+};
+
+function sameName(a, b) {
+  return String(a ?? '').toLowerCase() === String(b ?? '').toLowerCase();
+}
+
+function countBelow(rank, records) {
+  const counts = {};
+  for (const lower of TAXONOMY_RANKS.slice(TAXONOMY_RANKS.indexOf(rank) + 1)) {
+    const names = new Set(records.map(NAME_AT_RANK[lower]).filter(Boolean));
+    counts[COUNT_KEYS[lower]] = names.size;
+  }
+  return counts;
+}
+
+function nodeDetails(rank, name, records) {
+  if (rank === 'family') {
+    return { englishName: records[0]?.Family_English_name ?? null };
+  }
+  if (rank === 'species' || rank === 'subspecies') {
+    const record = records.find(r => r.Scientific_name === name);
+    return {
+      englishName: record?.English_name_AviList ?? null,
+      iucnCategory: record?.IUCN_Red_List_Category ?? null,
+      extinct: Boolean(record?.Extinct_or_possibly_extinct),
+    };
+  }
+  return {};
+}
+
+function buildNode(rank, name, records, depth) {
+  const node = {
+    rank,
+    name,
+    ...nodeDetails(rank, name, records),
+    counts: countBelow(rank, records),
+    children: [],
+  };
+
+  const childRank = TAXONOMY_RANKS[TAXONOMY_RANKS.indexOf(rank) + 1];
+  if (!childRank || depth <= 0) {
+    return node;
+  }
+
+  // Records arrive in taxonomic sequence, so first appearance keeps that order
+  const groups = new Map();
+  for (const record of records) {
+    const childName = NAME_AT_RANK[childRank](record);
+    if (!childName) {
+      continue;
+    }
+    if (!groups.has(childName)) {
+      groups.set(childName, []);
+    }
+    groups.get(childName).push(record);
+  }
+
+  node.children = [...groups].map(([childName, childRecords]) => buildNode(childRank, childName, childRecords, depth - 1));
+  return node;
+}
+
+async function fetchTaxonRecords(provider, rank, name) {
+  const read = fetchPage => collectAll(fetchPage, { maxRecords: MAX_TREE_RECORDS });
+
+  let result;
+  if (rank === 'order' || rank === 'family') {
+    const level = rank === 'order' ? 'Order' : 'Family';
+    result = await read(window => provider.getBirdsByTaxonomy({ level, value: name, ...window }));
+  } else {
+    // There's no genus or species filter, so search by name and keep exact members
+    result = await read(window => provider.searchBirds({ query: name, exact: false, ...window }));
+    result.records = result.records.filter(record => sameName(NAME_AT_RANK[rank](record), name));
+  }
+
+  const records = result.records.filter(record => !HEADER_RANKS.has(String(record.Taxon_rank).toLowerCase()));
+  if (records.length === 0) {
+    throw notFoundError(`No ${rank} named ${name}`);
+  }
+  return { records, truncated: result.truncated };
+}
+
+/**
+ * The tree of taxa below a node, `depth` ranks deep.
+ */
+export async function taxonomyTree(provider, rank, name, depth) {
+  const { records, truncated } = await fetchTaxonRecords(provider, rank, name);
+  // Use the dataset's spelling of the name rather than the caller's
+  const canonical = NAME_AT_RANK[rank](records[0]) || name;
+  return {
+    tree: buildNode(rank, canonical, records, depth),
+    recordsRead: records.length,
+    truncated,
+  };
+}
+
+/**
+ * The chain of taxa from the order down to the given node.
+ */
+export async function taxonomyLineage(provider, rank, name) {
+  let record;
+  if (rank === 'species' || rank === 'subspecies') {
+    record = (await provider.getBirdReport({ scientificName: name })).data.bird;
+  } else {
+    const level = { order: 'Order', family: 'Family' }[rank];
+    const response = level
+      ? await provider.getBirdsByTaxonomy({ level, value: name, offset: 0, limit: 1 })
+      : await provider.searchBirds({ query: name, exact: false, offset: 0, limit: 50 });
+    record = response.data.find(r => sameName(NAME_AT_RANK[rank](r), name));
+  }
+  if (!record) {
+    throw notFoundError(`No ${rank} named ${name}`);
+  }
+
+  const lineage = [];
+  for (const lineageRank of TAXONOMY_RANKS.slice(0, TAXONOMY_RANKS.indexOf(rank) + 1)) {
+    const taxon = NAME_AT_RANK[lineageRank](record);
+    if (!taxon) {
+      break;
+    }
+    lineage.push({ rank: lineageRank, name: taxon, ...nodeDetails(lineageRank, taxon, [record]) });
+  }
+  return lineage;
+}
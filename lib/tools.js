@@ -0,0 +1,1552 @@
+/**
+ * Tool Definitions
+ *
+ * Input and output schemas for every tool the server exposes. Output schemas
+ * describe the `structuredContent` returned alongside the Markdown text.
+ */
+
+import { AGGREGATE_METRICS, AGGREGATE_SORTS, DERIVED_FIELDS, MAX_GROUP_BY_FIELDS } from './aggregate.js';
+import { MAX_COMPARE_SPECIES, MIN_COMPARE_SPECIES } from './compare.js';
+import { CURRENT_SNAPSHOT, IUCN_CHANGE_DIRECTIONS } from './dataset.js';
+import { EXPORT_FORMATS, EXPORT_SOURCES } from './export.js';
+import { FILTER_SORTS, SORT_ORDERS } from './filters.js';
+import { MATCH_TYPES } from './gazetteer.js';
+import { MAX_LOOKUP_NAMES } from './lookup.js';
+import { NAME_MATCH_METHODS } from './names.js';
+import { CHECKLISTS } from './reconcile.js';
+import { MAX_PAGE_SIZE, PAGINATION_PROPERTIES } from './pagination.js';
+import { SAVED_QUERY_KINDS } from './saved-queries.js';
+import { TAXONOMY_RANKS } from './taxonomy.js';
+
+export const OUTPUT_FORMATS = ['markdown', 'json', 'both'];
+
+const OUTPUT_FORMAT_PROPERTY = {
+  type: 'string',
+  description: 'Response format: Markdown text, JSON text, or both (default: markdown). Structured content is always included.',
+  enum: OUTPUT_FORMATS,
+  default: 'markdown',
+};
+
+const FUZZY_PROPERTY = {
+  type: 'boolean',
+  description: 'When nothing matches exactly, resolve misspelled, sound-alike or differently-ended names (e.g. "Aquila crysaetos") to the closest dataset name (default: true)',
+  default: true,
+};
+
+const FIELD_VALUE = { type: ['string', 'number', 'boolean', 'null'] };
+
+// A record field filter: one value, or a list matching any of its values
+const FIELD_FILTER = {
+  type: ['string', 'number', 'boolean', 'array'],
+  items: FIELD_VALUE,
+};
+
+function pageLimit(defaultLimit, description = 'Maximum number of results to return per page') {
+  return {
+    type: 'integer',
+    description: `${description} (default: ${defaultLimit}, max: ${MAX_PAGE_SIZE})`,
+    default: defaultLimit,
+    minimum: 1,
+    maximum: MAX_PAGE_SIZE,
+  };
+}
+
+const KEYWORDS = {
+  type: ['string', 'array'],
+  items: { type: 'string' },
+};
+
+// custom_bird_query filters; `not` and `any_of` nest further filter objects
+const FILTERS_SCHEMA = {
+  type: 'object',
+  description: 'Record filters. Capitalized keys are record fields matched exactly (a list matches any of its values); lowercase keys are operators. All filters must match.',
+  properties: {
+    Family: FIELD_FILTER,
+    Order: FIELD_FILTER,
+    IUCN_Red_List_Category: FIELD_FILTER,
+    Taxon_rank: FIELD_FILTER,
+    range_contains: { ...KEYWORDS, description: 'Range mentions this keyword, or any of these keywords (case-insensitive)' },
+    range_excludes: { ...KEYWORDS, description: 'Range mentions none of these keywords (case-insensitive)' },
+    authority: { type: 'string', description: 'Authority contains this name, e.g. "Linnaeus"', minLength: 1 },
+    year_from: { type: 'integer', description: 'Described in or after this year', minimum: 1500, maximum: 2100 },
+    year_to: { type: 'integer', description: 'Described in or before this year', minimum: 1500, maximum: 2100 },
+    extinct: { type: 'boolean', description: 'Only extinct or possibly extinct taxa (true) or only extant ones (false)' },
+    genus_prefix: { type: 'string', description: 'Genus starts with this text, e.g. "Stri"', minLength: 1 },
+    name_regex: { type: 'string', description: 'Case-insensitive regular expression matched against the scientific and AviList English names', maxLength: 200 },
+    not: { type: 'object', description: 'Exclude records matching this nested filter object' },
+    any_of: {
+      type: 'array',
+      description: 'Records must match at least one of these nested filter objects',
+      items: { type: 'object' },
+      minItems: 1,
+    },
+  },
+  additionalProperties: FIELD_FILTER,
+};
+
+const BIRD_RECORD_SCHEMA = {
+  type: 'object',
+  properties: {
+    Scientific_name: { type: 'string' },
+    English_name_AviList: FIELD_VALUE,
+    English_name_Clements_v2024: FIELD_VALUE,
+    English_name_BirdLife_v9: FIELD_VALUE,
+    Taxon_rank: FIELD_VALUE,
+    Order: FIELD_VALUE,
+    Family: FIELD_VALUE,
+    Family_English_name: FIELD_VALUE,
+    Authority: FIELD_VALUE,
+    IUCN_Red_List_Category: FIELD_VALUE,
+    Extinct_or_possibly_extinct: FIELD_VALUE,
+    Range: FIELD_VALUE,
+  },
+  required: ['Scientific_name'],
+  additionalProperties: true,
+};
+
+const PAGINATION_SCHEMA = {
+  type: ['object', 'null'],
+  properties: {
+    offset: { type: 'number' },
+    limit: { type: 'number' },
+    returned: { type: 'number' },
+    totalItems: { type: 'number' },
+    hasNext: { type: 'boolean' },
+    hasPrev: { type: 'boolean' },
+    nextCursor: { type: ['string', 'null'] },
+  },
+  additionalProperties: true,
+};
+
+function birdListOutputSchema(extraProperties = {}) {
+  return {
+    type: 'object',
+    properties: {
+      ...extraProperties,
+      birds: { type: 'array', items: BIRD_RECORD_SCHEMA },
+      pagination: PAGINATION_SCHEMA,
+    },
+    required: ['birds', 'pagination'],
+  };
+}
+
+const STATS_OUTPUT_SCHEMA = {
+  type: 'object',
+  properties: {
+    totalRecords: { type: 'number' },
+    totalSpecies: { type: 'number' },
+    totalFamilies: { type: 'number' },
+    totalOrders: { type: 'number' },
+    extinctSpecies: { type: 'number' },
+    iucnCategories: { type: 'array', items: { type: 'string' } },
+  },
+  required: ['totalRecords', 'totalSpecies', 'totalFamilies', 'totalOrders'],
+};
+
+const NAME_MATCH_SCHEMA = {
+  type: 'object',
+  properties: {
+    scientificName: { type: 'string' },
+    commonName: FIELD_VALUE,
+    taxonRank: FIELD_VALUE,
+    matchedName: { type: 'string' },
+    matchedField: { type: 'string' },
+    method: { type: 'string', enum: NAME_MATCH_METHODS },
+    score: { type: 'number' },
+    distance: { type: 'number' },
+  },
+  required: ['scientificName', 'matchedName', 'method', 'score'],
+};
+
+const RESOLUTION_SCHEMA = { anyOf: [NAME_MATCH_SCHEMA, { type: 'null' }] };
+
+const BIRD_REPORT_OUTPUT_SCHEMA = {
+  type: 'object',
+  properties: {
+    bird: BIRD_RECORD_SCHEMA,
+    relatedInFamily: { type: 'array', items: BIRD_RECORD_SCHEMA },
+    conservationStatus: FIELD_VALUE,
+    hasUrls: {
+      type: 'object',
+      additionalProperties: { type: 'boolean' },
+    },
+    resolution: RESOLUTION_SCHEMA,
+  },
+  required: ['bird', 'relatedInFamily'],
+};
+
+const JSONATA_OUTPUT_SCHEMA = {
+  type: 'object',
+  properties: {
+    query: { type: 'string' },
+    dryRun: { type: 'boolean' },
+    resultType: { type: ['string', 'null'] },
+    result: {},
+    resultBytes: { type: ['number', 'null'] },
+    analysis: {
+      type: 'object',
+      properties: {
+        functions: { type: 'array', items: { type: 'string' } },
+        fields: { type: 'array', items: { type: 'string' } },
+        variables: { type: 'array', items: { type: 'string' } },
+        outline: { type: 'array', items: { type: 'string' } },
+      },
+    },
+    pagination: PAGINATION_SCHEMA,
+  },
+  required: ['query', 'resultType', 'pagination'],
+};
+
+const CACHE_OUTPUT_SCHEMA = {
+  type: 'object',
+  properties: {
+    enabled: { type: 'boolean' },
+    action: { type: 'string' },
+    cleared: { type: ['string', 'null'] },
+    stats: { type: ['object', 'null'] },
+  },
+  required: ['enabled', 'action'],
+};
+
+const LOOKUP_MATCH_SCHEMA = {
+  type: 'object',
+  properties: {
+    scientificName: { type: 'string' },
+    commonName: FIELD_VALUE,
+    taxonRank: FIELD_VALUE,
+    family: FIELD_VALUE,
+    order: FIELD_VALUE,
+    iucnCategory: FIELD_VALUE,
+    extinct: { type: 'boolean' },
+  },
+  required: ['scientificName'],
+};
+
+const LOOKUP_OUTPUT_SCHEMA = {
+  type: 'object',
+  properties: {
+    requested: { type: 'number' },
+    found: { type: 'number' },
+    ambiguous: { type: 'number' },
+    notFound: { type: 'number' },
+    errors: { type: 'number' },
+    results: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          input: { type: 'string' },
+          status: { type: 'string', enum: ['found', 'ambiguous', 'not_found', 'error'] },
+          match: { anyOf: [LOOKUP_MATCH_SCHEMA, { type: 'null' }] },
+          resolution: RESOLUTION_SCHEMA,
+          candidates: { type: 'array', items: LOOKUP_MATCH_SCHEMA },
+          suggestions: { type: 'array', items: NAME_MATCH_SCHEMA },
+          error: { type: ['string', 'null'] },
+          fuzzySkipped: { type: 'boolean' },
+        },
+        required: ['input', 'status', 'match'],
+      },
+    },
+    fuzzySkipped: { type: 'number' },
+  },
+  required: ['requested', 'found', 'ambiguous', 'notFound', 'results'],
+};
+
+const EXPORT_OUTPUT_SCHEMA = {
+  type: 'object',
+  properties: {
+    source: { type: 'string' },
+    fileFormat: { type: 'string' },
+    destination: { type: 'string', enum: ['resource', 'file'] },
+    filename: { type: 'string' },
+    records: { type: 'number' },
+    totalItems: { type: 'number' },
+    truncated: { type: 'boolean' },
+    columns: { type: 'array', items: { type: 'string' } },
+    mimeType: { type: 'string' },
+    bytes: { type: 'number' },
+    uri: { type: ['string', 'null'] },
+    path: { type: ['string', 'null'] },
+  },
+  required: ['source', 'fileFormat', 'destination', 'records', 'totalItems', 'truncated'],
+};
+
+const TAXON_NODE_SCHEMA = {
+  type: 'object',
+  properties: {
+    rank: { type: 'string', enum: TAXONOMY_RANKS },
+    name: { type: 'string' },
+    englishName: FIELD_VALUE,
+    iucnCategory: FIELD_VALUE,
+    extinct: { type: 'boolean' },
+    counts: { type: 'object', additionalProperties: { type: 'number' } },
+    children: { type: 'array', items: { type: 'object' } },
+  },
+  required: ['rank', 'name'],
+};
+
+const TAXONOMY_TREE_OUTPUT_SCHEMA = {
+  type: 'object',
+  properties: {
+    rank: { type: 'string' },
+    name: { type: 'string' },
+    direction: { type: 'string', enum: ['down', 'up'] },
+    depth: { type: ['number', 'null'] },
+    recordsRead: { type: ['number', 'null'] },
+    truncated: { type: 'boolean' },
+    tree: { anyOf: [TAXON_NODE_SCHEMA, { type: 'null' }] },
+    lineage: { type: ['array', 'null'], items: TAXON_NODE_SCHEMA },
+  },
+  required: ['rank', 'name', 'direction', 'tree', 'lineage'],
+};
+
+const ANCESTRY_SCHEMA = {
+  type: ['object', 'null'],
+  properties: {
+    level: { type: 'string', enum: ['genus', 'family', 'order'] },
+    name: { type: 'string' },
+  },
+};
+
+const COMPARE_OUTPUT_SCHEMA = {
+  type: 'object',
+  properties: {
+    species: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          scientificName: { type: 'string' },
+          taxonRank: FIELD_VALUE,
+          order: FIELD_VALUE,
+          family: FIELD_VALUE,
+          familyEnglishName: FIELD_VALUE,
+          genus: { type: 'string' },
+          iucnCategory: FIELD_VALUE,
+          conservationStatus: FIELD_VALUE,
+          extinct: { type: 'boolean' },
+          extinctionStatus: FIELD_VALUE,
+          authority: FIELD_VALUE,
+          authorityName: FIELD_VALUE,
+          year: { type: ['number', 'null'] },
+          originalGenus: { type: 'boolean' },
+          names: { type: 'object', additionalProperties: FIELD_VALUE },
+          range: FIELD_VALUE,
+          rangeKeywords: { type: 'array', items: { type: 'string' } },
+        },
+        required: ['scientificName'],
+      },
+    },
+    sharedAncestry: ANCESTRY_SCHEMA,
+    pairs: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          a: { type: 'string' },
+          b: { type: 'string' },
+          sharedAncestry: ANCESTRY_SCHEMA,
+        },
+      },
+    },
+    sharedRangeKeywords: { type: 'array', items: { type: 'string' } },
+    resolutions: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          input: { type: 'string' },
+          resolution: RESOLUTION_SCHEMA,
+        },
+        required: ['input', 'resolution'],
+      },
+    },
+  },
+  required: ['species', 'sharedAncestry', 'pairs', 'sharedRangeKeywords'],
+};
+
+const RECONCILE_OUTPUT_SCHEMA = {
+  type: 'object',
+  properties: {
+    query: { type: 'object' },
+    matchedOn: { type: ['string', 'null'] },
+    resolution: RESOLUTION_SCHEMA,
+    matches: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          scientificName: { type: 'string' },
+          taxonRank: FIELD_VALUE,
+          family: FIELD_VALUE,
+          avibaseId: FIELD_VALUE,
+          speciesCode: FIELD_VALUE,
+          names: { type: 'object', additionalProperties: FIELD_VALUE },
+          nameAgreement: { type: 'object', additionalProperties: { type: 'string' } },
+          issues: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: {
+                type: { type: 'string', enum: ['different_name', 'split', 'lump', 'not_recognized'] },
+                checklist: { type: 'string' },
+                message: { type: 'string' },
+                taxa: { type: 'array', items: { type: 'string' } },
+              },
+              required: ['type', 'checklist', 'message'],
+            },
+          },
+        },
+        required: ['scientificName', 'names', 'issues'],
+      },
+    },
+  },
+  required: ['query', 'matchedOn', 'matches'],
+};
+
+const AGGREGATE_OUTPUT_SCHEMA = {
+  type: 'object',
+  properties: {
+    groupBy: { type: 'array', items: { type: 'string' } },
+    filters: { type: 'object' },
+    metrics: { type: 'array', items: { type: 'string' } },
+    speciesOnly: { type: 'boolean' },
+    sortBy: { type: 'string' },
+    totalRecords: { type: 'number' },
+    totalGroups: { type: 'number' },
+    truncated: { type: 'boolean' },
+    rows: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          group: { type: 'object', additionalProperties: { type: 'string' } },
+          count: { type: 'number' },
+          threatened: { type: 'number' },
+          shareThreatened: { type: 'number' },
+          extinct: { type: 'number' },
+          shareExtinct: { type: 'number' },
+        },
+        required: ['group', 'count'],
+      },
+    },
+  },
+  required: ['groupBy', 'metrics', 'totalRecords', 'totalGroups', 'rows'],
+};
+
+const CONSERVATION_SPECIES_SCHEMA = {
+  type: 'object',
+  properties: {
+    scientificName: { type: 'string' },
+    englishName: { type: ['string', 'null'] },
+    family: { type: ['string', 'null'] },
+    order: { type: ['string', 'null'] },
+    category: { type: 'string' },
+    status: { type: 'string' },
+  },
+  required: ['scientificName', 'category'],
+};
+
+const REGION_CONSERVATION_OUTPUT_SCHEMA = {
+  type: 'object',
+  properties: {
+    region: { type: 'string' },
+    resolvedRegion: { type: ['object', 'null'] },
+    family: { type: ['string', 'null'] },
+    order: { type: ['string', 'null'] },
+    endemicOnly: { type: 'boolean' },
+    totalSpecies: { type: 'number' },
+    iucnCounts: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          category: { type: 'string' },
+          name: { type: 'string' },
+          count: { type: 'number' },
+          share: { type: 'number' },
+        },
+        required: ['category', 'count'],
+      },
+    },
+    threatened: {
+      type: 'object',
+      properties: {
+        total: { type: 'number' },
+        share: { type: 'number' },
+        species: { type: 'array', items: CONSERVATION_SPECIES_SCHEMA },
+      },
+      required: ['total', 'species'],
+    },
+    extinct: {
+      type: 'object',
+      properties: {
+        total: { type: 'number' },
+        species: { type: 'array', items: CONSERVATION_SPECIES_SCHEMA },
+      },
+      required: ['total', 'species'],
+    },
+    families: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          family: { type: 'string' },
+          familyEnglishName: { type: ['string', 'null'] },
+          order: { type: ['string', 'null'] },
+          species: { type: 'number' },
+          threatened: { type: 'number' },
+          shareThreatened: { type: 'number' },
+        },
+        required: ['family', 'species', 'threatened', 'shareThreatened'],
+      },
+    },
+    truncated: { type: 'boolean' },
+  },
+  required: ['region', 'totalSpecies', 'iucnCounts', 'threatened', 'extinct', 'families'],
+};
+
+const SAVED_QUERY_SCHEMA = {
+  type: 'object',
+  properties: {
+    name: { type: 'string' },
+    description: { type: 'string' },
+    kind: { type: 'string', enum: SAVED_QUERY_KINDS },
+    filters: { type: 'object' },
+    query: { type: 'string' },
+    parameters: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          name: { type: 'string' },
+          description: { type: ['string', 'null'] },
+          default: {},
+        },
+        required: ['name'],
+      },
+    },
+    createdAt: { type: 'string' },
+    updatedAt: { type: 'string' },
+  },
+  required: ['name', 'description', 'kind', 'parameters'],
+};
+
+const SAVE_QUERY_OUTPUT_SCHEMA = {
+  type: 'object',
+  properties: {
+    saved: SAVED_QUERY_SCHEMA,
+    created: { type: 'boolean' },
+    file: { type: 'string' },
+  },
+  required: ['saved', 'created', 'file'],
+};
+
+const LIST_SAVED_QUERIES_OUTPUT_SCHEMA = {
+  type: 'object',
+  properties: {
+    file: { type: 'string' },
+    queries: { type: 'array', items: SAVED_QUERY_SCHEMA },
+  },
+  required: ['file', 'queries'],
+};
+
+const RUN_SAVED_QUERY_OUTPUT_SCHEMA = {
+  type: 'object',
+  properties: {
+    name: { type: 'string' },
+    kind: { type: 'string' },
+    params: { type: 'object' },
+    filters: { type: 'object' },
+    query: { type: 'string' },
+    result: { type: 'object' },
+  },
+  required: ['name', 'kind', 'params', 'result'],
+};
+
+const DELETE_SAVED_QUERY_OUTPUT_SCHEMA = {
+  type: 'object',
+  properties: {
+    deleted: SAVED_QUERY_SCHEMA,
+    file: { type: 'string' },
+  },
+  required: ['deleted', 'file'],
+};
+
+const LATENCY_SCHEMA = {
+  type: 'object',
+  properties: {
+    p50: { type: ['number', 'null'] },
+    p90: { type: ['number', 'null'] },
+    p99: { type: ['number', 'null'] },
+    max: { type: ['number', 'null'] },
+  },
+  required: ['p50', 'p90', 'p99', 'max'],
+};
+
+const DIAGNOSTICS_OUTPUT_SCHEMA = {
+  type: 'object',
+  properties: {
+    startedAt: { type: 'string' },
+    uptimeMs: { type: 'number' },
+    since: { type: 'string' },
+    reset: { type: 'boolean' },
+    totals: {
+      type: 'object',
+      properties: {
+        calls: { type: 'number' },
+        errors: { type: 'number' },
+        errorRate: { type: 'number' },
+      },
+      required: ['calls', 'errors', 'errorRate'],
+    },
+    tools: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          tool: { type: 'string' },
+          calls: { type: 'number' },
+          errors: { type: 'number' },
+          errorRate: { type: 'number' },
+          errorCodes: { type: 'object', additionalProperties: { type: 'number' } },
+          cacheHits: { type: 'number' },
+          cacheMisses: { type: 'number' },
+          latencyMs: LATENCY_SCHEMA,
+        },
+        required: ['tool', 'calls', 'errors', 'errorRate', 'latencyMs'],
+      },
+    },
+    upstream: {
+      type: 'object',
+      properties: {
+        requests: { type: 'number' },
+        failures: { type: 'number' },
+        failureRate: { type: 'number' },
+        retries: { type: 'number' },
+        statuses: { type: 'object', additionalProperties: { type: 'number' } },
+        latencyMs: LATENCY_SCHEMA,
+        lastSuccessAt: { type: ['string', 'null'] },
+        lastFailureAt: { type: ['string', 'null'] },
+        lastError: { type: ['object', 'null'] },
+        endpoints: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: {
+              endpoint: { type: 'string' },
+              requests: { type: 'number' },
+              failures: { type: 'number' },
+              latencyMs: LATENCY_SCHEMA,
+            },
+            required: ['endpoint', 'requests', 'failures'],
+          },
+        },
+      },
+      required: ['requests', 'failures', 'failureRate', 'endpoints'],
+    },
+    provider: {
+      type: 'object',
+      properties: {
+        provider: { type: 'string' },
+        source: { type: ['string', 'null'] },
+        records: { type: ['number', 'null'] },
+        circuit: { type: ['object', 'null'] },
+      },
+      required: ['provider'],
+    },
+    cache: { type: ['object', 'null'] },
+    logging: {
+      type: 'object',
+      properties: {
+        level: { type: 'string' },
+        clientLevel: { type: 'string' },
+      },
+    },
+  },
+  required: ['startedAt', 'uptimeMs', 'totals', 'tools', 'upstream', 'provider'],
+};
+
+const DATASET_VERSION_SCHEMA = {
+  type: 'object',
+  properties: {
+    source: { type: ['string', 'null'] },
+    version: { type: ['string', 'null'] },
+    hash: { type: ['string', 'null'] },
+    shortHash: { type: ['string', 'null'] },
+    records: { type: 'number' },
+    species: { type: 'number' },
+    checklists: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          checklist: { type: 'string' },
+          version: { type: 'string' },
+          field: { type: 'string' },
+        },
+        required: ['checklist', 'version', 'field'],
+      },
+    },
+    truncated: { type: 'boolean' },
+  },
+  required: ['version', 'hash', 'shortHash', 'records', 'species', 'checklists', 'truncated'],
+};
+
+const SNAPSHOT_SCHEMA = {
+  type: 'object',
+  properties: {
+    name: { type: 'string' },
+    version: { type: ['string', 'null'] },
+    bytes: { type: 'number' },
+    modifiedAt: { type: 'string' },
+  },
+  required: ['name', 'version', 'bytes', 'modifiedAt'],
+};
+
+const DATASET_VERSION_OUTPUT_SCHEMA = {
+  type: 'object',
+  properties: {
+    ...DATASET_VERSION_SCHEMA.properties,
+    provider: { type: 'string' },
+    computedAt: { type: 'string' },
+    citation: { type: 'string' },
+    savedSnapshot: {
+      type: ['object', 'null'],
+      properties: {
+        name: { type: 'string' },
+        file: { type: 'string' },
+      },
+    },
+    snapshotDir: { type: 'string' },
+    snapshots: { type: 'array', items: SNAPSHOT_SCHEMA },
+  },
+  required: [...DATASET_VERSION_SCHEMA.required, 'provider', 'computedAt', 'citation', 'savedSnapshot', 'snapshots'],
+};
+
+const TAXON_CHANGE_SCHEMA = {
+  type: 'object',
+  properties: {
+    scientificName: { type: 'string' },
+    commonName: { type: ['string', 'null'] },
+    taxonRank: { type: ['string', 'null'] },
+    family: { type: ['string', 'null'] },
+    iucnCategory: { type: ['string', 'null'] },
+  },
+  required: ['scientificName'],
+};
+
+const DATASET_DIFF_OUTPUT_SCHEMA = {
+  type: 'object',
+  properties: {
+    from: DATASET_VERSION_SCHEMA,
+    to: DATASET_VERSION_SCHEMA,
+    identical: { type: 'boolean' },
+    speciesOnly: { type: 'boolean' },
+    summary: {
+      type: 'object',
+      properties: {
+        added: { type: 'number' },
+        removed: { type: 'number' },
+        iucnChanges: { type: 'number' },
+        uplisted: { type: 'number' },
+        downlisted: { type: 'number' },
+        renamed: { type: 'number' },
+        familyChanges: { type: 'number' },
+      },
+      required: ['added', 'removed', 'iucnChanges', 'uplisted', 'downlisted', 'renamed', 'familyChanges'],
+    },
+    added: { type: 'array', items: TAXON_CHANGE_SCHEMA },
+    removed: { type: 'array', items: TAXON_CHANGE_SCHEMA },
+    iucnChanges: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          scientificName: { type: 'string' },
+          commonName: { type: ['string', 'null'] },
+          from: { type: ['string', 'null'] },
+          to: { type: ['string', 'null'] },
+          direction: { type: 'string', enum: IUCN_CHANGE_DIRECTIONS },
+        },
+        required: ['scientificName', 'from', 'to', 'direction'],
+      },
+    },
+    renamed: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          scientificName: { type: 'string' },
+          checklist: { type: 'string', enum: Object.keys(CHECKLISTS) },
+          from: { type: 'string' },
+          to: { type: 'string' },
+        },
+        required: ['scientificName', 'checklist', 'from', 'to'],
+      },
+    },
+    familyChanges: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          scientificName: { type: 'string' },
+          commonName: { type: ['string', 'null'] },
+          from: { type: ['string', 'null'] },
+          to: { type: ['string', 'null'] },
+          fromOrder: { type: ['string', 'null'] },
+          toOrder: { type: ['string', 'null'] },
+        },
+        required: ['scientificName', 'from', 'to'],
+      },
+    },
+    truncated: { type: 'boolean' },
+  },
+  required: ['from', 'to', 'identical', 'summary', 'added', 'removed', 'iucnChanges', 'renamed', 'familyChanges', 'truncated'],
+};
+
+export const TOOL_DEFINITIONS = [
+  {
+    name: 'get_bird_stats',
+    description: 'Get comprehensive statistics about the bird dataset including total records, species count, families, orders, and conservation categories.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        format: OUTPUT_FORMAT_PROPERTY,
+      },
+      required: [],
+      additionalProperties: false,
+    },
+    outputSchema: STATS_OUTPUT_SCHEMA,
+  },
+  {
+    name: 'search_birds',
+    description: 'Search for birds by scientific or common name. Names with no match are resolved by spelling, sound and Latin ending, and the closest names are returned with their match scores.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        query: {
+          type: 'string',
+          description: 'Search term (bird name to search for)',
+          minLength: 1,
+        },
+        exact: {
+          type: 'boolean',
+          description: 'Whether to use exact matching (default: false for fuzzy search)',
+          default: false,
+        },
+        fuzzy: FUZZY_PROPERTY,
+        limit: pageLimit(20),
+        ...PAGINATION_PROPERTIES,
+        format: OUTPUT_FORMAT_PROPERTY,
+      },
+      required: ['query'],
+      additionalProperties: false,
+    },
+    outputSchema: birdListOutputSchema({
+      query: { type: 'string' },
+      exact: { type: 'boolean' },
+      fuzzy: { type: 'boolean' },
+      fuzzyMatches: { type: 'array', items: NAME_MATCH_SCHEMA },
+    }),
+  },
+  {
+    name: 'get_birds_by_taxonomy',
+    description: 'Get birds filtered by taxonomic classification (Order, Family, or taxonomic rank).',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        level: {
+          type: 'string',
+          description: 'Taxonomic level to filter by',
+          enum: ['Order', 'Family', 'Taxon_rank'],
+        },
+        value: {
+          type: 'string',
+          description: 'Value to filter by (e.g., "Strigiformes" for owls, "Accipitridae" for hawks)',
+          minLength: 1,
+        },
+        limit: pageLimit(50),
+        ...PAGINATION_PROPERTIES,
+        format: OUTPUT_FORMAT_PROPERTY,
+      },
+      required: ['level', 'value'],
+      additionalProperties: false,
+    },
+    outputSchema: birdListOutputSchema({
+      level: { type: 'string' },
+      value: { type: 'string' },
+      speciesCount: { type: 'number' },
+    }),
+  },
+  {
+    name: 'get_conservation_status',
+    description: 'Get birds by IUCN Red List conservation status (CR=Critically Endangered, EN=Endangered, VU=Vulnerable, EX=Extinct, etc.).',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        category: {
+          type: 'string',
+          description: 'IUCN Red List category',
+          enum: ['CR', 'EN', 'VU', 'NT', 'LC', 'DD', 'EX', 'EW'],
+        },
+        limit: pageLimit(50),
+        ...PAGINATION_PROPERTIES,
+        format: OUTPUT_FORMAT_PROPERTY,
+      },
+      required: ['category'],
+      additionalProperties: false,
+    },
+    outputSchema: birdListOutputSchema({
+      category: { type: 'string' },
+      categoryName: { type: 'string' },
+    }),
+  },
+  {
+    name: 'get_birds_by_region',
+    description: 'Find birds by geographic region or range (e.g., Madagascar, Australia, Africa, Neotropics). Known regions are expanded through a gazetteer of realms, continents, countries and islands with their synonyms, so "Africa" also finds ranges that only name Cameroon or Madagascar; each record reports which place name matched.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        region: {
+          type: 'string',
+          description: 'Geographic region to search for in bird ranges: a realm, continent, country, island or archipelago, by name or synonym (e.g. "Palearctic", "Borneo", "Celebes", "Canary Is")',
+          minLength: 1,
+        },
+        endemic_only: {
+          type: 'boolean',
+          description: 'Only return species whose whole range lies within the region (default: false). Needs a region the gazetteer knows.',
+          default: false,
+        },
+        include_broader: {
+          type: 'boolean',
+          description: 'Also match ranges that only name a place directly containing the region, e.g. "E Africa" for Kenya (default: false)',
+          default: false,
+        },
+        limit: pageLimit(50),
+        ...PAGINATION_PROPERTIES,
+        format: OUTPUT_FORMAT_PROPERTY,
+      },
+      required: ['region'],
+      additionalProperties: false,
+    },
+    outputSchema: birdListOutputSchema({
+      region: { type: 'string' },
+      resolvedRegion: {
+        type: ['object', 'null'],
+        properties: {
+          id: { type: 'string' },
+          name: { type: 'string' },
+          type: { type: 'string' },
+          parents: { type: 'array', items: { type: 'string' } },
+          terms: { type: 'number' },
+        },
+      },
+      endemicOnly: { type: 'boolean' },
+      includeBroader: { type: 'boolean' },
+      matches: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            scientificName: { type: 'string' },
+            matchedTerm: { type: 'string' },
+            matchedRegion: { type: ['string', 'null'] },
+            matchType: { type: 'string', enum: MATCH_TYPES },
+            endemic: { type: ['boolean', 'null'] },
+          },
+        },
+      },
+      truncated: { type: 'boolean' },
+    }),
+  },
+  {
+    name: 'get_extinct_species',
+    description: 'Get all extinct or possibly extinct bird species.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        limit: pageLimit(100),
+        ...PAGINATION_PROPERTIES,
+        format: OUTPUT_FORMAT_PROPERTY,
+      },
+      required: [],
+      additionalProperties: false,
+    },
+    outputSchema: birdListOutputSchema(),
+  },
+  {
+    name: 'get_birds_by_authority',
+    description: 'Find birds described by a specific taxonomic authority (e.g., Linnaeus, Darwin, etc.).',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        authority: {
+          type: 'string',
+          description: 'Name of the taxonomic authority',
+          minLength: 1,
+        },
+        limit: pageLimit(50),
+        ...PAGINATION_PROPERTIES,
+        format: OUTPUT_FORMAT_PROPERTY,
+      },
+      required: ['authority'],
+      additionalProperties: false,
+    },
+    outputSchema: birdListOutputSchema({
+      authority: { type: 'string' },
+    }),
+  },
+  {
+    name: 'get_random_birds',
+    description: 'Get a random sample of birds for exploration and discovery.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        count: {
+          type: 'integer',
+          description: 'Number of random birds to return (default: 10, max: 50)',
+          default: 10,
+          minimum: 1,
+          maximum: 50,
+        },
+        format: OUTPUT_FORMAT_PROPERTY,
+      },
+      required: [],
+      additionalProperties: false,
+    },
+    outputSchema: birdListOutputSchema(),
+  },
+  {
+    name: 'get_bird_report',
+    description: 'Get a detailed report for a specific bird species including related species and comprehensive information.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        scientific_name: {
+          type: 'string',
+          description: 'Scientific name of the bird species (e.g., "Aquila chrysaetos"); an English name also works',
+          minLength: 1,
+        },
+        fuzzy: FUZZY_PROPERTY,
+        format: OUTPUT_FORMAT_PROPERTY,
+      },
+      required: ['scientific_name'],
+      additionalProperties: false,
+    },
+    outputSchema: BIRD_REPORT_OUTPUT_SCHEMA,
+  },
+  {
+    name: 'custom_bird_query',
+    description: 'Perform complex queries with multiple filters for advanced bird data analysis: exact field values, range keywords, authority and year of description, extinct flag, genus prefix, name patterns and NOT/OR groups, with sorting by name, year or family.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        filters: FILTERS_SCHEMA,
+        sort_by: {
+          type: 'string',
+          description: 'Order of the results: taxonomic sequence, scientific name, year of description or family (default: taxonomy)',
+          enum: FILTER_SORTS,
+          default: 'taxonomy',
+        },
+        sort_order: {
+          type: 'string',
+          description: 'Sort direction (default: asc)',
+          enum: SORT_ORDERS,
+          default: 'asc',
+        },
+        limit: pageLimit(50),
+        ...PAGINATION_PROPERTIES,
+        format: OUTPUT_FORMAT_PROPERTY,
+      },
+      required: ['filters'],
+      additionalProperties: false,
+    },
+    outputSchema: birdListOutputSchema({
+      filters: { type: 'object' },
+      description: { type: 'string' },
+      sortBy: { type: 'string' },
+      sortOrder: { type: 'string' },
+    }),
+  },
+  {
+    name: 'execute_jsonata_query',
+    description: 'Execute a raw JSONata query for advanced data analysis and transformation. JSONata is a powerful query language for JSON data. Queries are validated first; set dry_run to check and explain a query without running it.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        query: {
+          type: 'string',
+          description: 'JSONata query expression (e.g., "$count($[Taxon_rank = \\"species\\"])" to count species)',
+          minLength: 1,
+        },
+        limit: pageLimit(50, 'Maximum number of results to return per page for array results'),
+        dry_run: {
+          type: 'boolean',
+          description: 'Validate the query and explain what it does without running it (default: false)',
+          default: false,
+        },
+        ...PAGINATION_PROPERTIES,
+        format: OUTPUT_FORMAT_PROPERTY,
+      },
+      required: ['query'],
+      additionalProperties: false,
+    },
+    outputSchema: JSONATA_OUTPUT_SCHEMA,
+  },
+  {
+    name: 'manage_cache',
+    description: 'Inspect response cache hit/miss statistics or clear cached API responses.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        action: {
+          type: 'string',
+          description: 'Whether to report statistics or clear the cache (default: stats)',
+          enum: ['stats', 'clear'],
+          default: 'stats',
+        },
+        tool: {
+          type: 'string',
+          description: 'Only clear cached responses for this tool (default: all tools)',
+        },
+        format: OUTPUT_FORMAT_PROPERTY,
+      },
+      required: [],
+      additionalProperties: false,
+    },
+    outputSchema: CACHE_OUTPUT_SCHEMA,
+  },
+  {
+    name: 'lookup_birds',
+    description: 'Look up a list of scientific or common names in one call (e.g. a checklist). Returns family, order and IUCN category for each name, corrects misspelled names and reports how they were matched, and flags names that are ambiguous or not found with "did you mean" suggestions.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        names: {
+          type: 'array',
+          description: `Scientific or common names to look up (up to ${MAX_LOOKUP_NAMES})`,
+          items: { type: 'string', minLength: 1 },
+          minItems: 1,
+          maxItems: MAX_LOOKUP_NAMES,
+        },
+        fuzzy: FUZZY_PROPERTY,
+        format: OUTPUT_FORMAT_PROPERTY,
+      },
+      required: ['names'],
+      additionalProperties: false,
+    },
+    outputSchema: LOOKUP_OUTPUT_SCHEMA,
+  },
+  {
+    name: 'export_birds',
+    description: 'Export every record matched by custom_bird_query, get_birds_by_region or get_birds_by_taxonomy as CSV, TSV, JSON Lines or Darwin Core taxon records. Returned as an embedded resource or written to the server\'s export directory.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        source: {
+          type: 'string',
+          description: 'List tool whose query to export',
+          enum: Object.keys(EXPORT_SOURCES),
+        },
+        arguments: {
+          type: 'object',
+          description: 'Arguments for the source tool, e.g. {"region": "Madagascar"} or {"level": "Family", "value": "Strigidae"}. Pagination arguments are ignored; all pages are exported.',
+        },
+        file_format: {
+          type: 'string',
+          description: 'Export format: csv, tsv, jsonl, or dwc for Darwin Core taxon records as CSV (default: csv)',
+          enum: EXPORT_FORMATS,
+          default: 'csv',
+        },
+        destination: {
+          type: 'string',
+          description: 'Return the export as an embedded resource, or write it to the configured export directory (default: resource)',
+          enum: ['resource', 'file'],
+          default: 'resource',
+        },
+        filename: {
+          type: 'string',
+          description: 'File name for the export (default: generated from the source and time)',
+        },
+        max_records: {
+          type: 'integer',
+          description: 'Maximum number of records to export (default and upper bound: the server\'s export.maxRecords)',
+          minimum: 1,
+        },
+        format: OUTPUT_FORMAT_PROPERTY,
+      },
+      required: ['source', 'arguments'],
+      additionalProperties: false,
+    },
+    outputSchema: EXPORT_OUTPUT_SCHEMA,
+  },
+  {
+    name: 'get_taxonomy_tree',
+    description: 'Navigate the taxonomic hierarchy (order → family → genus → species → subspecies). Returns the nested tree below a taxon with counts at each level, or the full lineage above it.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        rank: {
+          type: 'string',
+          description: 'Rank of the starting taxon',
+          enum: TAXONOMY_RANKS,
+        },
+        name: {
+          type: 'string',
+          description: 'Name of the starting taxon, e.g. "Strigiformes", "Strigidae", "Bubo" or "Bubo bubo"',
+          minLength: 1,
+        },
+        direction: {
+          type: 'string',
+          description: 'Walk down to the taxa below, or up to the lineage above (default: down)',
+          enum: ['down', 'up'],
+          default: 'down',
+        },
+        depth: {
+          type: 'integer',
+          description: 'How many ranks below the starting taxon to expand when walking down (default: 2)',
+          default: 2,
+          minimum: 1,
+          maximum: 4,
+        },
+        format: OUTPUT_FORMAT_PROPERTY,
+      },
+      required: ['rank', 'name'],
+      additionalProperties: false,
+    },
+    outputSchema: TAXONOMY_TREE_OUTPUT_SCHEMA,
+  },
+  {
+    name: 'compare_birds',
+    description: 'Compare 2–10 species side by side: taxonomy and shared ancestry, IUCN category, extinction status, authority and year, English names across checklists, and overlapping range regions.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        scientific_names: {
+          type: 'array',
+          description: `Scientific names of the species to compare (${MIN_COMPARE_SPECIES}–${MAX_COMPARE_SPECIES})`,
+          items: { type: 'string', minLength: 1 },
+          minItems: MIN_COMPARE_SPECIES,
+          maxItems: MAX_COMPARE_SPECIES,
+        },
+        fuzzy: FUZZY_PROPERTY,
+        format: OUTPUT_FORMAT_PROPERTY,
+      },
+      required: ['scientific_names'],
+      additionalProperties: false,
+    },
+    outputSchema: COMPARE_OUTPUT_SCHEMA,
+  },
+  {
+    name: 'reconcile_name',
+    description: 'Map a name from the AviList, Clements (eBird) or BirdLife checklist, a Cornell species code or an AvibaseID to the AviList record, and report where the checklists disagree: splits, lumps and differing English names.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        name: {
+          type: 'string',
+          description: 'Scientific or English name from any of the checklists, e.g. "Eurasian Eagle-owl"',
+        },
+        species_code: {
+          type: 'string',
+          description: 'Cornell Lab / eBird species code, e.g. "eueowl1"',
+        },
+        avibase_id: {
+          type: 'string',
+          description: 'AvibaseID of the taxon',
+        },
+        checklist: {
+          type: 'string',
+          description: 'Checklist the English name comes from (default: any)',
+          enum: ['any', ...Object.keys(CHECKLISTS)],
+          default: 'any',
+        },
+        fuzzy: FUZZY_PROPERTY,
+        format: OUTPUT_FORMAT_PROPERTY,
+      },
+      required: [],
+      additionalProperties: false,
+    },
+    outputSchema: RECONCILE_OUTPUT_SCHEMA,
+  },
+  {
+    name: 'aggregate_birds',
+    description: 'Grouped breakdowns of the dataset without writing JSONata: counts, share threatened (CR/EN/VU) and share extinct per group, e.g. IUCN categories per family or descriptions per decade.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        group_by: {
+          type: 'array',
+          description: `Fields to group by (1–${MAX_GROUP_BY_FIELDS}): any record field such as "Order", "Family" or "IUCN_Red_List_Category", or a derived field: ${Object.keys(DERIVED_FIELDS).join(', ')}`,
+          items: { type: 'string', minLength: 1 },
+          minItems: 1,
+          maxItems: MAX_GROUP_BY_FIELDS,
+        },
+        filters: {
+          ...FILTERS_SCHEMA,
+          description: 'Only aggregate records matching these filters (same as custom_bird_query filters)',
+        },
+        metrics: {
+          type: 'array',
+          description: 'Metrics to compute per group (default: ["count"])',
+          items: { type: 'string', enum: AGGREGATE_METRICS },
+          default: ['count'],
+        },
+        species_only: {
+          type: 'boolean',
+          description: 'Only count records with Taxon_rank "species" unless filters set Taxon_rank (default: true)',
+          default: true,
+        },
+        sort_by: {
+          type: 'string',
+          description: 'Order of the groups (default: count, largest first)',
+          enum: AGGREGATE_SORTS,
+          default: 'count',
+        },
+        limit: {
+          type: 'integer',
+          description: 'Maximum number of groups to return (default: 50)',
+          default: 50,
+          minimum: 1,
+          maximum: 1000,
+        },
+        format: OUTPUT_FORMAT_PROPERTY,
+      },
+      required: ['group_by'],
+      additionalProperties: false,
+    },
+    outputSchema: AGGREGATE_OUTPUT_SCHEMA,
+  },
+  {
+    name: 'save_query',
+    description: 'Save a custom_bird_query filter set or a JSONata expression under a name so it can be rerun later, e.g. "Madagascar endemics that are EN or CR". Put {{param}} placeholders in values to fill them in at run time.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        name: {
+          type: 'string',
+          description: 'Name to save the query under (letters, digits, "-" and "_")',
+        },
+        description: {
+          type: 'string',
+          description: 'What the query finds',
+        },
+        kind: {
+          type: 'string',
+          description: 'Whether the query is a custom_bird_query filter set or a JSONata expression',
+          enum: SAVED_QUERY_KINDS,
+        },
+        filters: {
+          type: 'object',
+          description: 'custom_bird_query filters (kind "filters"), e.g. {"Family": "{{family}}", "IUCN_Red_List_Category": ["EN", "CR"]}',
+        },
+        query: {
+          type: 'string',
+          description: 'JSONata expression (kind "jsonata"); each {{param}} is replaced by the argument as a JSON literal, e.g. $[$contains(Range, {{region}})]',
+        },
+        parameters: {
+          type: 'array',
+          description: 'Descriptions and defaults for the placeholders; undeclared placeholders become required parameters',
+          items: {
+            type: 'object',
+            properties: {
+              name: { type: 'string' },
+              description: { type: 'string' },
+              default: {},
+            },
+            required: ['name'],
+          },
+        },
+        overwrite: {
+          type: 'boolean',
+          description: 'Replace a saved query with the same name (default: false)',
+          default: false,
+        },
+        format: OUTPUT_FORMAT_PROPERTY,
+      },
+      required: ['name', 'description', 'kind'],
+      additionalProperties: false,
+    },
+    outputSchema: SAVE_QUERY_OUTPUT_SCHEMA,
+  },
+  {
+    name: 'list_saved_queries',
+    description: 'List the saved queries with their descriptions and parameters.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        format: OUTPUT_FORMAT_PROPERTY,
+      },
+      required: [],
+      additionalProperties: false,
+    },
+    outputSchema: LIST_SAVED_QUERIES_OUTPUT_SCHEMA,
+  },
+  {
+    name: 'run_saved_query',
+    description: 'Run a saved query by name, filling in its parameters. Results are paginated like custom_bird_query and execute_jsonata_query.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        name: {
+          type: 'string',
+          description: 'Name of the saved query',
+          minLength: 1,
+        },
+        params: {
+          type: 'object',
+          description: 'Values for the query\'s parameters, e.g. {"region": "Madagascar"}',
+        },
+        limit: pageLimit(50),
+        ...PAGINATION_PROPERTIES,
+        format: OUTPUT_FORMAT_PROPERTY,
+      },
+      required: ['name'],
+      additionalProperties: false,
+    },
+    outputSchema: RUN_SAVED_QUERY_OUTPUT_SCHEMA,
+  },
+  {
+    name: 'delete_saved_query',
+    description: 'Delete a saved query.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        name: {
+          type: 'string',
+          description: 'Name of the saved query',
+          minLength: 1,
+        },
+        format: OUTPUT_FORMAT_PROPERTY,
+      },
+      required: ['name'],
+      additionalProperties: false,
+    },
+    outputSchema: DELETE_SAVED_QUERY_OUTPUT_SCHEMA,
+  },
+  {
+    name: 'get_region_conservation_summary',
+    description: 'Conservation dashboard for a region, optionally limited to one family or order: species counts per IUCN category, the Critically Endangered, Endangered and Vulnerable species, extinct and possibly extinct species, and the families with the highest share of threatened species. Regions are resolved through the same gazetteer as get_birds_by_region.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        region: {
+          type: 'string',
+          description: 'Realm, continent, country, island or archipelago, e.g. "Madagascar" or "Neotropics"',
+          minLength: 1,
+        },
+        family: {
+          type: 'string',
+          description: 'Only count species of this family, e.g. "Psittacidae"',
+        },
+        order: {
+          type: 'string',
+          description: 'Only count species of this order, e.g. "Passeriformes"',
+        },
+        endemic_only: {
+          type: 'boolean',
+          description: 'Only count species whose whole range lies within the region (default: false)',
+          default: false,
+        },
+        max_species: {
+          type: 'integer',
+          description: 'Maximum number of threatened and of extinct species to list (default: 100); counts always cover every species',
+          default: 100,
+          minimum: 0,
+        },
+        top_families: {
+          type: 'integer',
+          description: 'Number of families to rank by share of threatened species (default: 10)',
+          default: 10,
+          minimum: 0,
+        },
+        format: OUTPUT_FORMAT_PROPERTY,
+      },
+      required: ['region'],
+      additionalProperties: false,
+    },
+    outputSchema: REGION_CONSERVATION_OUTPUT_SCHEMA,
+  },
+  {
+    name: 'get_server_diagnostics',
+    description: 'Report server health and usage since start-up: calls, error rate and latency percentiles per tool, upstream API request counts, failures, status codes and circuit breaker state, and response cache statistics.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        reset: {
+          type: 'boolean',
+          description: 'Reset the counters after reporting them, to measure the next interval on its own (default: false)',
+          default: false,
+        },
+        format: OUTPUT_FORMAT_PROPERTY,
+      },
+      required: [],
+      additionalProperties: false,
+    },
+    outputSchema: DIAGNOSTICS_OUTPUT_SCHEMA,
+  },  {
+    name: 'get_dataset_version',
+    description: 'Identify the dataset the server is answering from: its AviList release, the versions of the Clements and BirdLife checklists it carries, record and species counts, and on request a SHA-256 content hash to cite in reports built on it. Can also save the dataset as a snapshot for diff_dataset_snapshots.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        include_hash: {
+          type: 'boolean',
+          description: 'Read every record and compute the content hash; slow on large datasets (default: false, always done when saving a snapshot)',
+          default: false,
+        },
+        save_snapshot: {
+          type: 'boolean',
+          description: 'Save the current dataset to the snapshot directory (default: false)',
+          default: false,
+        },
+        snapshot_name: {
+          type: 'string',
+          description: 'File name for the saved snapshot, ending in .jsonl (default: avilist-v<version>-<short hash>.jsonl)',
+          minLength: 1,
+        },
+        format: OUTPUT_FORMAT_PROPERTY,
+      },
+      required: [],
+      additionalProperties: false,
+    },
+    outputSchema: DATASET_VERSION_OUTPUT_SCHEMA,
+  },
+  {
+    name: 'diff_dataset_snapshots',
+    description: 'Compare two versions of the dataset: taxa added and removed, IUCN Red List category changes (uplisted or downlisted), renamed English names per checklist, and family reassignments. Each side is "current" (the dataset being served) or the file name of a snapshot listed by get_dataset_version.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        from: {
+          type: 'string',
+          description: 'Older side: a snapshot file name, e.g. "avilist-v2024-3f2a9c1b7d4e.jsonl", or "current"',
+          minLength: 1,
+        },
+        to: {
+          type: 'string',
+          description: 'Newer side: a snapshot file name or "current" (default: current)',
+          default: CURRENT_SNAPSHOT,
+          minLength: 1,
+        },
+        species_only: {
+          type: 'boolean',
+          description: 'Only compare species-rank taxa, leaving out subspecies and groups (default: false)',
+          default: false,
+        },
+        max_changes: {
+          type: 'integer',
+          description: 'Maximum entries to list per kind of change (default: 100); the summary always counts every change',
+          default: 100,
+          minimum: 0,
+          maximum: 5000,
+        },
+        format: OUTPUT_FORMAT_PROPERTY,
+      },
+      required: ['from'],
+      additionalProperties: false,
+    },
+    outputSchema: DATASET_DIFF_OUTPUT_SCHEMA,
+  },
+];
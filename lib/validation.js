@@ -0,0 +1,237 @@
+/**
+ * Argument Validation
+ *
+ * Checks tool arguments against the tool's declared `inputSchema` before a
+ * handler runs, so the schema clients see is the only definition of what a
+ * tool accepts. Covers the JSON Schema keywords the tool definitions use:
+ * `type`, `enum`, `default`, numeric and length bounds, `items`,
+ * `properties`, `required` and `additionalProperties`.
+ *
+ * Returns a copy of the arguments with defaults filled in, numeric and
+ * boolean strings coerced ("20" → 20, "true" → true) and nulls in optional
+ * fields dropped. Anything else that doesn't match raises `InvalidParams`
+ * naming the offending field.
+ */
+
+import { ErrorCode, McpError } from '@modelcontextprotocol/sdk/types.js';
+import { TOOL_DEFINITIONS } from './tools.js';
+
+const TOOL_SCHEMAS = new Map(TOOL_DEFINITIONS.map(tool => [tool.name, tool.inputSchema]));
+
+const TYPE_NAMES = {
+  string: 'a string',
+  number: 'a number',
+  integer: 'an integer',
+  boolean: 'a boolean',
+  array: 'an array',
+  object: 'an object',
+  null: 'null',
+};
+
+const NUMERIC = /^\s*-?(\d+\.?\d*|\.\d+)(e[+-]?\d+)?\s*$/i;
+
+function invalid(message) {
+  return new McpError(ErrorCode.InvalidParams, message);
+}
+
+function fieldPath(path, key) {
+  if (typeof key === 'number') {
+    return `${path}[${key}]`;
+  }
+  return path ? `${path}.${key}` : key;
+}
+
+function describe(value) {
+  if (value === null) {
+    return 'null';
+  }
+  if (Array.isArray(value)) {
+    return 'an array';
+  }
+  if (typeof value === 'string') {
+    return JSON.stringify(value.length > 40 ? `${value.slice(0, 40)}…` : value);
+  }
+  if (typeof value === 'object') {
+    return 'an object';
+  }
+  return String(value);
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function matchesType(value, type) {
+  switch (type) {
+    case 'string':
+      return typeof value === 'string';
+    case 'number':
+      return typeof value === 'number' && Number.isFinite(value);
+    case 'integer':
+      return Number.isInteger(value);
+    case 'boolean':
+      return typeof value === 'boolean';
+    case 'array':
+      return Array.isArray(value);
+    case 'object':
+      return isPlainObject(value);
+    case 'null':
+      return value === null;
+    default:
+      return true;
+  }
+}
+
+// Clients often send numbers and booleans as strings; convert them when the
+// schema allows exactly one scalar type
+function coerce(value, type) {
+  if (typeof value === 'string' && (type === 'number' || type === 'integer') && NUMERIC.test(value)) {
+    return Number(value);
+  }
+  if (typeof value === 'string' && type === 'boolean' && ['true', 'false'].includes(value.trim().toLowerCase())) {
+    return value.trim().toLowerCase() === 'true';
+  }
+  if (typeof value === 'number' && type === 'string') {
+    return String(value);
+  }
+  return value;
+}
+
+function checkType(value, schema, path) {
+  if (schema.type === undefined) {
+    return value;
+  }
+  const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+  if (types.some(type => matchesType(value, type))) {
+    return value;
+  }
+  if (types.length === 1) {
+    const coerced = coerce(value, types[0]);
+    if (matchesType(coerced, types[0])) {
+      return coerced;
+    }
+  }
+  const expected = types.map(type => TYPE_NAMES[type] ?? type);
+  const list = expected.length > 1 ? `${expected.slice(0, -1).join(', ')} or ${expected.at(-1)}` : expected[0];
+  throw invalid(`${path} must be ${list}; got ${describe(value)}`);
+}
+
+function checkBounds(value, schema, path) {
+  const { minimum, maximum } = schema;
+  if ((minimum !== undefined && value < minimum) || (maximum !== undefined && value > maximum)) {
+    let range;
+    if (minimum !== undefined && maximum !== undefined) {
+      range = `between ${minimum} and ${maximum}`;
+    } else {
+      range = minimum !== undefined ? `at least ${minimum}` : `at most ${maximum}`;
+    }
+    throw invalid(`${path} must be ${range}; got ${value}`);
+  }
+}
+
+function checkLength(value, schema, path) {
+  if (schema.minLength !== undefined && value.trim().length < schema.minLength) {
+    throw invalid(schema.minLength === 1
+      ? `${path} must not be empty`
+      : `${path} must be at least ${schema.minLength} characters long`);
+  }
+  if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+    throw invalid(`${path} must be at most ${schema.maxLength} characters long; got ${value.length}`);
+  }
+}
+
+function checkArray(value, schema, path) {
+  if (schema.minItems !== undefined && value.length < schema.minItems) {
+    throw invalid(schema.minItems === 1
+      ? `${path} must not be empty`
+      : `${path} must list at least ${schema.minItems} entries; got ${value.length}`);
+  }
+  if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+    throw invalid(`${path} must list at most ${schema.maxItems} entries; got ${value.length}`);
+  }
+  return schema.items ? value.map((item, i) => validateValue(item, schema.items, fieldPath(path, i))) : value;
+}
+
+function checkObject(value, schema, path) {
+  const properties = schema.properties ?? {};
+  const result = {};
+
+  // Report a misspelled argument before the required one it was meant to be
+  const unknown = Object.keys(value).find(key => !(key in properties));
+  if (unknown !== undefined && schema.additionalProperties === false) {
+    const known = Object.keys(properties);
+    throw invalid(`${fieldPath(path, unknown)} is not a recognized argument${known.length > 0 ? `; expected one of ${known.join(', ')}` : ''}`);
+  }
+
+  for (const [key, propertySchema] of Object.entries(properties)) {
+    let property = value[key];
+    if (property === null && !matchesType(null, propertySchema.type)) {
+      property = undefined;
+    }
+    if (property === undefined) {
+      if (propertySchema.default !== undefined) {
+        result[key] = structuredClone(propertySchema.default);
+      } else if (schema.required?.includes(key)) {
+        throw invalid(`${fieldPath(path, key)} is required`);
+      }
+      continue;
+    }
+    result[key] = validateValue(property, propertySchema, fieldPath(path, key));
+  }
+
+  for (const [key, property] of Object.entries(value)) {
+    if (key in properties) {
+      continue;
+    }
+    result[key] = isPlainObject(schema.additionalProperties)
+      ? validateValue(property, schema.additionalProperties, fieldPath(path, key))
+      : property;
+  }
+  return result;
+}
+
+function validateValue(value, schema, path) {
+  const checked = checkType(value, schema, path);
+
+  if (schema.enum && !schema.enum.includes(checked)) {
+    throw invalid(`${path} must be one of ${schema.enum.join(', ')}; got ${describe(checked)}`);
+  }
+  if (typeof checked === 'number') {
+    checkBounds(checked, schema, path);
+  }
+  if (typeof checked === 'string') {
+    checkLength(checked, schema, path);
+  }
+  if (Array.isArray(checked)) {
+    return checkArray(checked, schema, path);
+  }
+  if (isPlainObject(checked) && (schema.properties || schema.additionalProperties !== undefined)) {
+    return checkObject(checked, schema, path);
+  }
+  return checked;
+}
+
+/**
+ * Validate an arguments object against an input schema. `path` prefixes
+ * field names in error messages, e.g. "arguments" for nested arguments.
+ */
+export function validateArguments(schema, args, path = '') {
+  if (args === undefined || args === null) {
+    args = {};
+  }
+  if (!isPlainObject(args)) {
+    throw invalid(`${path || 'arguments'} must be an object; got ${describe(args)}`);
+  }
+  return checkObject(args, schema, path);
+}
+
+/**
+ * Validate the arguments for a tool call against that tool's input schema.
+ */
+export function validateToolArguments(name, args, path = '') {
+  const schema = TOOL_SCHEMAS.get(name);
+  if (!schema) {
+    throw new McpError(ErrorCode.MethodNotFound, `Unknown tool: ${name}`);
+  }
+  return validateArguments(schema, args, path);
+}
@@ -0,0 +1,199 @@
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { after, before, describe, test } from 'node:test';
+import { ErrorCode } from '@modelcontextprotocol/sdk/types.js';
+import { describeDataset, diffDatasets, parseDataset, versionFromFileName } from '../lib/dataset.js';
+import { AvibaseErrorCode } from '../lib/errors.js';
+import { serializeRecords } from '../lib/export.js';
+import { FIXTURE_BIRDS, FIXTURE_FILE, startHarness, textOf } from './helpers/harness.js';
+
+// The fixture as a later release might publish it
+function nextRelease() {
+  const records = structuredClone(FIXTURE_BIRDS)
+    .filter(record => record.Scientific_name !== 'Ectopistes migratorius');
+  const bySpecies = name => records.find(record => record.Scientific_name === name);
+  bySpecies('Harpia harpyja').IUCN_Red_List_Category = 'EN';
+  bySpecies('Athene blewitti').IUCN_Red_List_Category = 'VU';
+  bySpecies('Columba livia').English_name_AviList = 'Common Pigeon';
+  bySpecies('Euryceros prevostii').Family = 'Euryceridae';
+  records.push({ ...bySpecies('Strix aluco'), Scientific_name: 'Strix nivicolum', English_name_AviList: 'Himalayan Owl', Sequence: 6 });
+  return records;
+}
+
+describe('describeDataset', () => {
+  const hashOf = records => describeDataset(records, { source: 'test' }).hash;
+
+  test('the hash ignores record order, key order and empty values', () => {
+    const reshuffled = [...FIXTURE_BIRDS].reverse().map(record => Object.fromEntries(
+      Object.entries(record).reverse().map(([key, value]) => [key, value === null ? '' : value])
+    ));
+    assert.equal(hashOf(reshuffled), hashOf(FIXTURE_BIRDS));
+    assert.notEqual(hashOf(nextRelease()), hashOf(FIXTURE_BIRDS));
+  });
+
+  test('the hash is the same whichever file format the records came from', () => {
+    const fromCsv = parseDataset(serializeRecords(FIXTURE_BIRDS, 'csv').text, 'AviList-v2025.csv');
+    const fromJson = parseDataset(JSON.stringify(FIXTURE_BIRDS), 'AviList-v2025.json');
+    assert.equal(typeof fromCsv[0].Sequence, 'string');
+    assert.equal(hashOf(fromCsv), hashOf(fromJson));
+
+    const padded = FIXTURE_BIRDS.map(record => ({ ...record, Family: record.Family && ` ${record.Family} ` }));
+    assert.equal(hashOf(padded), hashOf(FIXTURE_BIRDS));
+  });
+
+  test('reads checklist versions from the English name fields', () => {
+    const info = describeDataset(FIXTURE_BIRDS, { source: 'test', version: '2025' });
+    assert.deepEqual(info.checklists.map(entry => `${entry.checklist} ${entry.version}`), ['BirdLife 9', 'Clements 2024']);
+    assert.equal(info.records, 15);
+    assert.equal(info.species, 12);
+    assert.match(info.hash, /^sha256:[0-9a-f]{64}$/);
+  });
+
+  test('takes release versions from file names', () => {
+    assert.equal(versionFromFileName('AviList-v2025.csv'), '2025');
+    assert.equal(versionFromFileName('avilist-v2024.1-3f2a9c1b7d4e.jsonl'), '2024.1');
+    assert.equal(versionFromFileName('birds.json'), null);
+  });
+});
+
+describe('diffDatasets', () => {
+  test('lists added, removed, relisted, renamed and reassigned taxa', () => {
+    const diff = diffDatasets(FIXTURE_BIRDS, nextRelease());
+
+    assert.deepEqual(diff.summary, {
+      added: 1, removed: 1, iucnChanges: 2, uplisted: 1, downlisted: 1, renamed: 1, familyChanges: 1,
+    });
+    assert.equal(diff.added[0].scientificName, 'Strix nivicolum');
+    assert.equal(diff.removed[0].scientificName, 'Ectopistes migratorius');
+    assert.deepEqual(
+      diff.iucnChanges.map(change => [change.scientificName, change.from, change.to, change.direction]),
+      [['Athene blewitti', 'EN', 'VU', 'downlisted'], ['Harpia harpyja', 'VU', 'EN', 'uplisted']]
+    );
+    assert.deepEqual(diff.renamed, [{ scientificName: 'Columba livia', checklist: 'avilist', from: 'Rock Dove', to: 'Common Pigeon' }]);
+    assert.equal(diff.familyChanges[0].to, 'Euryceridae');
+    assert.equal(diff.truncated, false);
+  });
+
+  test('matches checklist names across versioned field names', () => {
+    const renamed = FIXTURE_BIRDS.map(({ English_name_Clements_v2024: name, ...record }) => ({
+      ...record,
+      English_name_Clements_v2025: record.Scientific_name === 'Otus insularis' ? 'Seychelles Scops Owl' : name,
+    }));
+    assert.deepEqual(
+      diffDatasets(FIXTURE_BIRDS, renamed).renamed.map(change => [change.checklist, change.to]),
+      [['clements', 'Seychelles Scops Owl']]
+    );
+  });
+
+  test('caps each list but counts every change', () => {
+    const diff = diffDatasets(FIXTURE_BIRDS, [], { maxChanges: 2 });
+    assert.equal(diff.summary.removed, 15);
+    assert.equal(diff.removed.length, 2);
+    assert.equal(diff.truncated, true);
+  });
+});
+
+describe('dataset version tools', () => {
+  let harness;
+
+  before(async () => {
+    harness = await startHarness({ args: ['--dataset-version', '2025'] });
+  });
+
+  after(async () => {
+    await harness.close();
+  });
+
+  test('get_dataset_version reports the version without reading every record', async () => {
+    harness.api.reset();
+    const result = await harness.call('get_dataset_version');
+    const info = result.structuredContent;
+    assert.equal(info.version, '2025');
+    assert.equal(info.provider, 'remote');
+    assert.equal(info.records, 15);
+    assert.equal(info.species, 12);
+    assert.deepEqual(info.checklists.map(entry => `${entry.checklist} ${entry.version}`), ['BirdLife 9', 'Clements 2024']);
+    assert.equal(info.hash, null);
+    assert.deepEqual(info.snapshots, []);
+    assert.ok(harness.api.requests.length <= 2);
+    assert.match(textOf(result), /Cite as: AviList v2025, 15 records\n/);
+    assert.match(textOf(result), /pass `include_hash: true`/);
+  });
+
+  test('get_dataset_version hashes the served records on request', async () => {
+    const result = await harness.call('get_dataset_version', { include_hash: true });
+    const info = result.structuredContent;
+    assert.equal(info.hash, describeDataset(FIXTURE_BIRDS, { source: 'test' }).hash);
+    assert.equal(info.records, 15);
+    assert.match(textOf(result), new RegExp(`Cite as: AviList v2025, 15 records, ${info.hash}`));
+  });
+
+  test('full reads bypass the response cache', async () => {
+    const fullReads = () => harness.api.requests.filter(request => request.path === '/query' && request.body.limit > 50).length;
+    const cachedEntries = async () => {
+      const { tools } = (await harness.call('manage_cache')).structuredContent.stats;
+      return Object.values(tools).reduce((total, group) => total + group.entries, 0);
+    };
+    const entriesBefore = await cachedEntries();
+    harness.api.reset();
+
+    await harness.call('get_dataset_version', { include_hash: true });
+    const first = fullReads();
+    await harness.call('get_dataset_version', { include_hash: true });
+    assert.ok(first > 0);
+    assert.equal(fullReads(), 2 * first);
+    assert.equal(await cachedEntries(), entriesBefore);
+  });
+
+  test('the local provider reports the same hash', async () => {
+    const local = await startHarness({ args: ['--provider', 'local', '--data-file', fileURLToPath(FIXTURE_FILE)] });
+    try {
+      const [remoteInfo, localInfo] = await Promise.all([
+        harness.call('get_dataset_version', { include_hash: true }),
+        local.call('get_dataset_version', { include_hash: true }),
+      ]);
+      assert.equal(localInfo.structuredContent.hash, remoteInfo.structuredContent.hash);
+      assert.equal(localInfo.structuredContent.version, null);
+    } finally {
+      await local.close();
+    }
+  });
+
+  test('diffs a saved snapshot against a later release', async () => {
+    const saved = await harness.call('get_dataset_version', { save_snapshot: true });
+    const { name } = saved.structuredContent.savedSnapshot;
+    assert.match(name, /^avilist-v2025-[0-9a-f]{12}\.jsonl$/);
+
+    const { snapshotDir } = harness.config.dataset;
+    await fs.writeFile(path.join(snapshotDir, 'AviList-v2026.json'), JSON.stringify(nextRelease()));
+
+    const result = await harness.call('diff_dataset_snapshots', { from: name, to: 'AviList-v2026.json' });
+    const diff = result.structuredContent;
+    assert.equal(diff.from.hash, saved.structuredContent.hash);
+    assert.equal(diff.to.version, '2026');
+    assert.equal(diff.identical, false);
+    assert.equal(diff.summary.uplisted, 1);
+
+    const text = textOf(result);
+    assert.match(text, /# Dataset Changes: `avilist-v2025-[0-9a-f]{12}\.jsonl` \(v2025\) → `AviList-v2026\.json` \(v2026\)/);
+    assert.match(text, /\| Harpia harpyja \(Harpy Eagle\) \| VU \| EN \| ⬆️ uplisted \|/);
+    assert.match(text, /\| Euryceros prevostii \| Vangidae \(Passeriformes\) \| Euryceridae \(Passeriformes\) \|/);
+
+    const unchanged = await harness.call('diff_dataset_snapshots', { from: name });
+    assert.equal(unchanged.structuredContent.identical, true);
+    assert.equal(unchanged.structuredContent.summary.added, 0);
+  });
+
+  test('only reads snapshots from the snapshot directory', async () => {
+    await assert.rejects(
+      harness.call('diff_dataset_snapshots', { from: '../saved-queries.json' }),
+      { code: ErrorCode.InvalidParams }
+    );
+    await assert.rejects(
+      harness.call('diff_dataset_snapshots', { from: 'missing.jsonl' }),
+      { code: AvibaseErrorCode.NotFound, message: /No snapshot named "missing\.jsonl"/ }
+    );
+  });
+});
@@ -0,0 +1,225 @@
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { after, before, describe, test } from 'node:test';
+import { ErrorCode } from '@modelcontextprotocol/sdk/types.js';
+import { FIXTURE_BIRDS, startHarness, textOf } from './helpers/harness.js';
+
+describe('empty results', () => {
+  let harness;
+
+  before(async () => {
+    harness = await startHarness();
+  });
+
+  after(async () => {
+    await harness.close();
+  });
+
+  test('search with no matches', async () => {
+    const result = await harness.call('search_birds', { query: 'zzz' });
+    assert.deepEqual(result.structuredContent.birds, []);
+    assert.equal(result.structuredContent.pagination.hasNext, false);
+    assert.equal(result.structuredContent.pagination.nextCursor, null);
+    assert.match(textOf(result), /Found \*\*0\*\* birds/);
+  });
+
+  test('conservation category with no species', async () => {
+    const result = await harness.call('get_conservation_status', { category: 'NT' });
+    assert.deepEqual(result.structuredContent.birds, []);
+    assert.match(textOf(result), /\*\*0\*\* species with IUCN status: \*\*NT\*\*/);
+  });
+
+  test('region outside the gazetteer falls back to text search', async () => {
+    const result = await harness.call('get_birds_by_region', { region: 'Atlantis' });
+    assert.equal(result.structuredContent.resolvedRegion, null);
+    assert.deepEqual(result.structuredContent.birds, []);
+    assert.match(textOf(result), /not in the gazetteer/);
+  });
+
+  test('empty dataset', async () => {
+    const empty = await startHarness({ records: [] });
+    try {
+      const stats = await empty.call('get_bird_stats');
+      assert.equal(stats.structuredContent.totalRecords, 0);
+
+      const aggregate = await empty.call('aggregate_birds', { group_by: ['Family'] });
+      assert.deepEqual(aggregate.structuredContent.rows, []);
+
+      const summary = await empty.call('get_region_conservation_summary', { region: 'Madagascar' });
+      assert.equal(summary.structuredContent.totalSpecies, 0);
+      assert.equal(summary.structuredContent.threatened.share, 0);
+    } finally {
+      await empty.close();
+    }
+  });
+});
+
+describe('missing fields', () => {
+  let harness;
+
+  before(async () => {
+    harness = await startHarness();
+  });
+
+  after(async () => {
+    await harness.close();
+  });
+
+  test('null Range', async () => {
+    const report = await harness.call('get_bird_report', { scientific_name: 'Columba livia' });
+    assert.equal(report.structuredContent.bird.Range, null);
+    assert.match(textOf(report), /\*\*Range:\*\* No range data available/);
+
+    const custom = await harness.call('custom_bird_query', { filters: { Scientific_name: 'Columba livia' } });
+    assert.match(textOf(custom), /Range: No range data/);
+  });
+
+  test('null Authority', async () => {
+    const search = await harness.call('search_birds', { query: 'vanga' });
+    assert.equal(search.structuredContent.birds[0].Authority, null);
+    assert.match(textOf(search), /Authority: Unknown/);
+
+    const report = await harness.call('get_bird_report', { scientific_name: 'Euryceros prevostii' });
+    assert.match(textOf(report), /\*\*Taxonomic Authority:\*\* Unknown/);
+  });
+
+  test('records without a range never match a region', async () => {
+    const result = await harness.call('get_birds_by_region', { region: 'Europe' });
+    const names = result.structuredContent.birds.map(bird => bird.Scientific_name);
+    assert.ok(!names.includes('Columba livia'));
+  });
+});
+
+describe('mixed-case ranks', () => {
+  test('capitalized ranks still count as species', async () => {
+    const records = FIXTURE_BIRDS.map(record => ({ ...record, Taxon_rank: record.Taxon_rank[0].toUpperCase() + record.Taxon_rank.slice(1) }));
+    const harness = await startHarness({ records });
+    try {
+      const summary = await harness.call('get_region_conservation_summary', { region: 'Madagascar' });
+      assert.equal(summary.structuredContent.totalSpecies, 2);
+      assert.equal(summary.structuredContent.threatened.total, 2);
+
+      const aggregate = await harness.call('aggregate_birds', { group_by: ['Family'] });
+      assert.equal(aggregate.structuredContent.rows.reduce((total, row) => total + row.count, 0), 12);
+    } finally {
+      await harness.close();
+    }
+  });
+
+  test('the local provider counts capitalized ranks as species', async () => {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'avibase-ranks-'));
+    const file = path.join(dir, 'birds.json');
+    await fs.writeFile(file, JSON.stringify(FIXTURE_BIRDS.map(record => ({ ...record, Taxon_rank: record.Taxon_rank.toUpperCase() }))));
+    const harness = await startHarness({ args: ['--provider', 'local', '--data-file', file] });
+    try {
+      const stats = await harness.call('get_bird_stats');
+      assert.equal(stats.structuredContent.totalSpecies, 12);
+
+      const report = await harness.call('get_bird_report', { scientific_name: 'Bubo bubo' });
+      assert.deepEqual(report.structuredContent.relatedInFamily.map(bird => bird.Scientific_name), ['Strix aluco', 'Athene blewitti', 'Otus insularis']);
+    } finally {
+      await harness.close();
+      await fs.rm(dir, { recursive: true, force: true });
+    }
+  });
+});
+
+describe('long fields', () => {
+  test('Markdown lists show the full range', async () => {
+    const range = 'Lowland and montane forest from southern Mexico through Central America to eastern Bolivia, northern Argentina and southern Brazil';
+    const harness = await startHarness({ records: [{ Sequence: 1, Taxon_rank: 'species', Scientific_name: 'Harpia harpyja', Family: 'Accipitridae', IUCN_Red_List_Category: 'VU', Range: range }] });
+    try {
+      const result = await harness.call('get_conservation_status', { category: 'VU' });
+      assert.ok(range.length > 100);
+      assert.ok(textOf(result).includes(`- Range: ${range}`));
+      assert.doesNotMatch(textOf(result), /\.\.\./);
+    } finally {
+      await harness.close();
+    }
+  });
+});
+
+describe('spreadsheet exports', () => {
+  test('cells that would run as formulas are escaped', async () => {
+    const records = [
+      { Sequence: 1, Taxon_rank: 'species', Scientific_name: 'Bubo bubo', Family: 'Strigidae', English_name_AviList: '=HYPERLINK("http://attacker.example","Owl")', Authority: '@SUM(A1)', Range: '-Europe' },
+    ];
+    const harness = await startHarness({ records });
+    try {
+      const exported = async fileFormat => {
+        const result = await harness.call('export_birds', {
+          source: 'get_birds_by_taxonomy',
+          arguments: { level: 'Family', value: 'Strigidae' },
+          file_format: fileFormat,
+        });
+        return result.content.find(item => item.type === 'resource').resource.text.split('\r\n')[1];
+      };
+
+      assert.equal(await exported('csv'), `1,species,Bubo bubo,Strigidae,"'=HYPERLINK(""http://attacker.example"",""Owl"")",'@SUM(A1),'-Europe`);
+      assert.equal(await exported('tsv'), `1\tspecies\tBubo bubo\tStrigidae\t'=HYPERLINK("http://attacker.example","Owl")\t'@SUM(A1)\t'-Europe`);
+    } finally {
+      await harness.close();
+    }
+  });
+});
+
+describe('pagination', () => {
+  let harness;
+
+  before(async () => {
+    harness = await startHarness();
+  });
+
+  after(async () => {
+    await harness.close();
+  });
+
+  test('first page reports a cursor for the next one', async () => {
+    const result = await harness.call('search_birds', { query: 'owl', limit: 2 });
+    const { pagination } = result.structuredContent;
+    assert.deepEqual(
+      { offset: pagination.offset, limit: pagination.limit, totalItems: pagination.totalItems, hasNext: pagination.hasNext },
+      { offset: 0, limit: 2, totalItems: 4, hasNext: true }
+    );
+    assert.ok(textOf(result).includes(`Pass \`cursor: "${pagination.nextCursor}"\` (or \`offset: 2\`) to see the next page.`));
+  });
+
+  test('cursor continues from the previous page', async () => {
+    const first = await harness.call('search_birds', { query: 'owl', limit: 2 });
+    const second = await harness.call('search_birds', { query: 'owl', cursor: first.structuredContent.pagination.nextCursor });
+    assert.deepEqual(
+      second.structuredContent.birds.map(bird => bird.Scientific_name),
+      ['Athene blewitti', 'Otus insularis']
+    );
+    assert.equal(second.structuredContent.pagination.hasNext, false);
+    assert.equal(second.structuredContent.pagination.hasPrev, true);
+    assert.match(textOf(second), /\*Showing results 3–4 of 4\.\*/);
+  });
+
+  test('offset maps onto upstream pages', async () => {
+    harness.api.reset();
+    const result = await harness.call('get_birds_by_authority', { authority: 'Linnaeus', offset: 2, limit: 2 });
+    assert.deepEqual(
+      result.structuredContent.birds.map(bird => bird.Scientific_name),
+      ['Aquila chrysaetos', 'Harpia harpyja']
+    );
+    assert.match(harness.api.requests[0].search, /page=2/);
+  });
+
+  test('cursor from another query is rejected', async () => {
+    const first = await harness.call('search_birds', { query: 'owl', limit: 2 });
+    await assert.rejects(
+      harness.call('search_birds', { query: 'eagle', cursor: first.structuredContent.pagination.nextCursor }),
+      { code: ErrorCode.InvalidParams, message: /different query/ }
+    );
+  });
+
+  test('malformed cursor is rejected', async () => {
+    await assert.rejects(
+      harness.call('search_birds', { query: 'owl', cursor: 'garbage' }),
+      { code: ErrorCode.InvalidParams, message: /Invalid pagination cursor/ }
+    );
+  });
+});
@@ -0,0 +1,129 @@
+import assert from 'node:assert/strict';
+import { after, afterEach, before, describe, test } from 'node:test';
+import { ErrorCode } from '@modelcontextprotocol/sdk/types.js';
+import { AvibaseErrorCode } from '../lib/errors.js';
+import { startHarness } from './helpers/harness.js';
+
+describe('upstream error mapping', () => {
+  let harness;
+
+  before(async () => {
+    // No cache so every call reaches the mock API, and a breaker that
+    // never opens so one test's failures don't leak into the next
+    harness = await startHarness({ args: ['--cache=false', '--breaker-threshold', '1000'] });
+  });
+
+  afterEach(() => {
+    harness.api.reset();
+  });
+
+  after(async () => {
+    await harness.close();
+  });
+
+  test('unknown bird is NotFound', async () => {
+    await assert.rejects(
+      harness.call('get_bird_report', { scientific_name: 'Nonexistent bird', fuzzy: false }),
+      { code: AvibaseErrorCode.NotFound, message: /Not found in bird API/ }
+    );
+  });
+
+  test('429 is RateLimited with the Retry-After delay', async () => {
+    harness.api.fail('/stats', { status: 429, headers: { 'Retry-After': '7' } });
+    await assert.rejects(
+      harness.call('get_bird_stats'),
+      { code: AvibaseErrorCode.RateLimited, message: /rate limit exceeded\. Retry after 7s\./ }
+    );
+  });
+
+  test('5xx is UpstreamUnavailable', async () => {
+    harness.api.fail('/search', { status: 503 });
+    await assert.rejects(
+      harness.call('search_birds', { query: 'owl' }),
+      { code: AvibaseErrorCode.UpstreamUnavailable, message: /503 Service Unavailable/ }
+    );
+  });
+
+  test('401 and 403 are InvalidRequest', async () => {
+    for (const status of [401, 403]) {
+      harness.api.fail('/extinct', { status });
+      await assert.rejects(
+        harness.call('get_extinct_species'),
+        { code: ErrorCode.InvalidRequest, message: /check the configured API key/ }
+      );
+    }
+  });
+
+  test('400 is InvalidParams', async () => {
+    harness.api.fail('/custom', { status: 400, body: { error: 'Unknown field' } });
+    await assert.rejects(
+      harness.call('custom_bird_query', { filters: { Family: 'Strigidae' } }),
+      { code: ErrorCode.InvalidParams, message: /Bird API rejected the request.*Unknown field/ }
+    );
+  });
+
+  test('rejected JSONata query is InvalidParams', async () => {
+    await assert.rejects(
+      harness.call('execute_jsonata_query', { query: '$[Family=' }),
+      { code: ErrorCode.InvalidParams }
+    );
+  });
+
+  test('region exports stop at the JSONata time limit', async () => {
+    const slow = await startHarness({ args: ['--cache=false', '--jsonata-timeout', '50'] });
+    try {
+      slow.api.fail('/query', { status: 200, body: { data: [] }, delay: 300 });
+      await assert.rejects(
+        slow.call('export_birds', { source: 'get_birds_by_region', arguments: { region: 'Madagascar' } }),
+        { code: ErrorCode.RequestTimeout, message: /exceeded the 50 ms time limit/ }
+      );
+    } finally {
+      await slow.close();
+    }
+  });
+
+  test('malformed response body is InternalError', async () => {
+    harness.api.fail('/authority', { status: 200, body: '{"data": [' });
+    await assert.rejects(
+      harness.call('get_birds_by_authority', { authority: 'Linnaeus' }),
+      { code: ErrorCode.InternalError }
+    );
+  });
+
+  test('unknown tool is MethodNotFound', async () => {
+    await assert.rejects(
+      harness.call('no_such_tool'),
+      { code: ErrorCode.MethodNotFound }
+    );
+  });
+});
+
+describe('retries', () => {
+  let harness;
+
+  before(async () => {
+    harness = await startHarness({ args: ['--cache=false', '--max-retries', '2', '--retry-base-delay', '1'] });
+  });
+
+  after(async () => {
+    await harness.close();
+  });
+
+  test('transient server errors are retried', async () => {
+    harness.api.fail('/stats', { status: 502, times: 2 });
+    const result = await harness.call('get_bird_stats');
+    assert.equal(result.structuredContent.totalRecords, 15);
+    assert.equal(harness.api.requests.filter(request => request.path === '/stats').length, 3);
+  });
+
+  test('client errors are not retried', async () => {
+    harness.api.reset();
+    harness.api.fail('/bird/', { status: 404, times: 5 });
+    await assert.rejects(
+      harness.call('get_bird_report', { scientific_name: 'Bubo bubo', fuzzy: false }),
+      { code: AvibaseErrorCode.NotFound }
+    );
+    assert.equal(harness.api.requests.length, 1);
+    harness.api.reset();
+  });
+});
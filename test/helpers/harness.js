@@ -0,0 +1,117 @@
+/**
+ * Test Harness
+ *
+ * Starts the mock API and a server configured against it, connected to an
+ * MCP client over an in-memory transport, so tests call tools end to end
+ * exactly as a client would.
+ */
+
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { Client } from '@modelcontextprotocol/sdk/client/index.js';
+import { SSEClientTransport } from '@modelcontextprotocol/sdk/client/sse.js';
+import { StreamableHTTPClientTransport } from '@modelcontextprotocol/sdk/client/streamableHttp.js';
+import { InMemoryTransport } from '@modelcontextprotocol/sdk/inMemory.js';
+import { loadConfig } from '../../lib/config.js';
+import { BirdDataMCPServer } from '../../lib/server.js';
+import { startMockApi } from './mock-api.js';
+
+export const FIXTURE_FILE = new URL('../fixtures/birds.json', import.meta.url);
+export const FIXTURE_BIRDS = JSON.parse(await fs.readFile(FIXTURE_FILE, 'utf8'));
+
+/**
+ * Start a server against the mock API. `args` are extra command line flags.
+ */
+export async function startHarness({ records = FIXTURE_BIRDS, args = [] } = {}) {
+  const api = await startMockApi({ records });
+  const directory = await fs.mkdtemp(path.join(os.tmpdir(), 'avibase-mcp-test-'));
+  let config;
+  try {
+    config = loadConfig([
+      '--provider', 'remote',
+      '--api-url', api.url,
+      '--max-retries', '0',
+      '--log-level', 'off',
+      '--saved-queries-file', path.join(directory, 'saved-queries.json'),
+      '--snapshot-dir', path.join(directory, 'snapshots'),
+      ...args,
+    ], {});
+  } catch (error) {
+    await api.close();
+    await fs.rm(directory, { recursive: true, force: true });
+    throw error;
+  }
+
+  const server = new BirdDataMCPServer(config);
+  await server.provider.initialize();
+  const client = new Client({ name: 'avibase-mcp-tests', version: '1.0.0' });
+  const [clientTransport, serverTransport] = InMemoryTransport.createLinkedPair();
+  await server.server.connect(serverTransport);
+  await client.connect(clientTransport);
+  // Listing the tools makes the client check structured content against
+  // each tool's output schema
+  await client.listTools();
+
+  return {
+    api,
+    client,
+    config,
+    directory,
+    server,
+    call: (name, args = {}) => client.callTool({ name, arguments: args }),
+    async close() {
+      await client.close();
+      await server.server.close();
+      await server.provider.close();
+      await api.close();
+      await fs.rm(directory, { recursive: true, force: true });
+    },
+  };
+}
+
+/**
+ * Start a server as `startHarness` does, and also serve it over HTTP on a
+ * free local port. `connect` opens an MCP client over Streamable HTTP, or
+ * over the legacy SSE transport with `{ sse: true }`.
+ */
+export async function startHttpHarness({ args = [] } = {}) {
+  const harness = await startHarness({ args: ['--transport', 'http', '--port', '0', ...args] });
+  const host = harness.server.createHttpHost();
+  let address;
+  try {
+    address = await host.start();
+  } catch (error) {
+    await harness.close();
+    throw error;
+  }
+  const url = `http://127.0.0.1:${address.port}`;
+  const clients = [];
+
+  return {
+    ...harness,
+    host,
+    url,
+    async connect({ sse = false } = {}) {
+      const client = new Client({ name: 'avibase-mcp-tests', version: '1.0.0' });
+      const transport = sse
+        ? new SSEClientTransport(new URL('/sse', url))
+        : new StreamableHTTPClientTransport(new URL(harness.config.http.path, url));
+      await client.connect(transport);
+      clients.push(client);
+      return client;
+    },
+    async close() {
+      await Promise.all(clients.map(client => client.close().catch(() => {})));
+      await host.close();
+      await harness.close();
+    },
+  };
+}
+
+/**
+ * The Markdown text of a tool result.
+ */
+export function textOf(result) {
+  return result.content.find(item => item.type === 'text')?.text ?? '';
+}
@@ -0,0 +1,197 @@
+/**
+ * Mock AviBase API
+ *
+ * A local HTTP stand-in for the AviBase REST API that answers every
+ * endpoint the remote provider calls from a list of fixture records. Tests
+ * can queue failures for a path to exercise upstream error mapping.
+ */
+
+import http from 'http';
+import jsonata from 'jsonata';
+
+const IUCN_CATEGORY_NAMES = {
+  CR: 'Critically Endangered',
+  EN: 'Endangered',
+  VU: 'Vulnerable',
+  NT: 'Near Threatened',
+  LC: 'Least Concern',
+  DD: 'Data Deficient',
+  EX: 'Extinct',
+  EW: 'Extinct in the Wild',
+};
+
+function normalize(value) {
+  return value === null || value === undefined ? '' : String(value).toLowerCase();
+}
+
+function page(items, limit, pageNumber) {
+  const size = Number(limit) || 50;
+  const current = Number(pageNumber) || 1;
+  const data = items.slice((current - 1) * size, current * size);
+  return {
+    data,
+    pagination: {
+      page: current,
+      limit: size,
+      totalItems: items.length,
+      totalPages: Math.ceil(items.length / size),
+      hasNext: current * size < items.length,
+      hasPrev: current > 1,
+    },
+  };
+}
+
+function routes(records) {
+  const species = records.filter(record => record.Taxon_rank === 'species');
+
+  return [
+    ['GET', /^\/stats$/, () => ({
+      data: {
+        totalRecords: records.length,
+        totalSpecies: species.length,
+        totalFamilies: new Set(records.map(record => record.Family).filter(Boolean)).size,
+        totalOrders: new Set(records.map(record => record.Order).filter(Boolean)).size,
+        extinctSpecies: records.filter(record => record.Extinct_or_possibly_extinct).length,
+        iucnCategories: [...new Set(records.map(record => record.IUCN_Red_List_Category).filter(Boolean))].sort(),
+      },
+    })],
+    ['GET', /^\/search$/, ({ query }) => {
+      const term = normalize(query.get('q'));
+      const names = record => [normalize(record.Scientific_name), normalize(record.English_name_AviList)];
+      const matches = query.get('exact') === 'true'
+        ? records.filter(record => names(record).includes(term))
+        : records.filter(record => names(record).some(name => name.includes(term)));
+      return page(matches, query.get('limit'), query.get('page'));
+    }],
+    ['GET', /^\/taxonomy\/([^/]+)\/([^/]+)$/, ({ query, params: [level, value] }) => page(
+      records.filter(record => normalize(record[level]) === normalize(decodeURIComponent(value))),
+      query.get('limit'),
+      query.get('page')
+    )],
+    ['GET', /^\/conservation\/([^/]+)$/, ({ query, params: [category] }) => page(
+      records.filter(record => record.IUCN_Red_List_Category === category),
+      query.get('limit'),
+      query.get('page')
+    )],
+    ['GET', /^\/range$/, ({ query }) => page(
+      records.filter(record => normalize(record.Range).includes(normalize(query.get('region')))),
+      query.get('limit'),
+      query.get('page')
+    )],
+    ['GET', /^\/extinct$/, ({ query }) => page(
+      records.filter(record => record.Extinct_or_possibly_extinct),
+      query.get('limit'),
+      query.get('page')
+    )],
+    ['GET', /^\/authority$/, ({ query }) => page(
+      records.filter(record => normalize(record.Authority).includes(normalize(query.get('name')))),
+      query.get('limit'),
+      query.get('page')
+    )],
+    ['GET', /^\/random$/, ({ query }) => ({
+      data: records.slice(0, Number(query.get('count')) || 10),
+    })],
+    ['GET', /^\/bird\/([^/]+)$/, ({ params: [name] }) => {
+      const bird = records.find(record => normalize(record.Scientific_name) === normalize(decodeURIComponent(name)));
+      if (!bird) {
+        return { status: 404, body: { error: 'Bird not found' } };
+      }
+      return {
+        data: {
+          bird,
+          relatedInFamily: species.filter(record => record.Family === bird.Family && record !== bird),
+          conservationStatus: IUCN_CATEGORY_NAMES[bird.IUCN_Red_List_Category] || 'Not assessed',
+          hasUrls: {
+            birdLife: Boolean(bird.BirdLife_DataZone_URL),
+            birdsOfTheWorld: false,
+            originalDescription: false,
+          },
+        },
+      };
+    }],
+    ['POST', /^\/custom$/, ({ body }) => {
+      const conditions = Object.entries(body.filters || {});
+      const matches = records.filter(record => conditions.every(([field, expected]) => (
+        Array.isArray(expected) ? expected.includes(record[field]) : record[field] === expected
+      )));
+      return page(matches, body.limit, body.page);
+    }],
+    ['POST', /^\/query$/, async ({ body }) => {
+      let result;
+      try {
+        result = await jsonata(body.query).evaluate(records);
+      } catch (error) {
+        return { status: 400, body: { error: `Invalid query: ${error.message}` } };
+      }
+      return Array.isArray(result) ? page(result, body.limit, body.page) : { data: result ?? null };
+    }],
+  ];
+}
+
+/**
+ * Start the mock API on a free local port.
+ */
+export async function startMockApi({ records }) {
+  const table = routes(records);
+  const requests = [];
+  const failures = [];
+
+  const server = http.createServer(async (request, response) => {
+    const url = new URL(request.url, 'http://localhost');
+    let text = '';
+    for await (const chunk of request) {
+      text += chunk;
+    }
+    requests.push({ method: request.method, path: url.pathname, search: url.search, body: text ? JSON.parse(text) : null });
+
+    const send = (status, payload, headers = {}) => {
+      response.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+      response.end(typeof payload === 'string' ? payload : JSON.stringify(payload));
+    };
+
+    const failure = failures.findIndex(entry => url.pathname.startsWith(entry.path));
+    if (failure !== -1) {
+      const { status, body, headers, delay } = failures[failure];
+      if (--failures[failure].times <= 0) {
+        failures.splice(failure, 1);
+      }
+      await new Promise(resolve => setTimeout(resolve, delay));
+      send(status, body, headers);
+      return;
+    }
+
+    for (const [method, pattern, handle] of table) {
+      const match = request.method === method && url.pathname.match(pattern);
+      if (match) {
+        const result = await handle({ query: url.searchParams, params: match.slice(1), body: text ? JSON.parse(text) : {} });
+        if (result.status) {
+          send(result.status, result.body);
+        } else {
+          send(200, result);
+        }
+        return;
+      }
+    }
+    send(404, { error: `No route for ${request.method} ${url.pathname}` });
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    requests,
+    // Answer the next `times` requests under `path` with this response,
+    // after `delay` ms
+    fail(path, { status, body = { error: 'Injected failure' }, headers = {}, times = 1, delay = 0 }) {
+      failures.push({ path, status, body, headers, times, delay });
+    },
+    reset() {
+      requests.length = 0;
+      failures.length = 0;
+    },
+    async close() {
+      server.closeAllConnections();
+      await new Promise(resolve => server.close(resolve));
+    },
+  };
+}
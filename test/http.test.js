@@ -0,0 +1,159 @@
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import { after, before, describe, test } from 'node:test';
+import { startHttpHarness, textOf } from './helpers/harness.js';
+
+const INITIALIZE = {
+  jsonrpc: '2.0',
+  id: 1,
+  method: 'initialize',
+  params: { protocolVersion: '2025-06-18', capabilities: {}, clientInfo: { name: 'raw', version: '1.0.0' } },
+};
+
+// node:http rather than fetch, which won't send a forged Host header
+function request(url, { method = 'GET', path = '/', headers = {}, body } = {}) {
+  return new Promise((resolve, reject) => {
+    const req = http.request(new URL(path, url), {
+      method,
+      headers: {
+        'Content-Type': 'application/json',
+        Accept: 'application/json, text/event-stream',
+        ...headers,
+      },
+    }, res => {
+      let text = '';
+      res.on('data', chunk => {
+        text += chunk;
+      });
+      res.on('end', () => resolve({ status: res.statusCode, text }));
+    });
+    req.on('error', reject);
+    req.end(body === undefined ? undefined : JSON.stringify(body));
+  });
+}
+
+describe('HTTP transport', () => {
+  let harness;
+
+  before(async () => {
+    harness = await startHttpHarness();
+  });
+
+  after(async () => {
+    await harness.close();
+  });
+
+  test('serves tools over Streamable HTTP', async () => {
+    const client = await harness.connect();
+    const { tools } = await client.listTools();
+    assert.equal(tools.length, 26);
+
+    const result = await client.callTool({ name: 'get_bird_stats', arguments: {} });
+    assert.equal(result.structuredContent.totalRecords, 15);
+
+    const resource = await client.readResource({ uri: 'avibase://bird/Bubo%20bubo' });
+    assert.equal(JSON.parse(resource.contents[0].text).bird.AvibaseID, 'AVB001');
+    const prompt = await client.getPrompt({ name: 'compare_species', arguments: { species_a: 'Bubo bubo', species_b: 'Strix aluco' } });
+    assert.match(prompt.messages[0].content.text, /Compare \*\*Bubo bubo\*\* and \*\*Strix aluco\*\*/);
+
+    const health = await request(harness.url, { path: '/health' });
+    assert.equal(health.status, 200);
+    const body = JSON.parse(health.text);
+    assert.equal(body.status, 'ok');
+    assert.ok(body.sessions.streamableHttp >= 1);
+  });
+
+  test('serves tools over the legacy SSE transport', async () => {
+    const client = await harness.connect({ sse: true });
+    const result = await client.callTool({ name: 'search_birds', arguments: { query: 'owl' } });
+    assert.match(textOf(result), /Found \*\*4\*\* birds matching "owl"/);
+
+    const health = JSON.parse((await request(harness.url, { path: '/health' })).text);
+    assert.equal(health.sessions.sse, 1);
+  });
+
+  test('refuses requests that do not start a session', async () => {
+    const response = await request(harness.url, { method: 'POST', path: '/mcp', body: { jsonrpc: '2.0', id: 1, method: 'tools/list' } });
+    assert.equal(response.status, 400);
+    assert.match(response.text, /Missing mcp-session-id header/);
+
+    const unknown = await request(harness.url, { method: 'POST', path: '/mcp', headers: { 'mcp-session-id': 'nope' }, body: INITIALIZE });
+    assert.equal(unknown.status, 404);
+  });
+
+  test('refuses foreign Host and Origin headers', async () => {
+    const rebound = await request(harness.url, { method: 'POST', path: '/mcp', headers: { Host: 'attacker.example:3000' }, body: INITIALIZE });
+    assert.equal(rebound.status, 403);
+    assert.match(JSON.parse(rebound.text).error.message, /Host "attacker\.example:3000" is not allowed/);
+
+    const crossOrigin = await request(harness.url, { method: 'POST', path: '/mcp', headers: { Origin: 'https://attacker.example' }, body: INITIALIZE });
+    assert.equal(crossOrigin.status, 403);
+
+    const sse = await request(harness.url, { path: '/sse', headers: { Host: 'attacker.example' } });
+    assert.equal(sse.status, 403);
+
+    const local = await request(harness.url, { method: 'POST', path: '/mcp', headers: { Origin: 'http://localhost:5173' }, body: INITIALIZE });
+    assert.equal(local.status, 200);
+  });
+});
+
+describe('HTTP transport configuration', () => {
+  test('closes sessions idle for longer than the timeout', async () => {
+    const harness = await startHttpHarness({ args: ['--session-idle-timeout', '1000'] });
+    try {
+      const client = await harness.connect();
+      await client.listTools();
+      await harness.host.closeIdleSessions();
+      assert.equal(harness.host.sessions.size, 1, 'a fresh session is kept');
+
+      await new Promise(resolve => setTimeout(resolve, 1100));
+      await harness.host.closeIdleSessions();
+      assert.equal(harness.host.sessions.size, 0);
+      await assert.rejects(client.listTools());
+    } finally {
+      await harness.close();
+    }
+  });
+
+  test('allowed hosts and origins are configurable', async () => {
+    const harness = await startHttpHarness({
+      args: ['--allowed-hosts', 'mcp.example.org', '--allowed-origins', 'https://app.example.org'],
+    });
+    try {
+      const named = await request(harness.url, {
+        method: 'POST',
+        path: '/mcp',
+        headers: { Host: 'mcp.example.org', Origin: 'https://app.example.org' },
+        body: INITIALIZE,
+      });
+      assert.equal(named.status, 200);
+
+      const otherOrigin = await request(harness.url, { method: 'POST', path: '/mcp', headers: { Origin: 'http://localhost:5173' }, body: INITIALIZE });
+      assert.equal(otherOrigin.status, 403);
+    } finally {
+      await harness.close();
+    }
+  });
+
+  test('protection can be turned off', async () => {
+    const harness = await startHttpHarness({ args: ['--dns-rebinding-protection=false'] });
+    try {
+      const response = await request(harness.url, { method: 'POST', path: '/mcp', headers: { Host: 'attacker.example' }, body: INITIALIZE });
+      assert.equal(response.status, 200);
+    } finally {
+      await harness.close();
+    }
+  });
+
+  test('shutdown closes open sessions and stops listening', async () => {
+    const harness = await startHttpHarness();
+    const client = await harness.connect();
+    await client.listTools();
+    assert.equal(harness.host.sessions.size, 1);
+
+    await harness.host.close();
+    assert.equal(harness.host.sessions.size, 0);
+    await assert.rejects(request(harness.url, { path: '/health' }));
+    await harness.close();
+  });
+});
@@ -0,0 +1,144 @@
+import assert from 'node:assert/strict';
+import { after, before, describe, test } from 'node:test';
+import { AvibaseErrorCode } from '../lib/errors.js';
+import { candidateQueries, epithetStem, phoneticKey, scoreName } from '../lib/names.js';
+import { startHarness, textOf } from './helpers/harness.js';
+
+describe('scoreName', () => {
+  const scientific = { scientific: true };
+
+  for (const [query, name, method] of [
+    ['Aquila chrysaetos', 'Aquila chrysaetos', 'exact'],
+    ['Eurasian Eagle Owl', 'Eurasian Eagle-Owl', 'normalized'],
+    ['Raphus cucullata', 'Raphus cucullatus', 'gender_ending'],
+    ['A. chrysaetos', 'Aquila chrysaetos', 'abbreviation'],
+    ['Aquila crysaetos', 'Aquila chrysaetos', 'phonetic'],
+    ['Bubo hispanus', 'Bubo bubo hispanus', 'partial'],
+    ['Pithecophaga jeffreyi', 'Pithecophaga jefferyi', 'fuzzy'],
+  ]) {
+    test(`${query} → ${name} is ${method}`, () => {
+      assert.equal(scoreName(query, name, scientific).method, method);
+    });
+  }
+
+  test('ranks closer matches higher', () => {
+    const scores = ['Golden Eagle', 'Golden Egle', 'Goldn Egle'].map(query => scoreName(query, 'Golden Eagle').score);
+    assert.deepEqual([...scores].sort((a, b) => b - a), scores);
+    assert.ok(scores[2] < scores[1]);
+  });
+
+  test('rejects unrelated names', () => {
+    assert.equal(scoreName('Tawny Owl', 'Forest Owlet'), null);
+    assert.equal(scoreName('Strix aluco', 'Strix varia', scientific), null);
+  });
+
+  test('Latin endings share a stem', () => {
+    assert.equal(epithetStem('niger'), epithetStem('nigrum'));
+    assert.equal(epithetStem('nigra'), epithetStem('niger'));
+    assert.equal(epithetStem('viridis'), epithetStem('viride'));
+  });
+
+  test('sound-alike spellings share a phonetic key', () => {
+    assert.equal(phoneticKey('chrysaetos'), phoneticKey('crysaetos'));
+    assert.equal(phoneticKey('caerulea'), phoneticKey('cerulea'));
+    assert.equal(phoneticKey('philippensis'), phoneticKey('filipensis'));
+  });
+
+  test('candidate searches cover both ends of each word', () => {
+    assert.deepEqual(candidateQueries('Aqila crysaetos'), ['aqila', 'crysaetos', 'crys', 'etos']);
+  });
+});
+
+describe('name resolution in tools', () => {
+  let harness;
+
+  before(async () => {
+    harness = await startHarness();
+  });
+
+  after(async () => {
+    await harness.close();
+  });
+
+  test('get_bird_report resolves a misspelled name', async () => {
+    const result = await harness.call('get_bird_report', { scientific_name: 'Aquila crysaetos' });
+    assert.equal(result.structuredContent.bird.Scientific_name, 'Aquila chrysaetos');
+    assert.equal(result.structuredContent.resolution.method, 'phonetic');
+    assert.match(textOf(result), /🔎 "Aquila crysaetos" resolved to \*Aquila chrysaetos\* \(phonetic match, score 0\.90\)/);
+  });
+
+  test('get_bird_report accepts English names and other Latin endings', async () => {
+    const english = await harness.call('get_bird_report', { scientific_name: 'Golden Eagle' });
+    assert.equal(english.structuredContent.bird.Scientific_name, 'Aquila chrysaetos');
+    assert.equal(english.structuredContent.resolution.matchedField, 'English_name_AviList');
+
+    const ending = await harness.call('get_bird_report', { scientific_name: 'Raphus cucullata' });
+    assert.equal(ending.structuredContent.bird.Scientific_name, 'Raphus cucullatus');
+    assert.equal(ending.structuredContent.resolution.method, 'gender_ending');
+  });
+
+  test('an exact name reports an exact resolution', async () => {
+    const result = await harness.call('get_bird_report', { scientific_name: 'Strix aluco' });
+    assert.deepEqual(
+      [result.structuredContent.resolution.method, result.structuredContent.resolution.score],
+      ['exact', 1]
+    );
+    assert.doesNotMatch(textOf(result), /🔎/);
+  });
+
+  test('unresolvable names fail with suggestions', async () => {
+    await assert.rejects(
+      harness.call('get_bird_report', { scientific_name: 'Aquila', fuzzy: true }),
+      { code: AvibaseErrorCode.NotFound, message: /No bird found with name "Aquila"/ }
+    );
+    await assert.rejects(
+      harness.call('get_bird_report', { scientific_name: 'Aquila crysaetos', fuzzy: false }),
+      { code: AvibaseErrorCode.NotFound }
+    );
+  });
+
+  test('search_birds falls back to the closest names', async () => {
+    const result = await harness.call('search_birds', { query: 'Harpia harpya' });
+    const { birds, fuzzyMatches } = result.structuredContent;
+    assert.equal(birds[0].Scientific_name, 'Harpia harpyja');
+    assert.equal(fuzzyMatches[0].scientificName, 'Harpia harpyja');
+    assert.match(textOf(result), /No birds are named "Harpia harpya"; showing the \*\*1\*\* closest names/);
+
+    const exact = await harness.call('search_birds', { query: 'owl' });
+    assert.deepEqual(exact.structuredContent.fuzzyMatches, []);
+  });
+
+  test('compare_birds and reconcile_name report what was matched', async () => {
+    const comparison = await harness.call('compare_birds', { scientific_names: ['Bubo bubo', 'Strix alcuo'] });
+    assert.deepEqual(
+      comparison.structuredContent.resolutions.map(({ resolution }) => resolution.method),
+      ['exact', 'fuzzy']
+    );
+    assert.equal(comparison.structuredContent.species[1].scientificName, 'Strix aluco');
+
+    const reconciliation = await harness.call('reconcile_name', { name: 'Eurasian Eagle Owl' });
+    assert.equal(reconciliation.structuredContent.matches[0].scientificName, 'Bubo bubo');
+    assert.equal(reconciliation.structuredContent.resolution.method, 'normalized');
+  });
+});
+
+describe('lookup_birds fuzzy limit', () => {
+  test('only the first names without an exact match are resolved', async () => {
+    const harness = await startHarness({ args: ['--lookup-max-fuzzy-names', '1'] });
+    try {
+      const result = await harness.call('lookup_birds', { names: ['Aquila crysaetos', 'Bubo bubo', 'Strix alcuo', 'Aquila crysaetos'] });
+      const lookup = result.structuredContent;
+      assert.deepEqual(
+        lookup.results.map(({ status, fuzzySkipped }) => [status, fuzzySkipped]),
+        [['found', false], ['found', false], ['not_found', true], ['found', false]]
+      );
+      assert.equal(lookup.fuzzySkipped, 1);
+
+      const text = textOf(result);
+      assert.match(text, /At most 1 names without an exact match are checked for misspellings per call; 1 were not/);
+      assert.match(text, /- \*\*Strix alcuo\*\*: not checked for misspellings/);
+    } finally {
+      await harness.close();
+    }
+  });
+});
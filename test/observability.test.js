@@ -0,0 +1,190 @@
+import assert from 'node:assert/strict';
+import { after, afterEach, before, describe, test } from 'node:test';
+import { LoggingMessageNotificationSchema } from '@modelcontextprotocol/sdk/types.js';
+import { Logger, withTrace } from '../lib/logger.js';
+import { startHarness } from './helpers/harness.js';
+
+function memoryStream() {
+  const lines = [];
+  return {
+    lines,
+    entries: () => lines.map(line => JSON.parse(line)),
+    write: line => lines.push(line),
+  };
+}
+
+describe('logger', () => {
+  test('writes JSON lines at or above the configured level', () => {
+    const stream = memoryStream();
+    const logger = new Logger({ level: 'warning', stream }).child({ component: 'api' });
+    logger.info('ignored');
+    logger.warning('upstream slow', { latencyMs: 1200 });
+
+    const [entry, ...rest] = stream.entries();
+    assert.equal(rest.length, 0);
+    assert.equal(entry.level, 'warning');
+    assert.equal(entry.msg, 'upstream slow');
+    assert.equal(entry.component, 'api');
+    assert.equal(entry.latencyMs, 1200);
+    assert.ok(Date.parse(entry.time));
+  });
+
+  test('off silences the stream but not sinks', () => {
+    const stream = memoryStream();
+    const logger = new Logger({ level: 'off', stream });
+    const received = [];
+    logger.addSink({ level: 'error', write: entry => received.push(entry) });
+    logger.warning('not delivered');
+    logger.error('delivered', { error: new Error('boom') });
+
+    assert.equal(stream.lines.length, 0);
+    assert.equal(received.length, 1);
+    assert.deepEqual(received[0].error, { name: 'Error', message: 'boom' });
+  });
+
+  test('entries inside a trace carry its request ID and tool', async () => {
+    const stream = memoryStream();
+    const logger = new Logger({ level: 'debug', stream });
+    await withTrace({ requestId: 'abc123', tool: 'search_birds' }, async () => {
+      await Promise.resolve();
+      logger.debug('cache hit');
+    });
+    logger.debug('outside');
+
+    const [inside, outside] = stream.entries();
+    assert.equal(inside.requestId, 'abc123');
+    assert.equal(inside.tool, 'search_birds');
+    assert.equal(outside.requestId, undefined);
+  });
+
+  test('redacts sensitive argument names and shortens long strings', () => {
+    const logger = new Logger({ redact: ['token', 'api_key'] });
+    const redacted = logger.redact({
+      query: 'owl',
+      auth: { API_KEY: 'k', nested: [{ accessToken: 't' }] },
+      expression: 'x'.repeat(500),
+    });
+    assert.equal(redacted.query, 'owl');
+    assert.equal(redacted.auth.API_KEY, '[redacted]');
+    assert.equal(redacted.auth.nested[0].accessToken, '[redacted]');
+    assert.match(redacted.expression, /… \(500 chars\)$/);
+  });
+});
+
+describe('client log forwarding', () => {
+  let harness;
+  const messages = [];
+
+  before(async () => {
+    harness = await startHarness({ args: ['--cache=false', '--breaker-threshold', '1000'] });
+    harness.client.setNotificationHandler(LoggingMessageNotificationSchema, notification => {
+      messages.push(notification.params);
+    });
+  });
+
+  afterEach(() => {
+    messages.length = 0;
+    harness.api.reset();
+  });
+
+  after(async () => {
+    await harness.close();
+  });
+
+  test('forwards tool call entries once the client lowers the level', async () => {
+    await harness.call('search_birds', { query: 'owl' });
+    assert.equal(messages.length, 0, 'info entries are below the default client level');
+
+    await harness.client.setLoggingLevel('debug');
+    await harness.call('search_birds', { query: 'owl' });
+
+    const upstream = messages.find(message => message.data.msg === 'upstream request');
+    assert.equal(upstream.level, 'debug');
+    assert.equal(upstream.data.status, 200);
+    assert.equal(upstream.data.tool, 'search_birds');
+    assert.equal(typeof upstream.data.latencyMs, 'number');
+
+    const call = messages.find(message => message.data.msg === 'tool call');
+    assert.equal(call.level, 'info');
+    assert.equal(call.logger, 'avibase-mcp');
+    assert.equal(call.data.status, 'ok');
+    assert.equal(call.data.requestId, upstream.data.requestId);
+    assert.deepEqual(call.data.arguments.query, 'owl');
+    assert.equal(call.data.upstreamRequests, 1);
+
+    await harness.client.setLoggingLevel('warning');
+  });
+
+  test('failed calls are logged with their error code', async () => {
+    harness.api.fail('/search', { status: 503 });
+    await assert.rejects(harness.call('search_birds', { query: 'owl' }));
+
+    const call = messages.find(message => message.data.msg === 'tool call');
+    assert.equal(call.level, 'warning');
+    assert.equal(call.data.status, 'error');
+    assert.equal(call.data.errorCode, -32003);
+  });
+});
+
+describe('get_server_diagnostics', () => {
+  let harness;
+
+  before(async () => {
+    harness = await startHarness({ args: ['--breaker-threshold', '1000'] });
+  });
+
+  after(async () => {
+    await harness.close();
+  });
+
+  test('reports per-tool calls, errors, latency and upstream health', async () => {
+    await harness.call('get_bird_stats');
+    await harness.call('get_bird_stats');
+    harness.api.fail('/search', { status: 503 });
+    await assert.rejects(harness.call('search_birds', { query: 'owl' }));
+    await assert.rejects(harness.call('search_birds', { query: '' }));
+
+    const result = await harness.call('get_server_diagnostics', { format: 'both' });
+    const diagnostics = result.structuredContent;
+
+    const stats = diagnostics.tools.find(row => row.tool === 'get_bird_stats');
+    assert.equal(stats.calls, 2);
+    assert.equal(stats.errors, 0);
+    assert.equal(stats.cacheHits, 1);
+    assert.equal(stats.cacheMisses, 1);
+    assert.equal(typeof stats.latencyMs.p50, 'number');
+    assert.ok(stats.latencyMs.p99 >= stats.latencyMs.p50);
+
+    const search = diagnostics.tools.find(row => row.tool === 'search_birds');
+    assert.equal(search.calls, 2);
+    assert.equal(search.errors, 2);
+    assert.equal(search.errorRate, 1);
+    assert.deepEqual(search.errorCodes, { '-32003': 1, '-32602': 1 });
+
+    assert.equal(diagnostics.totals.calls, 4);
+    assert.equal(diagnostics.totals.errors, 2);
+    assert.equal(diagnostics.upstream.requests, 2);
+    assert.equal(diagnostics.upstream.failures, 1);
+    assert.deepEqual(diagnostics.upstream.statuses, { 200: 1, 503: 1 });
+    assert.equal(diagnostics.upstream.lastError.endpoint, '/search');
+    assert.deepEqual(diagnostics.upstream.endpoints.map(row => row.endpoint).sort(), ['/search', '/stats']);
+    assert.equal(diagnostics.provider.provider, 'remote');
+    assert.equal(diagnostics.provider.circuit.state, 'closed');
+    assert.equal(diagnostics.cache.hits, 1);
+
+    const text = result.content.find(item => item.type === 'text').text;
+    assert.match(text, /# Server Diagnostics/);
+    assert.match(text, /\| search_birds \| 2 \| 2 \| 100\.0% \|/);
+    assert.match(text, /503 × 1/);
+  });
+
+  test('reset clears the counters after reporting them', async () => {
+    await harness.call('get_bird_stats');
+    const before = await harness.call('get_server_diagnostics', { reset: true });
+    assert.ok(before.structuredContent.totals.calls > 0);
+
+    const afterReset = await harness.call('get_server_diagnostics');
+    assert.equal(afterReset.structuredContent.totals.calls, 1, 'only the reset call itself is counted');
+    assert.equal(afterReset.structuredContent.upstream.requests, 0);
+  });
+});
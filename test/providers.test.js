@@ -0,0 +1,41 @@
+import assert from 'node:assert/strict';
+import { fileURLToPath } from 'node:url';
+import { after, before, describe, test } from 'node:test';
+import { FIXTURE_FILE, startHarness } from './helpers/harness.js';
+
+// The local provider answers from the same fixture file the mock API serves,
+// so both should give the same structured results
+const CALLS = [
+  ['get_bird_stats', {}],
+  ['search_birds', { query: 'eagle', limit: 2 }],
+  ['get_birds_by_taxonomy', { level: 'Order', value: 'Strigiformes' }],
+  ['get_conservation_status', { category: 'VU' }],
+  ['get_birds_by_region', { region: 'Madagascar' }],
+  ['get_extinct_species', {}],
+  ['get_birds_by_authority', { authority: 'Linnaeus', offset: 2, limit: 2 }],
+  ['get_bird_report', { scientific_name: 'Bubo bubo' }],
+  ['custom_bird_query', { filters: { Order: 'Accipitriformes' } }],
+  ['aggregate_birds', { group_by: ['Order'], metrics: ['count', 'share_threatened'] }],
+];
+
+describe('local and remote providers agree', () => {
+  let remote;
+  let local;
+
+  before(async () => {
+    remote = await startHarness();
+    local = await startHarness({ args: ['--provider', 'local', '--data-file', fileURLToPath(FIXTURE_FILE)] });
+  });
+
+  after(async () => {
+    await remote.close();
+    await local.close();
+  });
+
+  for (const [name, args] of CALLS) {
+    test(name, async () => {
+      const [fromRemote, fromLocal] = await Promise.all([remote.call(name, args), local.call(name, args)]);
+      assert.deepEqual(fromLocal.structuredContent, fromRemote.structuredContent);
+    });
+  }
+});
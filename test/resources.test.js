@@ -0,0 +1,101 @@
+import assert from 'node:assert/strict';
+import { after, before, describe, test } from 'node:test';
+import { ResourceUpdatedNotificationSchema } from '@modelcontextprotocol/sdk/types.js';
+import { AvibaseErrorCode } from '../lib/errors.js';
+import { startHarness } from './helpers/harness.js';
+
+describe('resources, prompts and completion', () => {
+  let harness;
+  const readJson = async uri => JSON.parse((await harness.client.readResource({ uri })).contents[0].text);
+
+  before(async () => {
+    harness = await startHarness();
+  });
+
+  after(async () => {
+    await harness.close();
+  });
+
+  test('lists resources and templates', async () => {
+    const { resources } = await harness.client.listResources();
+    assert.equal(resources[0].uri, 'avibase://stats');
+    assert.ok(resources.some(resource => resource.uri === 'avibase://iucn/CR'));
+
+    const { resourceTemplates } = await harness.client.listResourceTemplates();
+    assert.ok(resourceTemplates.some(template => template.uriTemplate === 'avibase://bird/{scientific_name}'));
+  });
+
+  test('reads bird, family, IUCN and stats resources', async () => {
+    const stats = await readJson('avibase://stats');
+    assert.equal(stats.totalRecords, 15);
+
+    const report = await readJson('avibase://bird/Bubo%20bubo');
+    assert.equal(report.bird.AvibaseID, 'AVB001');
+
+    const family = await readJson('avibase://family/Columbidae');
+    assert.equal(family.family, 'Columbidae');
+    assert.equal(family.birds.length, 3);
+
+    const critical = await readJson('avibase://iucn/cr');
+    assert.equal(critical.categoryName, 'Critically Endangered');
+    assert.deepEqual(
+      critical.birds.map(bird => bird.Scientific_name),
+      ['Otus insularis', 'Haliaeetus vociferoides', 'Pithecophaga jefferyi']
+    );
+  });
+
+  test('unknown resources are reported as not found', async () => {
+    await assert.rejects(
+      harness.client.readResource({ uri: 'avibase://family/Nonexistidae' }),
+      { code: AvibaseErrorCode.ResourceNotFound, message: /Resource not found: avibase:\/\/family\/Nonexistidae/ }
+    );
+    await assert.rejects(harness.client.readResource({ uri: 'https://example.org/bird' }), /expected an avibase:\/\/ URI/);
+  });
+
+  test('subscribers hear about cleared cache data', async () => {
+    const updated = [];
+    harness.client.setNotificationHandler(ResourceUpdatedNotificationSchema, notification => {
+      updated.push(notification.params.uri);
+    });
+    await harness.client.subscribeResource({ uri: 'avibase://stats' });
+    await harness.client.subscribeResource({ uri: 'avibase://iucn/CR' });
+
+    await harness.call('manage_cache', { action: 'clear', tool: 'get_bird_stats' });
+    assert.deepEqual(updated, ['avibase://stats']);
+
+    await harness.client.unsubscribeResource({ uri: 'avibase://stats' });
+    await harness.call('manage_cache', { action: 'clear' });
+    assert.deepEqual(updated, ['avibase://stats', 'avibase://iucn/CR']);
+    await harness.client.unsubscribeResource({ uri: 'avibase://iucn/CR' });
+  });
+
+  test('lists and renders prompts', async () => {
+    const { prompts } = await harness.client.listPrompts();
+    assert.ok(prompts.some(prompt => prompt.name === 'conservation_briefing'));
+
+    const briefing = await harness.client.getPrompt({ name: 'conservation_briefing', arguments: { family: 'Strigidae' } });
+    assert.equal(briefing.messages[0].role, 'user');
+    assert.match(briefing.messages[0].content.text, /conservation briefing on the bird family \*\*Strigidae\*\* for conservation practitioners/);
+    assert.match(briefing.messages[0].content.text, /`value: "Strigidae"`/);
+  });
+
+  test('completes prompt arguments and template variables', async () => {
+    const species = await harness.client.complete({
+      ref: { type: 'ref/prompt', name: 'compare_species' },
+      argument: { name: 'species_a', value: 'Bub' },
+    });
+    assert.deepEqual(species.completion.values, ['Bubo bubo']);
+
+    const family = await harness.client.complete({
+      ref: { type: 'ref/resource', uri: 'avibase://family/{Family}' },
+      argument: { name: 'Family', value: 'col' },
+    });
+    assert.deepEqual(family.completion.values, ['Columbidae']);
+
+    const tooShort = await harness.client.complete({
+      ref: { type: 'ref/prompt', name: 'compare_species' },
+      argument: { name: 'species_b', value: 'Bu' },
+    });
+    assert.deepEqual(tooShort.completion, { values: [], total: 0, hasMore: false });
+  });
+});
@@ -0,0 +1,260 @@
+import assert from 'node:assert/strict';
+import { after, before, describe, test } from 'node:test';
+import { startHarness, textOf } from './helpers/harness.js';
+
+describe('tools', () => {
+  let harness;
+
+  before(async () => {
+    harness = await startHarness();
+  });
+
+  after(async () => {
+    await harness.close();
+  });
+
+  test('lists every tool with an output schema', async () => {
+    const { tools } = await harness.client.listTools();
+    assert.equal(tools.length, 26);
+    for (const tool of tools) {
+      assert.ok(tool.outputSchema, `${tool.name} has no output schema`);
+    }
+  });
+
+  test('get_bird_stats', async () => {
+    const result = await harness.call('get_bird_stats');
+    assert.equal(result.structuredContent.totalRecords, 15);
+    assert.equal(result.structuredContent.totalSpecies, 12);
+    assert.match(textOf(result), /\*\*Extinct Species:\*\* 2/);
+  });
+
+  test('search_birds', async () => {
+    const result = await harness.call('search_birds', { query: 'owl' });
+    const names = result.structuredContent.birds.map(bird => bird.Scientific_name);
+    assert.deepEqual(names, ['Bubo bubo', 'Strix aluco', 'Athene blewitti', 'Otus insularis']);
+    assert.match(textOf(result), /Found \*\*4\*\* birds matching "owl"/);
+  });
+
+  test('get_birds_by_taxonomy', async () => {
+    const result = await harness.call('get_birds_by_taxonomy', { level: 'Family', value: 'Columbidae' });
+    assert.equal(result.structuredContent.speciesCount, 3);
+    assert.match(textOf(result), /^# Family: Columbidae/);
+  });
+
+  test('get_conservation_status', async () => {
+    const result = await harness.call('get_conservation_status', { category: 'CR' });
+    const names = result.structuredContent.birds.map(bird => bird.Scientific_name);
+    assert.deepEqual(names, ['Otus insularis', 'Haliaeetus vociferoides', 'Pithecophaga jefferyi']);
+    assert.match(textOf(result), /- Range: Philippines: Luzon, Samar, Leyte and Mindanao$/m);
+  });
+
+  test('get_birds_by_region resolves the gazetteer and filters endemics', async () => {
+    const all = await harness.call('get_birds_by_region', { region: 'Madagascar' });
+    assert.equal(all.structuredContent.resolvedRegion.id, 'madagascar');
+    assert.deepEqual(
+      all.structuredContent.birds.map(bird => bird.Scientific_name),
+      ['Haliaeetus vociferoides', 'Euryceros prevostii']
+    );
+
+    const europe = await harness.call('get_birds_by_region', { region: 'Europe', endemic_only: true });
+    assert.deepEqual(europe.structuredContent.birds.map(bird => bird.Scientific_name), ['Bubo bubo hispanus']);
+  });
+
+  test('get_extinct_species', async () => {
+    const result = await harness.call('get_extinct_species');
+    const names = result.structuredContent.birds.map(bird => bird.Scientific_name);
+    assert.deepEqual(names, ['Raphus cucullatus', 'Ectopistes migratorius']);
+  });
+
+  test('get_birds_by_authority', async () => {
+    const result = await harness.call('get_birds_by_authority', { authority: 'Linnaeus' });
+    assert.equal(result.structuredContent.birds.length, 6);
+    assert.match(textOf(result), /\*\*6\*\* birds described by Linnaeus/);
+  });
+
+  test('get_random_birds', async () => {
+    const result = await harness.call('get_random_birds', { count: 3 });
+    assert.equal(result.structuredContent.birds.length, 3);
+    assert.deepEqual(harness.api.requests.at(-1), {
+      method: 'GET', path: '/random', search: '?count=3', body: null,
+    });
+  });
+
+  test('get_bird_report', async () => {
+    const result = await harness.call('get_bird_report', { scientific_name: 'Bubo bubo' });
+    assert.equal(result.structuredContent.bird.AvibaseID, 'AVB001');
+    const text = textOf(result);
+    assert.match(text, /^# Detailed Report: Bubo bubo/);
+    assert.match(text, /\*\*IUCN Red List Category:\*\* LC/);
+  });
+
+  test('custom_bird_query', async () => {
+    const result = await harness.call('custom_bird_query', {
+      filters: { Family: 'Strigidae', IUCN_Red_List_Category: ['CR', 'EN'] },
+    });
+    const names = result.structuredContent.birds.map(bird => bird.Scientific_name);
+    assert.deepEqual(names, ['Athene blewitti', 'Otus insularis']);
+  });
+
+  test('execute_jsonata_query', async () => {
+    const result = await harness.call('execute_jsonata_query', { query: '$count($[Taxon_rank="species"])' });
+    assert.equal(result.structuredContent.result, 12);
+
+    const dryRun = await harness.call('execute_jsonata_query', { query: '$[Family="Strigidae"].Scientific_name', dry_run: true });
+    assert.equal(dryRun.structuredContent.dryRun, true);
+    assert.ok(!harness.api.requests.some(request => request.body?.query?.includes('Strigidae')));
+  });
+
+  test('manage_cache', async () => {
+    await harness.call('get_bird_stats');
+    const stats = await harness.call('manage_cache', { action: 'stats' });
+    assert.ok(stats.structuredContent.stats.tools.get_bird_stats.hits >= 1);
+
+    const cleared = await harness.call('manage_cache', { action: 'clear' });
+    assert.equal(cleared.structuredContent.cleared, 'all');
+  });
+
+  test('manage_cache attributes /query responses to the calling tool', async () => {
+    const args = { group_by: ['Family'] };
+    await harness.call('aggregate_birds', args);
+    await harness.call('aggregate_birds', args);
+    const { tools } = (await harness.call('manage_cache')).structuredContent.stats;
+    assert.equal(tools.aggregate_birds.hits, 1);
+    assert.equal(tools.aggregate_birds.entries, 1);
+
+    await harness.call('manage_cache', { action: 'clear', tool: 'aggregate_birds' });
+    harness.api.reset();
+    await harness.call('aggregate_birds', args);
+    assert.equal(harness.api.requests.filter(request => request.path === '/query').length, 1);
+  });
+
+  test('lookup_birds', async () => {
+    const result = await harness.call('lookup_birds', { names: ['Bubo bubo', 'Tawny Owl', 'Aquila crysaetos'] });
+    assert.deepEqual(
+      result.structuredContent.results.map(entry => entry.status),
+      ['found', 'found', 'found']
+    );
+    assert.equal(result.structuredContent.results[2].resolution.method, 'phonetic');
+    assert.match(textOf(result), /## Corrected Names\n- 🔎 "Aquila crysaetos" resolved to \*Aquila chrysaetos\*/);
+
+    const strict = await harness.call('lookup_birds', { names: ['Aquila crysaetos'], fuzzy: false });
+    assert.equal(strict.structuredContent.results[0].status, 'not_found');
+    assert.match(textOf(strict), /did you mean \*Aquila chrysaetos\*/);
+  });
+
+  test('export_birds', async () => {
+    const result = await harness.call('export_birds', {
+      source: 'get_birds_by_taxonomy',
+      arguments: { level: 'Order', value: 'Strigiformes' },
+      file_format: 'csv',
+    });
+    assert.equal(result.structuredContent.records, 7);
+    const resource = result.content.find(item => item.type === 'resource');
+    assert.match(resource.resource.text, /^Sequence,Taxon_rank,Order/);
+  });
+
+  test('get_taxonomy_tree', async () => {
+    const down = await harness.call('get_taxonomy_tree', { rank: 'order', name: 'Strigiformes' });
+    assert.match(textOf(down), /\*\*Strigidae\*\* \(family, Owls\) — 4 genera, 4 species, 1 subspecies/);
+
+    const up = await harness.call('get_taxonomy_tree', { rank: 'species', name: 'Bubo bubo', direction: 'up' });
+    assert.match(textOf(up), /Strigiformes/);
+  });
+
+  test('compare_birds', async () => {
+    const result = await harness.call('compare_birds', { scientific_names: ['Bubo bubo', 'Strix aluco'] });
+    assert.match(textOf(result), /\*\*All species:\*\* Same family \(Strigidae\)/);
+  });
+
+  test('reconcile_name', async () => {
+    const result = await harness.call('reconcile_name', { name: 'Rock Pigeon' });
+    assert.equal(result.structuredContent.matches[0].scientificName, 'Columba livia');
+    assert.match(textOf(result), /Clements calls it "Rock Pigeon", AviList calls it "Rock Dove"/);
+  });
+
+  test('aggregate_birds', async () => {
+    const result = await harness.call('aggregate_birds', { group_by: ['Family'] });
+    assert.deepEqual(result.structuredContent.rows.map(row => [row.group.Family, row.count]), [
+      ['Strigidae', 4],
+      ['Accipitridae', 4],
+      ['Columbidae', 3],
+      ['Vangidae', 1],
+    ]);
+  });
+
+  test('saved queries round trip', async () => {
+    await harness.call('save_query', {
+      name: 'owls-by-category',
+      description: 'Owls in a category',
+      kind: 'filters',
+      filters: { Family: 'Strigidae', IUCN_Red_List_Category: '{{category}}' },
+    });
+
+    const listed = await harness.call('list_saved_queries');
+    assert.deepEqual(listed.structuredContent.queries.map(query => query.name), ['owls-by-category']);
+
+    const run = await harness.call('run_saved_query', { name: 'owls-by-category', params: { category: 'CR' } });
+    assert.deepEqual(run.structuredContent.result.birds.map(bird => bird.Scientific_name), ['Otus insularis']);
+
+    await harness.call('delete_saved_query', { name: 'owls-by-category' });
+    const after = await harness.call('list_saved_queries');
+    assert.deepEqual(after.structuredContent.queries, []);
+  });
+
+  test('save_query checks definitions before storing them', async () => {
+    const save = definition => harness.call('save_query', { name: 'checked', description: 'Checked', ...definition });
+
+    await assert.rejects(
+      save({ kind: 'jsonata', query: '$[$contains(Range, "{{place}}")]' }),
+      /\{\{place\}\} is inside a string literal/
+    );
+    await assert.rejects(
+      save({ kind: 'filters', filters: { year_from: '{{from}}' }, parameters: [{ name: 'from', default: 'last year' }] }),
+      /filters\.year_from must be a year between 1500 and 2100/
+    );
+    await assert.rejects(save({ kind: 'filters', filters: { Family: '{{family}}', extinct: 'yes' } }), /filters\.extinct must be true or false/);
+
+    // Values that only a run-time argument fills are checked when run
+    const saved = await save({ kind: 'filters', filters: { year_from: '{{from}}' } });
+    assert.equal(saved.structuredContent.created, true);
+    await assert.rejects(
+      harness.call('run_saved_query', { name: 'checked', params: { from: 'last year' } }),
+      /filters\.year_from must be an integer/
+    );
+    await harness.call('delete_saved_query', { name: 'checked' });
+  });
+
+  test('run_saved_query checks bound values against the inner tool schema', async () => {
+    await harness.call('save_query', {
+      name: 'named-like',
+      description: 'Names matching a pattern in a family',
+      kind: 'filters',
+      filters: { Family: '{{family}}', name_regex: '{{pattern}}' },
+    });
+    await assert.rejects(
+      harness.call('run_saved_query', { name: 'named-like', params: { family: 'Strigidae', pattern: 'o'.repeat(201) } }),
+      /filters\.name_regex must be at most 200 characters/
+    );
+    await assert.rejects(
+      harness.call('run_saved_query', { name: 'named-like', params: { family: { $ne: null }, pattern: 'owl' } }),
+      /filters\.Family/
+    );
+    const run = await harness.call('run_saved_query', { name: 'named-like', params: { family: 'Strigidae', pattern: 'owlet' } });
+    assert.deepEqual(run.structuredContent.result.birds.map(bird => bird.Scientific_name), ['Athene blewitti']);
+    await harness.call('delete_saved_query', { name: 'named-like' });
+  });
+
+  test('get_region_conservation_summary', async () => {
+    const result = await harness.call('get_region_conservation_summary', { region: 'Madagascar' });
+    const summary = result.structuredContent;
+    assert.equal(summary.totalSpecies, 2);
+    assert.equal(summary.threatened.total, 2);
+    assert.deepEqual(summary.threatened.species.map(bird => bird.category), ['CR', 'VU']);
+    assert.match(textOf(result), /^# Conservation summary: Madagascar/);
+  });
+
+  test('format json returns only the structured content', async () => {
+    const result = await harness.call('get_bird_stats', { format: 'json' });
+    assert.deepEqual(JSON.parse(textOf(result)), result.structuredContent);
+  });
+});
@@ -0,0 +1,184 @@
+import assert from 'node:assert/strict';
+import { after, before, describe, test } from 'node:test';
+import { ErrorCode } from '@modelcontextprotocol/sdk/types.js';
+import { loadConfig } from '../lib/config.js';
+import { JsonataGuard } from '../lib/jsonata-guard.js';
+import { validateArguments, validateToolArguments } from '../lib/validation.js';
+import { startHarness } from './helpers/harness.js';
+
+const SCHEMA = {
+  type: 'object',
+  properties: {
+    name: { type: 'string', minLength: 1 },
+    limit: { type: 'integer', default: 20, minimum: 1, maximum: 100 },
+    exact: { type: 'boolean', default: false },
+    level: { type: 'string', enum: ['Order', 'Family'] },
+    tags: { type: 'array', items: { type: 'string' }, minItems: 1, maxItems: 2 },
+    filters: {
+      type: 'object',
+      properties: { year_from: { type: 'integer' } },
+      additionalProperties: { type: ['string', 'array'] },
+    },
+  },
+  required: ['name'],
+  additionalProperties: false,
+};
+
+function rejects(args, message) {
+  assert.throws(() => validateArguments(SCHEMA, args), { code: ErrorCode.InvalidParams, message });
+}
+
+describe('validateArguments', () => {
+  test('applies defaults', () => {
+    assert.deepEqual(validateArguments(SCHEMA, { name: 'owl' }), { name: 'owl', limit: 20, exact: false });
+  });
+
+  test('coerces numeric and boolean strings', () => {
+    assert.deepEqual(
+      validateArguments(SCHEMA, { name: 'owl', limit: '50', exact: 'true' }),
+      { name: 'owl', limit: 50, exact: true }
+    );
+  });
+
+  test('treats null as an omitted optional argument', () => {
+    assert.deepEqual(validateArguments(SCHEMA, { name: 'owl', limit: null }), { name: 'owl', limit: 20, exact: false });
+  });
+
+  test('does not modify the arguments it was given', () => {
+    const args = { name: 'owl' };
+    validateArguments(SCHEMA, args);
+    assert.deepEqual(args, { name: 'owl' });
+  });
+
+  test('names the missing or empty field', () => {
+    rejects({}, /^MCP error -32602: name is required$/);
+    rejects({ name: '   ' }, /name must not be empty/);
+  });
+
+  test('rejects wrong types', () => {
+    rejects({ name: 'owl', exact: 'yes' }, /exact must be a boolean; got "yes"/);
+    rejects({ name: 'owl', limit: 2.5 }, /limit must be an integer; got 2.5/);
+    rejects({ name: 'owl', tags: 'a' }, /tags must be an array; got "a"/);
+  });
+
+  test('bounds numbers', () => {
+    rejects({ name: 'owl', limit: -5 }, /limit must be between 1 and 100; got -5/);
+    rejects({ name: 'owl', limit: 1e9 }, /limit must be between 1 and 100; got 1000000000/);
+  });
+
+  test('checks enums', () => {
+    rejects({ name: 'owl', level: 'Genus' }, /level must be one of Order, Family; got "Genus"/);
+  });
+
+  test('checks array length and items', () => {
+    rejects({ name: 'owl', tags: [] }, /tags must not be empty/);
+    rejects({ name: 'owl', tags: ['a', 'b', 'c'] }, /tags must list at most 2 entries; got 3/);
+    rejects({ name: 'owl', tags: ['a', {}] }, /tags\[1\] must be a string; got an object/);
+  });
+
+  test('validates nested objects with their paths', () => {
+    rejects({ name: 'owl', filters: { year_from: 'soon' } }, /filters\.year_from must be an integer; got "soon"/);
+    rejects({ name: 'owl', filters: { Family: true } }, /filters\.Family must be a string or an array; got true/);
+    assert.deepEqual(
+      validateArguments(SCHEMA, { name: 'owl', filters: { Family: 'Strigidae' } }).filters,
+      { Family: 'Strigidae' }
+    );
+  });
+
+  test('rejects undeclared arguments', () => {
+    rejects({ name: 'owl', nmae: 'owl' }, /nmae is not a recognized argument; expected one of name, limit/);
+  });
+
+  test('prefixes a path for nested argument objects', () => {
+    assert.throws(
+      () => validateArguments(SCHEMA, { limit: 5 }, 'arguments'),
+      { message: /arguments\.name is required/ }
+    );
+  });
+});
+
+describe('command-line flags', () => {
+  test('boolean flags take a value inline, as the next argument or not at all', () => {
+    assert.equal(loadConfig(['--cache', 'false']).cache.enabled, false);
+    assert.equal(loadConfig(['--cache=false']).cache.enabled, false);
+    assert.equal(loadConfig(['--tls-reject-unauthorized', 'FALSE']).api.tls.rejectUnauthorized, false);
+    assert.equal(loadConfig(['--jsonata', 'no', '--cache', 'yes']).jsonata.enabled, false);
+
+    const bare = loadConfig(['--cache', '--port', '4000']);
+    assert.equal(bare.cache.enabled, true);
+    assert.equal(bare.http.port, 4000);
+  });
+});
+
+describe('JSONata function allowlist', () => {
+  const guard = new JsonataGuard({
+    enabled: true, maxQueryLength: 2000, timeoutMs: 1000, maxResultBytes: 1024, allowedFunctions: ['count'],
+  });
+  const refused = { code: ErrorCode.InvalidParams, message: /not allowed on this server: \$eval/ };
+
+  test('a built-in rebound to itself is still a use of the built-in', () => {
+    assert.throws(() => guard.check('$eval("1")'), refused);
+    assert.throws(() => guard.check('($eval := $eval; $eval("$sum([1,2])"))'), refused);
+    assert.throws(() => guard.check('($x := ($eval := 1); $eval("1"))'), refused);
+  });
+
+  test('functions the query defines itself may shadow built-ins', () => {
+    const analysis = guard.check('($eval := function($a) { $count($a) }; $eval(Family))');
+    assert.deepEqual(analysis.functions, ['$count']);
+    assert.deepEqual(analysis.variables, ['$a', '$eval']);
+  });
+});
+
+describe('tool arguments', () => {
+  let harness;
+
+  before(async () => {
+    harness = await startHarness();
+  });
+
+  after(async () => {
+    await harness.close();
+  });
+
+  test('every tool schema accepts its own defaults', () => {
+    for (const [name, args] of [
+      ['get_bird_stats', {}],
+      ['search_birds', { query: 'owl' }],
+      ['get_random_birds', {}],
+      ['custom_bird_query', { filters: {} }],
+      ['aggregate_birds', { group_by: ['Family'] }],
+    ]) {
+      assert.doesNotThrow(() => validateToolArguments(name, args), name);
+    }
+  });
+
+  for (const [name, args, message] of [
+    ['get_birds_by_taxonomy', { level: 'Genus', value: 'Bubo' }, /level must be one of Order, Family, Taxon_rank; got "Genus"/],
+    ['search_birds', { query: 'owl', limit: -1 }, /limit must be between 1 and 1000; got -1/],
+    ['search_birds', { query: 'owl', limit: 50000 }, /limit must be between 1 and 1000; got 50000/],
+    ['get_bird_report', { scientific_name: '' }, /scientific_name must not be empty/],
+    ['get_random_birds', { count: 0 }, /count must be between 1 and 50; got 0/],
+    ['get_random_birds', { count: 500 }, /count must be between 1 and 50; got 500/],
+    ['get_conservation_status', { category: 'XX' }, /category must be one of CR, EN/],
+    ['get_bird_report', { scientificName: 'Bubo bubo' }, /scientificName is not a recognized argument/],
+    ['search_birds', { query: 'owl', offset: -3 }, /offset must be at least 0; got -3/],
+    ['custom_bird_query', { filters: { year_from: 1758.5 } }, /filters\.year_from must be an integer/],
+    ['custom_bird_query', { filters: { name_regex: '(a+)+$' } }, /filters\.name_regex repeats a group that contains a quantifier/],
+    ['custom_bird_query', { filters: { any_of: [{ name_regex: '^(\\w|\\s)*$' }] } }, /filters\.any_of\[0\]\.name_regex repeats a group/],
+    ['export_birds', { source: 'get_birds_by_region', arguments: {} }, /arguments\.region is required/],
+    ['export_birds', { source: 'get_birds_by_taxonomy', arguments: { level: 'Class', value: 'Aves' } }, /arguments\.level must be one of/],
+  ]) {
+    test(`${name} ${JSON.stringify(args)}`, async () => {
+      harness.api.reset();
+      await assert.rejects(harness.call(name, args), { code: ErrorCode.InvalidParams, message });
+      assert.deepEqual(harness.api.requests, [], 'invalid arguments never reach the API');
+    });
+  }
+
+  test('string numbers are coerced before the API call', async () => {
+    harness.api.reset();
+    const result = await harness.call('search_birds', { query: 'owl', limit: '2' });
+    assert.equal(result.structuredContent.birds.length, 2);
+    assert.match(harness.api.requests[0].search, /limit=2/);
+  });
+});